@@ -545,6 +545,9 @@ declare namespace WAWebJS {
         /** How many times should the qrcode be refreshed before giving up
 		 * @default 0 (disabled) */
 		qrMaxRetries?: number,
+        /** How long a saved session may stay on the loading screen without progress before it counts as an auth failure and the client starts again, rolled back if the auth strategy has a snapshot
+         * @default 0 (waits forever) */
+        loadingTimeoutMs?: number,
         /** 
          * @deprecated This option should be set directly on the LegacySessionAuth
          */
@@ -620,6 +623,10 @@ declare namespace WAWebJS {
         }>;
         getAuthEventPayload: () => Promise<any>;
         afterAuthReady: () => Promise<void>;
+        /** Keeps a known-good copy of the session once the client is ready */
+        snapshotSession: () => Promise<void>;
+        /** Restores the last known-good snapshot after the saved session failed to load (or keeps the session for another try), resolves true when the client should start again */
+        rollbackSession: () => Promise<boolean>;
         disconnect: () => Promise<void>;
         destroy: () => Promise<void>;
         logout: () => Promise<void>;
@@ -640,7 +647,20 @@ declare namespace WAWebJS {
         constructor(options?: {
             clientId?: string,
             dataPath?: string,
-            rmMaxRetries?: number
+            rmMaxRetries?: number,
+            encryption?: SessionEncryption,
+            /** Known-good copies of the session to keep for rollback
+             * @default 0 (disabled) */
+            maxSnapshots?: number,
+            /** Snapshots older than this are deleted
+             * @default 604800000 (7 days) */
+            snapshotRetentionMs?: number,
+            /** How long the client must stay ready before the session is snapshotted
+             * @default 60000 */
+            snapshotDelayMs?: number,
+            /** How many times in a row a session may fail to load before the next older snapshot replaces it
+             * @default 2 */
+            rollbackAfterFailures?: number
         })
     }
     
@@ -655,10 +675,37 @@ declare namespace WAWebJS {
             clientId?: string,
             dataPath?: string,
             backupSyncIntervalMs: number,
-            rmMaxRetries?: number
+            rmMaxRetries?: number,
+            encryption?: SessionEncryption
         })
     }
 
+    /**
+     * AES-256-GCM encryption for LocalAuth and RemoteAuth session files, with key rotation
+     */
+    export class SessionEncryption {
+        constructor(options?: {
+            /** Current key, 32 bytes as hex or base64. Defaults to WWEBJS_SESSION_KEY */
+            key?: string | Buffer,
+            /** Older keys, only used to decrypt. Defaults to WWEBJS_SESSION_PREVIOUS_KEYS */
+            previousKeys?: Array<string | Buffer>,
+            /** File with one key per line, current key first. Defaults to WWEBJS_SESSION_KEY_FILE */
+            keyFile?: string
+        })
+
+        /** A new random key, as hex */
+        static generateKey(): string
+        /** Whether a file was written by SessionEncryption */
+        static isEncrypted(filePath: string): Promise<boolean>
+
+        encryptFile(source: string, target?: string): Promise<void>
+        decryptFile(source: string, target?: string): Promise<void>
+        /** Whether a file is encrypted with a previous key */
+        needsRotation(filePath: string): Promise<boolean>
+        /** Re-encrypt a file with the current key if it was encrypted with a previous one */
+        rotateFile(filePath: string): Promise<boolean>
+    }
+
     /** 
      * Remote store interface
      */
@@ -669,6 +716,55 @@ declare namespace WAWebJS {
         extract: (options: { session: string, path: string }) => Promise<any> | any,
     }
 
+    /**
+     * RemoteAuth store that keeps session archives in a directory, e.g. a mounted volume or network share
+     */
+    export class FileSystemStore implements Store {
+        constructor(options: {
+            path: string
+        })
+        sessionExists: (options: { session: string }) => Promise<boolean>
+        delete: (options: { session: string }) => Promise<void>
+        save: (options: { session: string }) => Promise<void>
+        extract: (options: { session: string, path: string }) => Promise<void>
+    }
+
+    /**
+     * RemoteAuth store for Amazon S3 and S3-compatible object storage
+     */
+    export class S3Store implements Store {
+        constructor(options: {
+            bucket: string,
+            accessKeyId: string,
+            secretAccessKey: string,
+            sessionToken?: string,
+            region?: string,
+            endpoint?: string,
+            forcePathStyle?: boolean,
+            prefix?: string
+        })
+        sessionExists: (options: { session: string }) => Promise<boolean>
+        delete: (options: { session: string }) => Promise<void>
+        save: (options: { session: string }) => Promise<void>
+        extract: (options: { session: string, path: string }) => Promise<void>
+    }
+
+    /**
+     * RemoteAuth store that keeps session archives as blobs in a PostgreSQL or SQLite table
+     */
+    export class SqlStore implements Store {
+        constructor(options: {
+            /** A `pg` Pool or Client, or a `better-sqlite3` Database */
+            client: any,
+            dialect: 'postgres' | 'sqlite',
+            table?: string
+        })
+        sessionExists: (options: { session: string }) => Promise<boolean>
+        delete: (options: { session: string }) => Promise<void>
+        save: (options: { session: string }) => Promise<void>
+        extract: (options: { session: string, path: string }) => Promise<void>
+    }
+
     /**
      * Legacy session auth strategy
      * Not compatible with multi-device accounts.
@@ -30,6 +30,12 @@ module.exports = {
     NoAuth: require('./src/authStrategies/NoAuth'),
     LocalAuth: require('./src/authStrategies/LocalAuth'),
     RemoteAuth: require('./src/authStrategies/RemoteAuth'),
+    SessionEncryption: require('./src/authStrategies/SessionEncryption'),
+
+    // RemoteAuth Stores
+    FileSystemStore: require('./src/authStrategies/stores/FileSystemStore'),
+    S3Store: require('./src/authStrategies/stores/S3Store'),
+    SqlStore: require('./src/authStrategies/stores/SqlStore'),
     
     ...Constants
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 // Account Manager JavaScript
+const socket = io();
 let accounts = [];
+let qrModalAccountId = null;
 let stats = {
     total: 0,
     connected: 0,
@@ -8,43 +10,79 @@ let stats = {
 };
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('Account Manager initialized');
     
     // Check authentication
-    if (!checkAuthentication()) {
+    if (!(await checkAuthentication())) {
         return;
     }
     
     // Load accounts and stats
     loadAccounts();
     setupEventListeners();
+    setupSocketListeners();
 });
 
-// Check if user is authenticated
-function checkAuthentication() {
-    const isLoggedIn = localStorage.getItem('isLoggedIn') === 'true';
-    const loginTime = localStorage.getItem('loginTime');
-    
-    if (!isLoggedIn || !loginTime) {
-        window.location.href = '/login';
-        return false;
-    }
-    
-    // Check if login is still valid (24 hours)
-    const loginDate = new Date(loginTime);
-    const now = new Date();
-    const hoursDiff = (now - loginDate) / (1000 * 60 * 60);
-    
-    if (hoursDiff >= 24) {
-        // Login expired
-        localStorage.removeItem('isLoggedIn');
-        localStorage.removeItem('loginTime');
-        window.location.href = '/login';
-        return false;
+// Live per-account QR codes and status from the server
+function setupSocketListeners() {
+    socket.on('connect_error', (error) => {
+        if (error.message === 'Authentication required') {
+            window.location.href = '/login';
+        }
+    });
+
+    socket.on('account_qr', (data) => {
+        const account = accounts.find(acc => acc.id === data.accountId);
+        if (account) {
+            account.status = 'qr_pending';
+            updateAccountsDisplay();
+            updateStats();
+        }
+        
+        if (qrModalAccountId === data.accountId) {
+            displayAccountQr(data.qr);
+        }
+    });
+
+    socket.on('account_status', (data) => {
+        const account = accounts.find(acc => acc.id === data.accountId);
+        if (account) {
+            account.status = data.status;
+            updateAccountsDisplay();
+            updateStats();
+        }
+        
+        if (qrModalAccountId === data.accountId) {
+            document.getElementById('accountQrStatus').textContent = data.message || getStatusText(data.status);
+            
+            if (data.status === 'ready') {
+                hideAccountQrModal();
+                showToast(`${account ? account.name : 'Account'} is connected and ready!`, 'success');
+            }
+        }
+    });
+
+    socket.on('account_removed', (data) => {
+        accounts = accounts.filter(acc => acc.id !== data.accountId);
+        updateAccountsDisplay();
+        updateStats();
+    });
+}
+
+// Check if user is authenticated (the server owns the session and its 24 hour expiry)
+async function checkAuthentication() {
+    try {
+        const response = await fetch('/api/auth/session');
+        if (!response.ok) {
+            window.location.href = '/login';
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.error('Error checking session:', error);
+        return true;
     }
-    
-    return true;
 }
 
 // Set up event listeners
@@ -89,6 +127,7 @@ async function loadAccounts() {
             accounts = data.accounts || [];
             updateAccountsDisplay();
             updateStats();
+            loadCampaignCount();
         } else {
             showToast('Failed to load accounts: ' + data.error, 'error');
         }
@@ -106,6 +145,18 @@ async function loadAccounts() {
     }
 }
 
+// Count running and paused campaigns for the stats panel
+async function loadCampaignCount() {
+    try {
+        const response = await fetch('/api/campaigns/active');
+        const data = await response.json();
+        stats.campaigns = (data.campaigns || []).length;
+        updateStats();
+    } catch (error) {
+        console.log('Campaign count refresh failed:', error);
+    }
+}
+
 // Update accounts display
 function updateAccountsDisplay() {
     const accountsGrid = document.getElementById('accountsGrid');
@@ -158,6 +209,11 @@ function createAccountCard(account) {
                     <i class="fas fa-plug"></i>
                     Connect
                 </button>` :
+                account.status === 'qr_pending' || account.status === 'connecting' ?
+                `<button class="action-btn connect-btn" onclick="showAccountQrModal('${account.id}')">
+                    <i class="fas fa-qrcode"></i>
+                    Show QR
+                </button>` :
                 `<button class="action-btn use-btn" onclick="useAccount('${account.id}')">
                     <i class="fas fa-paper-plane"></i>
                     Use Account
@@ -279,10 +335,12 @@ async function connectAccount(accountId) {
             // Update account status
             const account = accounts.find(acc => acc.id === accountId);
             if (account) {
-                account.status = 'connecting';
+                account.status = data.account.status;
                 updateAccountsDisplay();
                 updateStats();
             }
+            
+            showAccountQrModal(accountId);
         } else {
             showToast('Failed to connect: ' + data.error, 'error');
         }
@@ -388,12 +446,46 @@ function showAccountDetailsModal(accountId) {
     modal.classList.add('show');
 }
 
+async function showAccountQrModal(accountId) {
+    const account = accounts.find(acc => acc.id === accountId);
+    qrModalAccountId = accountId;
+    
+    document.getElementById('accountQrTitle').innerHTML = `
+        <i class="fas fa-qrcode"></i> Link ${account ? account.name : 'Account'}
+    `;
+    document.getElementById('accountQrCode').innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+    document.getElementById('accountQrStatus').textContent = 'Starting WhatsApp client...';
+    document.getElementById('accountQrModal').classList.add('show');
+    
+    // A QR code may already be waiting if the client was started earlier
+    try {
+        const response = await fetch(`/api/accounts/${accountId}/qr`);
+        const data = await response.json();
+        if (data.success && qrModalAccountId === accountId) {
+            displayAccountQr(data.qr);
+        }
+    } catch (error) {
+        console.log('No QR code available yet:', error);
+    }
+}
+
+function displayAccountQr(qrData) {
+    document.getElementById('accountQrCode').innerHTML = `<img src="${qrData}" alt="WhatsApp QR code">`;
+    document.getElementById('accountQrStatus').textContent = 'Scan QR code with your WhatsApp mobile app';
+}
+
+function hideAccountQrModal() {
+    qrModalAccountId = null;
+    document.getElementById('accountQrModal').classList.remove('show');
+}
+
 function hideAccountDetailsModal() {
     const modal = document.getElementById('accountDetailsModal');
     modal.classList.remove('show');
 }
 
 function hideAllModals() {
+    qrModalAccountId = null;
     document.querySelectorAll('.modal').forEach(modal => {
         modal.classList.remove('show');
     });
@@ -404,14 +496,17 @@ function goToDashboard() {
     window.location.href = '/dashboard';
 }
 
-function logout() {
+async function logout() {
     if (!confirm('Are you sure you want to logout?')) {
         return;
     }
     
-    // Clear login state
-    localStorage.removeItem('isLoggedIn');
-    localStorage.removeItem('loginTime');
+    // End the server session
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
     localStorage.removeItem('selectedAccount');
     
     // Redirect to login
@@ -6,12 +6,15 @@ document.addEventListener('DOMContentLoaded', function() {
     const loginBtn = document.querySelector('.login-btn');
 
     // Check if user is already logged in
-    if (localStorage.getItem('isLoggedIn') === 'true') {
-        window.location.href = '/dashboard';
-        return;
-    }
+    fetch('/api/auth/session')
+        .then(response => {
+            if (response.ok) {
+                window.location.href = '/dashboard';
+            }
+        })
+        .catch(error => console.error('Error checking session:', error));
 
-    loginForm.addEventListener('submit', function(e) {
+    loginForm.addEventListener('submit', async function(e) {
         e.preventDefault();
         
         const email = document.getElementById('email').value.trim();
@@ -24,12 +27,27 @@ document.addEventListener('DOMContentLoaded', function() {
         // Hide any previous error messages
         errorMessage.style.display = 'none';
         
-        // Validate credentials
-        if (email === 'glowmore.work@gmail.com' && password === 'Moti-420') {
-            // Success - store login state
-            localStorage.setItem('isLoggedIn', 'true');
-            localStorage.setItem('loginTime', new Date().toISOString());
+        // Validate credentials on the server - it sets an HTTP-only session cookie
+        let loginError = null;
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email: email, password: password })
+            });
             
+            if (!response.ok) {
+                const data = await response.json();
+                loginError = data.error || 'Invalid email or password. Please try again.';
+            }
+        } catch (error) {
+            console.error('Login error:', error);
+            loginError = 'Unable to reach the server. Please try again.';
+        }
+        
+        if (!loginError) {
             // Show success message briefly
             loginBtn.innerHTML = '<i class="fas fa-check"></i> Success!';
             loginBtn.style.background = 'linear-gradient(135deg, #25D366 0%, #128C7E 100%)';
@@ -41,7 +59,7 @@ document.addEventListener('DOMContentLoaded', function() {
             
         } else {
             // Show error message
-            errorText.textContent = 'Invalid email or password. Please try again.';
+            errorText.textContent = loginError;
             errorMessage.style.display = 'flex';
             
             // Reset button
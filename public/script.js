@@ -59,18 +59,35 @@ const numberLimits = {
     '1800-3600': { limit: 500, description: '500 numbers for 30-60 minutes delay' }
 };
 
+// Account chosen with "Use Account" in the account manager (null = default client)
+let selectedAccountId = localStorage.getItem('selectedAccount');
+
+// Template picked from the template library (null = message typed by hand)
+let selectedTemplate = null;
+
+// Pairing code shown while linking with a phone number, and the timer counting down to the next one
+let pairingCode = null;
+let pairingTimer = null;
+
 // Campaign Management
 let campaignCounter = 0;
 let campaigns = [];
 let activeCampaign = null;
 let campaignQueue = [];
 
+// Latest number validation and the recipient list it checked
+let currentValidation = null;
+
+// Reply inbox: the campaign shown and the open conversation
+let inboxCampaignId = null;
+let inboxNumber = null;
+
 // Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('Application initialized');
     
     // Check authentication
-    if (!checkAuthentication()) {
+    if (!(await checkAuthentication())) {
         return;
     }
     
@@ -80,6 +97,13 @@ document.addEventListener('DOMContentLoaded', function() {
     // Request initial status
     requestStatus();
     
+    // Show which account campaigns will be sent from
+    loadSelectedAccount();
+    loadSenderPoolAccounts();
+    loadSendQuota();
+    loadTemplates();
+    loadInboxCampaigns();
+    
     // Ensure control panel is visible by default
     setTimeout(() => {
         console.log('🔧 Ensuring control panel is visible on startup');
@@ -93,50 +117,32 @@ document.addEventListener('DOMContentLoaded', function() {
     setInterval(checkSessionTimeout, 5 * 60 * 1000);
 });
 
-// Check if user is authenticated
-function checkAuthentication() {
-    const isLoggedIn = localStorage.getItem('isLoggedIn') === 'true';
-    const loginTime = localStorage.getItem('loginTime');
-    
-    if (!isLoggedIn || !loginTime) {
-        window.location.href = '/login';
-        return false;
-    }
-    
-    // Check if login is still valid (24 hours)
-    const loginDate = new Date(loginTime);
-    const now = new Date();
-    const hoursDiff = (now - loginDate) / (1000 * 60 * 60);
-    
-    if (hoursDiff >= 24) {
-        // Login expired
-        localStorage.removeItem('isLoggedIn');
-        localStorage.removeItem('loginTime');
-        window.location.href = '/login';
-        return false;
+// Check if user is authenticated (the server owns the session and its 24 hour expiry)
+async function checkAuthentication() {
+    try {
+        const response = await fetch('/api/auth/session');
+        if (!response.ok) {
+            window.location.href = '/login';
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.error('Error checking session:', error);
+        return true; // Server unreachable - keep the page, socket reconnects will recover
     }
-    
-    return true;
 }
 
 // Check session timeout
-function checkSessionTimeout() {
-    const loginTime = localStorage.getItem('loginTime');
-    if (!loginTime) {
-        window.location.href = '/login';
-        return;
-    }
-    
-    const loginDate = new Date(loginTime);
-    const now = new Date();
-    const hoursDiff = (now - loginDate) / (1000 * 60 * 60);
-    
-    if (hoursDiff >= 24) {
-        // Session expired
-        localStorage.removeItem('isLoggedIn');
-        localStorage.removeItem('loginTime');
-        alert('Your session has expired. Please login again.');
-        window.location.href = '/login';
+async function checkSessionTimeout() {
+    try {
+        const response = await fetch('/api/auth/session');
+        if (response.status === 401) {
+            // Session expired
+            alert('Your session has expired. Please login again.');
+            window.location.href = '/login';
+        }
+    } catch (error) {
+        console.error('Error checking session timeout:', error);
     }
 }
 
@@ -153,6 +159,29 @@ function setupEventListeners() {
         showToast('Disconnected from server', 'error');
     });
 
+    socket.on('connect_error', (error) => {
+        if (error.message === 'Authentication required') {
+            window.location.href = '/login';
+        }
+    });
+
+    socket.on('account_status', (data) => {
+        if (data.accountId === selectedAccountId && data.message) {
+            console.log('Selected account status:', data);
+            showToast(data.message, data.status === 'ready' ? 'success' : 'info');
+        }
+    });
+
+    socket.on('sender_failover', (data) => {
+        console.log('Sender failover:', data);
+        showToast(`Account ${data.accountId} is unavailable - switching to another pool account`, 'warning');
+    });
+
+    socket.on('session_expired', () => {
+        alert('Your session has expired. Please login again.');
+        window.location.href = '/login';
+    });
+
     socket.on('status', (data) => {
         console.log('Status update:', data);
         updateStatus(data);
@@ -163,10 +192,16 @@ function setupEventListeners() {
         displayQRCode(qrData);
     });
 
+    socket.on('pairing_code', (data) => {
+        console.log('Pairing code received');
+        displayPairingCode(data);
+    });
+
     socket.on('authenticated', () => {
         console.log('WhatsApp authenticated');
         isAuthenticated = true;
         showToast('WhatsApp authenticated successfully!', 'success');
+        hidePairingCode();
         hideQRSection();
     });
 
@@ -186,6 +221,7 @@ function setupEventListeners() {
         console.log('WhatsApp disconnected:', reason);
         isAuthenticated = false;
         isReady = false;
+        hidePairingCode();
         showToast('WhatsApp disconnected: ' + reason, 'error');
         hideControlPanel();
         hideProgressSection();
@@ -195,6 +231,7 @@ function setupEventListeners() {
         console.log('Logged out successfully');
         isAuthenticated = false;
         isReady = false;
+        hidePairingCode();
         showToast('Logged out successfully', 'success');
         hideControlPanel();
         hideProgressSection();
@@ -218,10 +255,9 @@ function setupEventListeners() {
         showToast(`Bulk send completed! ${data.success} sent, ${data.failed} failed`, 'success');
         isSending = false;
         
-        // Complete current campaign and start next one
+        // Complete current campaign - the server starts the next queued one
         if (activeCampaign && data.campaignId === activeCampaign.id) {
             completeCampaign(activeCampaign.id, data);
-            startNextCampaign();
         }
         
         // Force show control panel immediately after campaign completion
@@ -268,6 +304,15 @@ function setupEventListeners() {
     mediaFile.addEventListener('change', handleFileSelect);
     messageDelay.addEventListener('change', handleDelayChange);
     messageText.addEventListener('input', handleMessageInput);
+    document.getElementById('validateNumbersBtn').addEventListener('click', handleValidateNumbers);
+    document.getElementById('removeInvalidBtn').addEventListener('click', handleRemoveInvalidNumbers);
+    document.getElementById('inboxCampaign').addEventListener('change', handleInboxCampaignChange);
+    document.getElementById('templateSelect').addEventListener('change', handleTemplateSelect);
+    document.getElementById('templateSheet').addEventListener('change', handleTemplateSheetCheck);
+    document.getElementById('addVariantBtn').addEventListener('click', () => addMessageVariant());
+    document.getElementById('inboxReplyForm').addEventListener('submit', handleInboxReply);
+    document.getElementById('pairingForm').addEventListener('submit', handlePairingRequest);
+    document.getElementById('usePairingQrBtn').addEventListener('click', handleUseQRCode);
     
     // Add delay preview update
     messageDelay.addEventListener('change', updateDelayPreview);
@@ -300,6 +345,520 @@ function setupEventListeners() {
 
 }
 
+// Resolve the selected sending account and show it in the control panel
+async function loadSelectedAccount() {
+    const selectedAccountName = document.getElementById('selectedAccountName');
+    if (!selectedAccountId) {
+        selectedAccountName.textContent = 'Default account';
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/accounts');
+        const data = await response.json();
+        const account = (data.accounts || []).find(acc => acc.id === selectedAccountId);
+        
+        if (account) {
+            selectedAccountName.textContent = `Sending from: ${account.name}`;
+        } else {
+            // The account was deleted - fall back to the default client
+            localStorage.removeItem('selectedAccount');
+            selectedAccountId = null;
+            selectedAccountName.textContent = 'Default account';
+            showToast('Selected account no longer exists - using the default account', 'warning');
+        }
+    } catch (error) {
+        console.error('Error loading selected account:', error);
+    }
+}
+
+// Fill the template picker from the template library
+async function loadTemplates() {
+    try {
+        const response = await fetch('/api/templates');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load templates');
+        }
+        
+        const select = document.getElementById('templateSelect');
+        select.innerHTML = '<option value="">📝 No template</option>';
+        data.templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.tags.length > 0 ? `📝 ${template.name} (${template.tags.join(', ')})` : `📝 ${template.name}`;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading templates:', error);
+    }
+}
+
+// Picking a template fills in the message and lists the columns it needs
+async function handleTemplateSelect(event) {
+    const templateId = event.target.value;
+    selectedTemplate = null;
+    document.getElementById('templateDetails').style.display = 'none';
+    if (!templateId) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/templates/${encodeURIComponent(templateId)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load template');
+        }
+        
+        selectedTemplate = data.template;
+        messageText.value = selectedTemplate.body;
+        handleMessageInput();
+        renderTemplateVariables([]);
+        
+        const media = selectedTemplate.defaultMedia.map(file => file.filename);
+        document.getElementById('templateStatus').textContent =
+            `Version ${selectedTemplate.version}` + (media.length > 0 ? ` - sends ${media.join(', ')} unless you attach other files` : '');
+        document.getElementById('templateDetails').style.display = 'block';
+    } catch (error) {
+        console.error('Error loading template:', error);
+        showToast('Error: ' + error.message, 'error');
+    }
+}
+
+function renderTemplateVariables(missingVariables) {
+    const container = document.getElementById('templateVariables');
+    container.innerHTML = '';
+    selectedTemplate.variables.forEach(variable => {
+        const chip = document.createElement('span');
+        chip.className = 'template-variable' + (variable.required ? '' : ' optional') + (missingVariables.includes(variable.name) ? ' missing' : '');
+        chip.textContent = `{{${variable.name}}}`;
+        chip.title = variable.required ? 'Required column' : 'Optional - the template has a fallback';
+        container.appendChild(chip);
+    });
+}
+
+// Check a recipient spreadsheet against the selected template's variables
+async function handleTemplateSheetCheck(event) {
+    const sheet = event.target.files[0];
+    event.target.value = '';
+    if (!sheet) {
+        return;
+    }
+    if (!selectedTemplate) {
+        showToast('Pick a template first', 'warning');
+        return;
+    }
+    
+    const formData = new FormData();
+    formData.append('excelFile', sheet);
+    formData.append('message', messageText.value.trim());
+    formData.append('version', selectedTemplate.version);
+    
+    try {
+        const response = await fetch(`/api/templates/${encodeURIComponent(selectedTemplate.id)}/check`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to check sheet');
+        }
+        
+        renderTemplateVariables(data.missingVariables);
+        if (data.ready) {
+            showToast(`${sheet.name} has every column the template needs`, 'success');
+        } else {
+            showToast(`${sheet.name} is missing column(s): ${data.missingVariables.join(', ')}`, 'error');
+        }
+    } catch (error) {
+        console.error('Error checking sheet:', error);
+        showToast('Error: ' + error.message, 'error');
+    }
+}
+
+// Another version of the message; recipients get the message and its variants in turn
+function addMessageVariant(text = '') {
+    const container = document.getElementById('messageVariants');
+    const variant = document.createElement('div');
+    variant.className = 'message-variant';
+    
+    const textarea = document.createElement('textarea');
+    textarea.className = 'message-variant-text';
+    textarea.rows = 4;
+    textarea.maxLength = 4096;
+    textarea.placeholder = `Variant ${container.children.length + 2} of the message`;
+    textarea.value = text;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'tool-btn';
+    removeBtn.title = 'Remove variant';
+    removeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+    removeBtn.addEventListener('click', () => variant.remove());
+    
+    variant.appendChild(textarea);
+    variant.appendChild(removeBtn);
+    container.appendChild(variant);
+    textarea.focus();
+}
+
+// With variants filled in, the message goes first in the list of variants
+function appendMessageVariants(formData, message) {
+    const variants = Array.from(document.querySelectorAll('.message-variant-text'))
+        .map(textarea => textarea.value.trim())
+        .filter(Boolean);
+    if (variants.length > 0) {
+        formData.append('messageVariants', JSON.stringify([message, ...variants]));
+    }
+}
+
+// Campaigns started with a template record it and get its default attachments
+function appendTemplate(formData) {
+    if (selectedTemplate) {
+        formData.append('templateId', selectedTemplate.id);
+        formData.append('templateVersion', selectedTemplate.version);
+    }
+}
+
+// Show how much the selected account may still send before its rate limits hold campaigns
+async function loadSendQuota() {
+    try {
+        const response = await fetch('/api/rate-limits');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load send quota');
+        }
+        const account = data.accounts.find(acc => acc.accountId === (selectedAccountId || 'default'));
+        if (account) {
+            renderSendQuota(account.quota);
+        }
+    } catch (error) {
+        console.error('Error loading send quota:', error);
+    }
+}
+
+function renderSendQuota(quota) {
+    const formatRemaining = (remaining, limit) => remaining === null ? 'no limit' : `${remaining} of ${limit} left`;
+    document.getElementById('quotaHour').textContent = formatRemaining(quota.remaining.hour, quota.limits.maxPerHour);
+    document.getElementById('quotaDay').textContent = formatRemaining(quota.remaining.day, quota.limits.dailyLimit) + (quota.warmingUp ? ' (warming up)' : '');
+    document.getElementById('quotaBurst').textContent = formatRemaining(quota.remaining.burst, quota.limits.burstLimit);
+    document.getElementById('quotaStatus').textContent = quota.allowed
+        ? ''
+        : `Holding sends: ${quota.reason}, resumes in ${Math.ceil(quota.waitMs / 60000)} min`;
+    document.getElementById('quotaSummary').classList.toggle('limited', !quota.allowed);
+}
+
+// List linked accounts that can join a campaign's sender pool
+async function loadSenderPoolAccounts() {
+    const senderPoolSection = document.getElementById('senderPoolSection');
+    const senderPoolAccounts = document.getElementById('senderPoolAccounts');
+    
+    try {
+        const response = await fetch('/api/accounts');
+        const data = await response.json();
+        const linkedAccounts = (data.accounts || []).filter(acc => acc.status !== 'disconnected');
+        
+        // A pool only makes sense with at least two linked accounts
+        if (linkedAccounts.length < 2) {
+            senderPoolSection.style.display = 'none';
+            return;
+        }
+        
+        senderPoolAccounts.innerHTML = '';
+        // Account names are user input, so the row is built without innerHTML
+        linkedAccounts.forEach(account => {
+            const row = document.createElement('div');
+            row.className = 'sender-pool-account';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `pool_${account.id}`;
+            checkbox.value = account.id;
+            checkbox.className = 'sender-pool-checkbox';
+            
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = account.name;
+            
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.min = '1';
+            weight.value = '1';
+            weight.className = 'sender-pool-weight';
+            weight.dataset.accountId = account.id;
+            weight.title = 'Weight (weighted distribution only)';
+            
+            row.appendChild(checkbox);
+            row.appendChild(label);
+            row.appendChild(weight);
+            senderPoolAccounts.appendChild(row);
+        });
+        senderPoolSection.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading sender pool accounts:', error);
+    }
+}
+
+// Build the sender pool definition for the upload form, or null when no pool is selected
+function getSenderPoolDefinition() {
+    const accountIds = Array.from(document.querySelectorAll('.sender-pool-checkbox:checked')).map(input => input.value);
+    if (accountIds.length === 0) {
+        return null;
+    }
+    
+    const weights = {};
+    document.querySelectorAll('.sender-pool-weight').forEach(input => {
+        if (accountIds.includes(input.dataset.accountId)) {
+            weights[input.dataset.accountId] = parseInt(input.value, 10) || 1;
+        }
+    });
+    
+    const dailyCap = document.getElementById('senderPoolDailyCap').value;
+    return {
+        accountIds: accountIds,
+        strategy: document.getElementById('senderPoolStrategy').value,
+        weights: weights,
+        dailyCap: dailyCap ? parseInt(dailyCap, 10) : null
+    };
+}
+
+// Check the recipient list with WhatsApp before sending - results stream in over Socket.IO
+async function handleValidateNumbers() {
+    const numbers = phoneNumbers.value.trim();
+    if (!numbers) {
+        showToast('Please enter phone numbers', 'error');
+        return;
+    }
+    
+    const formData = new FormData();
+    formData.append('phoneNumbers', numbers);
+    if (selectedAccountId) {
+        formData.append('accountId', selectedAccountId);
+    }
+    
+    try {
+        const response = await fetch('/api/campaign/validate', {
+            method: 'POST',
+            body: formData
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Validation failed');
+        }
+        
+        currentValidation = { validationId: data.validationId, numbers: numbers };
+        updateValidationSummary(data);
+        showToast(`Validating ${data.counts.total} numbers...`, 'info');
+    } catch (error) {
+        console.error('Validation error:', error);
+        showToast('Error: ' + error.message, 'error');
+    }
+}
+
+function updateValidationSummary(validation) {
+    if (!currentValidation || validation.validationId !== currentValidation.validationId) {
+        return;
+    }
+    
+    const counts = validation.counts;
+    const finished = ['completed', 'failed'].includes(validation.status);
+    document.getElementById('validationSummary').style.display = 'block';
+    document.getElementById('validationValid').textContent = counts.valid;
+    document.getElementById('validationNotOnWhatsApp').textContent = counts.notOnWhatsApp;
+    document.getElementById('validationMalformed').textContent = counts.malformed;
+    
+    let statusText = `Checking numbers... ${validation.checked}/${counts.total - counts.malformed}`;
+    if (validation.status === 'completed') {
+        statusText = counts.errors > 0 ? `Validation complete - ${counts.errors} could not be checked` : 'Validation complete';
+    } else if (validation.status === 'failed') {
+        statusText = 'Validation failed: ' + validation.error;
+    }
+    document.getElementById('validationStatus').textContent = statusText;
+    
+    document.getElementById('validationActions').style.display = finished ? 'flex' : 'none';
+    document.getElementById('exportValidationLink').href = `/api/campaign/validate/${encodeURIComponent(validation.validationId)}/export?format=xlsx`;
+}
+
+// Fill the inbox campaign picker, keeping the current choice
+async function loadInboxCampaigns() {
+    try {
+        const response = await fetch('/api/campaigns');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load campaigns');
+        }
+        
+        const select = document.getElementById('inboxCampaign');
+        select.innerHTML = '<option value="">Select a campaign</option>';
+        let unread = 0;
+        data.campaigns
+            .filter(campaign => campaign.status !== 'scheduled' && campaign.status !== 'queued')
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .forEach(campaign => {
+                const option = document.createElement('option');
+                option.value = campaign.campaignId;
+                option.textContent = campaign.unreadReplies > 0 ? `${campaign.campaignId} (${campaign.unreadReplies} unread)` : campaign.campaignId;
+                select.appendChild(option);
+                unread += campaign.unreadReplies || 0;
+            });
+        select.value = inboxCampaignId || '';
+        document.getElementById('inboxUnread').textContent = `${unread} unread`;
+    } catch (error) {
+        console.error('Error loading inbox campaigns:', error);
+    }
+}
+
+function handleInboxCampaignChange(event) {
+    inboxCampaignId = event.target.value || null;
+    inboxNumber = null;
+    loadInboxConversations();
+}
+
+// Load the selected campaign's conversations and the open thread (which marks it read)
+async function loadInboxConversations() {
+    if (!inboxCampaignId) {
+        renderInboxConversations([]);
+        renderInboxThread([]);
+        return;
+    }
+    
+    try {
+        const query = inboxNumber ? `?number=${encodeURIComponent(inboxNumber)}` : '';
+        const response = await fetch(`/api/campaign/${encodeURIComponent(inboxCampaignId)}/replies${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load replies');
+        }
+        
+        renderInboxConversations(data.conversations);
+        renderInboxThread(inboxNumber ? data.replies : []);
+        loadInboxCampaigns();
+    } catch (error) {
+        console.error('Error loading replies:', error);
+        showToast('Error: ' + error.message, 'error');
+    }
+}
+
+function renderInboxConversations(conversations) {
+    const container = document.getElementById('inboxConversations');
+    container.innerHTML = '';
+    if (conversations.length === 0) {
+        container.innerHTML = '<p class="inbox-empty">No replies yet</p>';
+        return;
+    }
+    
+    conversations.forEach(conversation => {
+        const item = document.createElement('div');
+        item.className = 'inbox-conversation' + (conversation.number === inboxNumber ? ' selected' : '');
+        
+        const top = document.createElement('div');
+        top.className = 'inbox-conversation-top';
+        const name = document.createElement('span');
+        const fields = conversation.fields || {};
+        name.textContent = fields.name ? `${fields.name} (${conversation.number.replace('@c.us', '')})` : conversation.number.replace('@c.us', '');
+        top.appendChild(name);
+        if (conversation.unread > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'inbox-badge';
+            badge.textContent = conversation.unread;
+            top.appendChild(badge);
+        }
+        
+        const preview = document.createElement('div');
+        preview.className = 'inbox-conversation-preview';
+        preview.textContent = (conversation.lastDirection === 'outgoing' ? 'You: ' : '') + conversation.lastMessage;
+        
+        item.appendChild(top);
+        item.appendChild(preview);
+        item.addEventListener('click', () => {
+            inboxNumber = conversation.number;
+            loadInboxConversations();
+        });
+        container.appendChild(item);
+    });
+}
+
+// Reply text comes from recipients, so it is only ever set as textContent
+function renderInboxThread(replies) {
+    const messages = document.getElementById('inboxMessages');
+    messages.innerHTML = '';
+    document.getElementById('inboxThreadHeader').textContent = inboxNumber ? inboxNumber.replace('@c.us', '') : 'Select a conversation';
+    document.getElementById('inboxReplyText').disabled = !inboxNumber;
+    document.getElementById('inboxReplyBtn').disabled = !inboxNumber;
+    
+    replies.forEach(reply => {
+        const bubble = document.createElement('div');
+        bubble.className = `inbox-message ${reply.direction}`;
+        bubble.textContent = reply.body || (reply.hasMedia ? `[${reply.type}]` : '');
+        const time = document.createElement('span');
+        time.className = 'inbox-message-time';
+        time.textContent = new Date(reply.timestamp).toLocaleString();
+        bubble.appendChild(time);
+        messages.appendChild(bubble);
+    });
+    messages.scrollTop = messages.scrollHeight;
+}
+
+// Answer the open conversation from the account that sent the campaign message
+async function handleInboxReply(event) {
+    event.preventDefault();
+    const text = document.getElementById('inboxReplyText');
+    const message = text.value.trim();
+    if (!inboxCampaignId || !inboxNumber || !message) {
+        return;
+    }
+    
+    const button = document.getElementById('inboxReplyBtn');
+    button.disabled = true;
+    try {
+        const response = await fetch(`/api/campaign/${encodeURIComponent(inboxCampaignId)}/replies`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ number: inboxNumber, message: message })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to send reply');
+        }
+        text.value = '';
+    } catch (error) {
+        console.error('Error sending reply:', error);
+        showToast('Error: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Replace the recipient list with the numbers that passed validation
+async function handleRemoveInvalidNumbers() {
+    if (!currentValidation) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/campaign/validate/${encodeURIComponent(currentValidation.validationId)}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Validation not found');
+        }
+        
+        // Numbers that could not be checked stay in the list
+        const kept = data.results
+            .filter(result => result.status === 'valid' || result.status === 'error')
+            .map(result => result.number.replace('@c.us', ''));
+        phoneNumbers.value = kept.join('\n');
+        currentValidation.numbers = phoneNumbers.value.trim();
+        handlePhoneNumbersInput();
+        showToast(`Removed ${data.results.length - kept.length} invalid numbers`, 'success');
+    } catch (error) {
+        console.error('Error removing invalid numbers:', error);
+        showToast('Error: ' + error.message, 'error');
+    }
+}
+
 // Request current status from server
 async function requestStatus() {
     try {
@@ -410,6 +969,77 @@ function displayQRCode(qrData) {
     showQRSection();
 }
 
+// Link with a phone number instead of the QR code - the server streams a fresh code
+// over Socket.IO until the phone is linked
+async function handlePairingRequest(event) {
+    event.preventDefault();
+    const submitBtn = document.getElementById('pairingSubmitBtn');
+    submitBtn.disabled = true;
+    try {
+        const response = await fetch('/api/pairing-code', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phoneNumber: document.getElementById('pairingPhone').value.trim() })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            showToast(data.error || 'Failed to request pairing code', 'error');
+            return;
+        }
+        displayPairingCode(data);
+    } catch (error) {
+        console.error('Error requesting pairing code:', error);
+        showToast('Error requesting pairing code', 'error');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Go back to the QR code and stop refreshing pairing codes
+async function handleUseQRCode() {
+    hidePairingCode();
+    try {
+        await fetch('/api/pairing-code', { method: 'DELETE' });
+    } catch (error) {
+        console.error('Error cancelling pairing code:', error);
+    }
+}
+
+function displayPairingCode(data) {
+    pairingCode = data;
+    document.getElementById('pairingPhoneLabel').textContent = `+${data.phoneNumber}`;
+    // Shown as two groups of four, the way the phone asks for it
+    document.getElementById('pairingCodeValue').textContent = data.code.length === 8
+        ? `${data.code.slice(0, 4)}-${data.code.slice(4)}`
+        : data.code;
+    document.querySelector('.qr-container').style.display = 'none';
+    document.getElementById('pairingForm').style.display = 'none';
+    document.getElementById('pairingCodePanel').style.display = 'block';
+    showQRSection();
+
+    updatePairingCountdown();
+    clearInterval(pairingTimer);
+    pairingTimer = setInterval(updatePairingCountdown, 1000);
+}
+
+function updatePairingCountdown() {
+    if (!pairingCode) {
+        return;
+    }
+    const seconds = Math.max(0, Math.round((new Date(pairingCode.expiresAt) - Date.now()) / 1000));
+    document.getElementById('pairingRefresh').textContent = seconds > 0
+        ? `A new code follows in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+        : 'Waiting for a new code...';
+}
+
+function hidePairingCode() {
+    pairingCode = null;
+    clearInterval(pairingTimer);
+    document.querySelector('.qr-container').style.display = '';
+    document.getElementById('pairingForm').style.display = '';
+    document.getElementById('pairingCodePanel').style.display = 'none';
+}
+
 // Show/hide sections
 function showQRSection() {
     qrSection.style.display = 'block';
@@ -592,6 +1222,10 @@ function handleFileSelect(event) {
     const file = event.target.files[0];
     const input = event.target;
     
+    if (input.id === 'mediaFile') {
+        renderAttachmentList();
+    }
+    
     if (file) {
         // Find the corresponding label
         let label;
@@ -602,7 +1236,7 @@ function handleFileSelect(event) {
         }
         
         if (label) {
-            label.textContent = file.name;
+            label.textContent = input.files.length > 1 ? `${input.files.length} files selected` : file.name;
         }
         updateSendButton();
     } else {
@@ -619,6 +1253,38 @@ function handleFileSelect(event) {
     }
 }
 
+// One row per selected attachment with its own caption
+function renderAttachmentList() {
+    const list = document.getElementById('attachmentList');
+    list.innerHTML = '';
+    
+    Array.from(mediaFile.files).forEach((file, index) => {
+        const kind = file.type.split('/')[0];
+        const icon = kind === 'image' ? 'fa-image' : kind === 'video' ? 'fa-video' : kind === 'audio' ? 'fa-microphone' : 'fa-file-alt';
+        
+        const item = document.createElement('div');
+        item.className = 'attachment-item';
+        
+        const name = document.createElement('span');
+        name.className = 'attachment-name';
+        name.title = file.name;
+        const iconElement = document.createElement('i');
+        iconElement.className = `fas ${icon}`;
+        name.appendChild(iconElement);
+        name.appendChild(document.createTextNode(file.name));
+        
+        const caption = document.createElement('input');
+        caption.type = 'text';
+        caption.className = 'attachment-caption';
+        caption.maxLength = 1024;
+        caption.placeholder = index === 0 ? 'Caption (defaults to the message)' : 'Caption (optional)';
+        
+        item.appendChild(name);
+        item.appendChild(caption);
+        list.appendChild(item);
+    });
+}
+
 // Handle phone numbers input
 function handlePhoneNumbersInput() {
     const numbers = phoneNumbers.value.trim();
@@ -848,49 +1514,107 @@ async function handleTextMessage() {
         return;
     }
     
-    // Create new campaign
-    const campaign = createCampaign('text', message, `${count} numbers`);
-    addCampaignToQueue(campaign);
-    
     const formData = new FormData();
     formData.append('phoneNumbers', numbers);
     formData.append('message', message);
     formData.append('fileType', 'text');
-    formData.append('campaignId', campaign.id);
+    appendMessageVariants(formData, message);
+    appendTemplate(formData);
     formData.append('delayRange', document.getElementById('messageDelay').value);
+    formData.append('priority', document.getElementById('campaignPriority').value);
+    // Leave out numbers the last validation found are not on WhatsApp (only if the list is unchanged)
+    if (currentValidation && currentValidation.numbers === numbers) {
+        formData.append('validationId', currentValidation.validationId);
+    }
+    if (selectedAccountId) {
+        formData.append('accountId', selectedAccountId);
+    }
+    const senderPoolDefinition = getSenderPoolDefinition();
+    if (senderPoolDefinition) {
+        formData.append('senderPool', JSON.stringify(senderPoolDefinition));
+    }
+    const schedule = getScheduleDefinition();
+    if (schedule.scheduledAt) {
+        formData.append('scheduledAt', schedule.scheduledAt);
+    }
+    if (schedule.sendingWindow) {
+        formData.append('sendingWindow', JSON.stringify(schedule.sendingWindow));
+    }
     
     try {
-        const response = await fetch('/api/upload-and-send', {
+        // The server assigns the campaign ID and queues (or schedules) the campaign
+        const response = await fetch('/api/campaigns', {
             method: 'POST',
             body: formData
         });
         
         const responseData = await response.json();
+        showRejectedNumbers(responseData.rejected);
+        showSkippedNumbers(responseData);
         
         if (!response.ok) {
             throw new Error(responseData.error || 'Upload failed');
         }
         
-        showToast(`Campaign "${campaign.name}" added to queue!`, 'success');
+        const campaign = createCampaign(responseData.campaignId, 'text', message, `${count} numbers`);
+        if (responseData.scheduled) {
+            campaign.status = 'scheduled';
+            campaign.scheduledAt = responseData.scheduledAt;
+            campaign.total = responseData.total;
+            showToast(`Campaign "${campaign.name}" scheduled for ${new Date(responseData.scheduledAt).toLocaleString()}`, 'success');
+        } else if (responseData.queued) {
+            showToast(`Campaign "${campaign.name}" added to queue at position ${responseData.position}`, 'success');
+        } else {
+            showToast(`Campaign "${campaign.name}" started!`, 'success');
+        }
+        updateCampaignDisplay();
         
     } catch (error) {
         console.error('Send error:', error);
         showToast('Error: ' + error.message, 'error');
-        removeCampaignFromQueue(campaign.id);
+    }
+}
+
+// Tell the user which numbers the server could not use and why (first few only)
+function showRejectedNumbers(rejected) {
+    if (!rejected || rejected.length === 0) {
+        return;
+    }
+    const examples = rejected.slice(0, 3).map(entry => `${entry.value} (${entry.reason})`).join(', ');
+    const more = rejected.length > 3 ? ` and ${rejected.length - 3} more` : '';
+    showToast(`Skipped ${rejected.length} invalid number(s): ${examples}${more}`, 'warning');
+}
+
+// Duplicates and suppressed numbers are left out of the campaign (they are listed in its report)
+function showSkippedNumbers(data) {
+    const parts = [];
+    if (data.duplicates) {
+        parts.push(`${data.duplicates} duplicate`);
+    }
+    if (data.suppressed) {
+        parts.push(`${data.suppressed} suppressed`);
+    }
+    if (parts.length > 0) {
+        showToast(`Left out ${parts.join(' and ')} number(s)`, 'info');
     }
 }
 
 // Handle media message sending
 async function handleMediaMessage() {
-    const mediaFileData = mediaFile.files[0];
+    const mediaFiles = Array.from(mediaFile.files);
     const numbers = phoneNumbers.value.trim();
     const message = messageText.value.trim();
     
-    if (!mediaFileData) {
+    if (mediaFiles.length === 0 && !(selectedTemplate && selectedTemplate.defaultMedia.length > 0)) {
         showToast('Please select a media file', 'error');
         return;
     }
     
+    if (mediaFiles.length > 10) {
+        showToast('Please select at most 10 attachments', 'error');
+        return;
+    }
+    
     if (!numbers) {
         showToast('Please enter phone numbers', 'error');
         return;
@@ -907,36 +1631,69 @@ async function handleMediaMessage() {
         return;
     }
     
-    // Create new campaign
-    const campaign = createCampaign('media', message, `${count} numbers`, mediaFileData.name);
-    addCampaignToQueue(campaign);
-    
     const formData = new FormData();
-    formData.append('mediaFile', mediaFileData);
+    mediaFiles.forEach(file => formData.append('mediaFile', file));
+    const captions = Array.from(document.querySelectorAll('#attachmentList .attachment-caption')).map(input => input.value.trim());
+    formData.append('captions', JSON.stringify(captions));
+    formData.append('sendAudioAsVoice', document.getElementById('sendAudioAsVoice').checked);
+    formData.append('sendMediaAsDocument', document.getElementById('sendMediaAsDocument').checked);
     formData.append('phoneNumbers', numbers);
     formData.append('message', message);
     formData.append('fileType', 'media');
-    formData.append('campaignId', campaign.id);
+    appendMessageVariants(formData, message);
+    appendTemplate(formData);
     formData.append('delayRange', document.getElementById('messageDelay').value);
+    formData.append('priority', document.getElementById('campaignPriority').value);
+    // Leave out numbers the last validation found are not on WhatsApp (only if the list is unchanged)
+    if (currentValidation && currentValidation.numbers === numbers) {
+        formData.append('validationId', currentValidation.validationId);
+    }
+    if (selectedAccountId) {
+        formData.append('accountId', selectedAccountId);
+    }
+    const senderPoolDefinition = getSenderPoolDefinition();
+    if (senderPoolDefinition) {
+        formData.append('senderPool', JSON.stringify(senderPoolDefinition));
+    }
+    const schedule = getScheduleDefinition();
+    if (schedule.scheduledAt) {
+        formData.append('scheduledAt', schedule.scheduledAt);
+    }
+    if (schedule.sendingWindow) {
+        formData.append('sendingWindow', JSON.stringify(schedule.sendingWindow));
+    }
     
     try {
-        const response = await fetch('/api/upload-and-send', {
+        // The server assigns the campaign ID and queues (or schedules) the campaign
+        const response = await fetch('/api/campaigns', {
             method: 'POST',
             body: formData
         });
         
         const responseData = await response.json();
+        showRejectedNumbers(responseData.rejected);
+        showSkippedNumbers(responseData);
         
         if (!response.ok) {
             throw new Error(responseData.error || 'Upload failed');
         }
         
-        showToast(`Campaign "${campaign.name}" added to queue!`, 'success');
+        const campaign = createCampaign(responseData.campaignId, 'media', message, `${count} numbers`, mediaFiles.map(file => file.name).join(', '));
+        if (responseData.scheduled) {
+            campaign.status = 'scheduled';
+            campaign.scheduledAt = responseData.scheduledAt;
+            campaign.total = responseData.total;
+            showToast(`Campaign "${campaign.name}" scheduled for ${new Date(responseData.scheduledAt).toLocaleString()}`, 'success');
+        } else if (responseData.queued) {
+            showToast(`Campaign "${campaign.name}" added to queue at position ${responseData.position}`, 'success');
+        } else {
+            showToast(`Campaign "${campaign.name}" started!`, 'success');
+        }
+        updateCampaignDisplay();
         
     } catch (error) {
         console.error('Send error:', error);
         showToast('Error: ' + error.message, 'error');
-        removeCampaignFromQueue(campaign.id);
     }
 }
 
@@ -976,7 +1733,7 @@ function addLogEntry(data) {
     // Determine entry class based on status
     if (data.status === 'sent') {
         logEntry.classList.add('success');
-    } else if (data.status === 'not_registered') {
+    } else if (data.status === 'not_registered' || data.status === 'skipped') {
         logEntry.classList.add('warning');
     } else {
         logEntry.classList.add('error');
@@ -994,6 +1751,9 @@ function addLogEntry(data) {
         case 'not_registered':
             statusText = 'Not registered on WhatsApp';
             break;
+        case 'skipped':
+            statusText = 'Skipped: ' + (data.error || 'not sent');
+            break;
         case 'failed':
             statusText = 'Failed: ' + (data.error || 'Unknown error');
             break;
@@ -1014,7 +1774,7 @@ function addLogEntry(data) {
 
 // Handle human behavior updates
 function handleHumanBehavior(data) {
-    const phoneNumber = data.number.replace('@c.us', '');
+    const phoneNumber = data.number ? data.number.replace('@c.us', '') : '';
     
     // Remove previous behavior entries for the same phone number
     const existingEntries = logContent.querySelectorAll('.behavior-entry');
@@ -1058,6 +1818,10 @@ function handleHumanBehavior(data) {
             behaviorText = `Human delay: ${(data.duration / 1000).toFixed(1)}s before messaging ${nextNumber}`;
             behaviorIcon = '😴';
             break;
+        case 'waiting_for_quota':
+            behaviorText = `Send quota reached (${data.reason}) - resuming ${new Date(data.resumesAt).toLocaleTimeString()}`;
+            behaviorIcon = '🚦';
+            break;
         default:
             behaviorText = data.action;
             behaviorIcon = '🤖';
@@ -1201,19 +1965,34 @@ document.addEventListener('visibilitychange', function() {
 console.log('WhatsApp Bulk Sender initialized successfully');
 
 // Campaign Management Functions
-function createCampaign(type, message, excelFileName) {
+// The queue lives on the server - these keep the dashboard's copy of it in sync.
+// Socket events can announce a campaign before its upload response arrives, so this
+// returns the existing entry and only fills in the details that are given.
+function createCampaign(id, type, message, excelFileName) {
+    let campaign = campaigns.find(c => c.id === id);
+    if (campaign) {
+        if (type !== undefined) {
+            campaign.type = type;
+            campaign.message = message;
+            campaign.excelFileName = excelFileName;
+        }
+        return campaign;
+    }
+    
     campaignCounter++;
-    const campaign = {
-        id: `campaign_${campaignCounter}`,
+    campaign = {
+        id: id,
         name: `Campaign ${campaignCounter}`,
-        type: type,
-        message: message,
-        excelFileName: excelFileName,
+        type: type || 'text',
+        message: message || '',
+        excelFileName: excelFileName || '',
         status: 'pending',
         total: 0,
         sent: 0,
         failed: 0,
         progress: 0,
+        position: null,
+        priority: 0,
         currentAction: 'Waiting in queue...',
         createdAt: new Date(),
         startedAt: null,
@@ -1224,42 +2003,62 @@ function createCampaign(type, message, excelFileName) {
     return campaign;
 }
 
-function addCampaignToQueue(campaign) {
-    campaignQueue.push(campaign);
-    updateCampaignDisplay();
+// Mirror a `campaign_queue` snapshot: the running campaign plus the queued ones in start order
+function applyCampaignQueue(snapshot) {
+    campaignQueue = snapshot.queue;
     
-    // If no active campaign, start this one
-    if (!activeCampaign) {
-        startNextCampaign();
-    }
-}
-
-function removeCampaignFromQueue(campaignId) {
-    const index = campaignQueue.findIndex(c => c.id === campaignId);
-    if (index > -1) {
-        campaignQueue.splice(index, 1);
-    }
+    snapshot.running.forEach(entry => {
+        const campaign = createCampaign(entry.campaignId, entry.fileType === 'media' ? 'media' : 'text', entry.message, `${entry.total} numbers`);
+        campaign.status = 'active';
+        campaign.total = entry.total;
+        campaign.sent = entry.sent;
+        campaign.failed = entry.failed;
+        campaign.position = null;
+        activeCampaign = campaign;
+    });
     
-    const campaignIndex = campaigns.findIndex(c => c.id === campaignId);
-    if (campaignIndex > -1) {
-        campaigns.splice(campaignIndex, 1);
-    }
+    campaignQueue.forEach(entry => {
+        const campaign = createCampaign(entry.campaignId, entry.fileType === 'media' ? 'media' : 'text', entry.message, `${entry.total} numbers`);
+        campaign.status = 'pending';
+        campaign.total = entry.total;
+        campaign.sent = entry.sent;
+        campaign.failed = entry.failed;
+        campaign.position = entry.position;
+        campaign.priority = entry.priority;
+        campaign.currentAction = 'Waiting in queue...';
+    });
+    
+    // Pending campaigns are listed in the order the server will start them
+    const queued = campaignQueue.map(entry => campaigns.find(c => c.id === entry.campaignId));
+    campaigns = campaigns.filter(c => !queued.includes(c)).concat(queued);
     
     updateCampaignDisplay();
 }
 
-function startNextCampaign() {
-    if (campaignQueue.length === 0 || activeCampaign) {
-        return;
+// Read the schedule form: an optional start time and an optional sending window
+function getScheduleDefinition() {
+    const startAt = document.getElementById('scheduleStartAt').value;
+    const windowEnabled = document.getElementById('sendingWindowEnabled').checked;
+    const timezone = document.getElementById('sendingWindowTimezone').value;
+    
+    return {
+        scheduledAt: startAt ? new Date(startAt).toISOString() : null,
+        sendingWindow: windowEnabled ? {
+            start: document.getElementById('sendingWindowStart').value,
+            end: document.getElementById('sendingWindowEnd').value,
+            days: document.getElementById('sendingWindowDays').value.split(',').map(Number),
+            timezone: timezone === 'browser' ? Intl.DateTimeFormat().resolvedOptions().timeZone : timezone
+        } : null
+    };
+}
+
+function removeCampaign(campaignId) {
+    const campaignIndex = campaigns.findIndex(c => c.id === campaignId);
+    if (campaignIndex > -1) {
+        campaigns.splice(campaignIndex, 1);
     }
     
-    const nextCampaign = campaignQueue.shift();
-    activeCampaign = nextCampaign;
-    nextCampaign.status = 'active';
-    nextCampaign.startedAt = new Date();
-    
     updateCampaignDisplay();
-    showCampaignSection();
 }
 
 // Update campaign status when it's paused
@@ -1269,10 +2068,9 @@ function updateCampaignToPaused(campaignId) {
         campaign.status = 'paused';
         campaign.currentAction = 'Paused';
         
-        // If this was the active campaign, clear it and start the next one
+        // The server starts the next queued campaign on its own
         if (activeCampaign && activeCampaign.id === campaignId) {
             activeCampaign = null;
-            startNextCampaign();
         }
         
         updateCampaignDisplay();
@@ -1340,6 +2138,15 @@ function updateCampaignAction(campaignId, actionData) {
             case 'typing':
                 actionText = `Typing message to ${phoneNumber}...`;
                 break;
+            case 'waiting_for_window':
+                actionText = `Outside sending window - resuming ${new Date(actionData.resumesAt).toLocaleString()}`;
+                break;
+            case 'waiting_for_sender':
+                actionText = `Waiting for a sender: ${actionData.reason}`;
+                break;
+            case 'waiting_for_quota':
+                actionText = `Send quota reached (${actionData.reason}) - resuming ${new Date(actionData.resumesAt).toLocaleString()}`;
+                break;
             case 'human_delay':
                 const nextNumber = actionData.nextNumber ? actionData.nextNumber.replace('@c.us', '') : 'next number';
                 actionText = `Human delay: ${(actionData.duration / 1000).toFixed(1)}s before messaging ${nextNumber}`;
@@ -1358,10 +2165,11 @@ function updateCampaignDisplay() {
     const activeCount = campaigns.filter(c => c.status === 'active').length;
     const pendingCount = campaigns.filter(c => c.status === 'pending').length;
     const pausedCount = campaigns.filter(c => c.status === 'paused').length;
+    const scheduledCount = campaigns.filter(c => c.status === 'scheduled').length;
     const completedCount = campaigns.filter(c => c.status === 'completed').length;
     
     activeCampaigns.textContent = activeCount;
-    pendingCampaigns.textContent = pendingCount + pausedCount; // Show paused campaigns in pending count
+    pendingCampaigns.textContent = pendingCount + pausedCount + scheduledCount; // Show paused and scheduled campaigns in pending count
     completedCampaigns.textContent = completedCount;
     
     // Update campaign list
@@ -1414,6 +2222,16 @@ function createCampaignElement(campaign) {
                 <span class="campaign-detail-label">Failed</span>
                 <span class="campaign-detail-value">${campaign.failed}</span>
             </div>
+            ${campaign.funnel ? `
+                <div class="campaign-detail">
+                    <span class="campaign-detail-label">Delivered</span>
+                    <span class="campaign-detail-value">${campaign.funnel.delivered}</span>
+                </div>
+                <div class="campaign-detail">
+                    <span class="campaign-detail-label">Read</span>
+                    <span class="campaign-detail-value">${campaign.funnel.read}</span>
+                </div>
+            ` : ''}
         </div>
         
         <div class="campaign-progress">
@@ -1429,8 +2247,28 @@ function createCampaignElement(campaign) {
             </div>
         ` : ''}
         
+        ${campaign.status === 'scheduled' ? `
+            <div class="campaign-current-action">
+                <i class="fas fa-calendar-alt"></i> Starts ${new Date(campaign.scheduledAt).toLocaleString()}
+            </div>
+        ` : ''}
+        
+        ${campaign.status === 'pending' && campaign.position ? `
+            <div class="campaign-current-action">
+                <i class="fas fa-list-ol"></i> #${campaign.position} in queue${campaign.priority ? ` (priority ${campaign.priority})` : ''}
+            </div>
+        ` : ''}
+        
                  <div class="campaign-actions">
              ${campaign.status === 'pending' ? `
+                 <button class="campaign-action-btn move" onclick="moveCampaignInQueue('${campaign.id}', -1)" title="Start earlier">
+                     <i class="fas fa-arrow-up"></i>
+                 </button>
+                 <button class="campaign-action-btn move" onclick="moveCampaignInQueue('${campaign.id}', 1)" title="Start later">
+                     <i class="fas fa-arrow-down"></i>
+                 </button>
+             ` : ''}
+             ${['pending', 'scheduled'].includes(campaign.status) ? `
                  <button class="campaign-action-btn cancel" onclick="cancelCampaign('${campaign.id}')">
                      <i class="fas fa-times"></i> Cancel
                  </button>
@@ -1445,6 +2283,11 @@ function createCampaignElement(campaign) {
                      <i class="fas fa-play"></i> Resume
                  </button>
              ` : ''}
+             ${['active', 'paused', 'completed'].includes(campaign.status) ? `
+                 <a class="campaign-action-btn report" href="/api/campaign/${encodeURIComponent(campaign.id)}/report?format=xlsx" download>
+                     <i class="fas fa-file-excel"></i> Report
+                 </a>
+             ` : ''}
          </div>
     `;
     
@@ -1459,6 +2302,8 @@ function getStatusIcon(status) {
             return 'fas fa-clock';
         case 'paused':
             return 'fas fa-pause-circle';
+        case 'scheduled':
+            return 'fas fa-calendar-alt';
         case 'completed':
             return 'fas fa-check-circle';
         default:
@@ -1475,11 +2320,56 @@ function hideCampaignSection() {
     campaignSection.style.display = 'none';
 }
 
-function cancelCampaign(campaignId) {
+// Cancel a queued or scheduled campaign on the server
+async function cancelCampaign(campaignId) {
     const campaign = campaigns.find(c => c.id === campaignId);
-    if (campaign && campaign.status === 'pending') {
-        removeCampaignFromQueue(campaignId);
-        showToast(`Campaign "${campaign.name}" cancelled`, 'success');
+    try {
+        const response = await fetch(`/api/campaigns/${encodeURIComponent(campaignId)}`, {
+            method: 'DELETE'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            removeCampaign(campaignId);
+            showToast(`Campaign "${campaign ? campaign.name : campaignId}" cancelled`, 'success');
+        } else {
+            showToast('Failed to cancel campaign: ' + data.error, 'error');
+        }
+    } catch (error) {
+        console.error('Error cancelling campaign:', error);
+        showToast('Error cancelling campaign: ' + error.message, 'error');
+    }
+}
+
+// Move a queued campaign up (-1) or down (1); the new order comes back as a queue update
+async function moveCampaignInQueue(campaignId, offset) {
+    const order = campaignQueue.map(entry => entry.campaignId);
+    const index = order.indexOf(campaignId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= order.length) {
+        return;
+    }
+    order.splice(index, 1);
+    order.splice(target, 0, campaignId);
+    
+    try {
+        const response = await fetch('/api/campaigns/queue', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ order: order })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast('Failed to reorder queue: ' + data.error, 'error');
+        }
+    } catch (error) {
+        console.error('Error reordering queue:', error);
+        showToast('Error reordering queue: ' + error.message, 'error');
     }
 }
 
@@ -1519,7 +2409,10 @@ async function resumeCampaign(campaignId) {
         
         const data = await response.json();
         
-        if (data.success) {
+        if (data.success && data.queued) {
+            // Another campaign is sending - the queue update moves this one to the front
+            showToast(`Campaign queued at position ${data.position} - it continues after the running campaign`, 'info');
+        } else if (data.success) {
             updateCampaignToActive(campaignId);
             showToast(`Campaign resumed successfully`, 'success');
         } else {
@@ -1532,6 +2425,83 @@ async function resumeCampaign(campaignId) {
 }
 
 // Update socket events to handle campaign progress
+    // The server owns the campaign queue - every dashboard gets the same snapshot
+    socket.on('campaign_queue', (data) => {
+        console.log('Campaign queue:', data);
+        applyCampaignQueue(data);
+    });
+
+    socket.on('campaign_scheduled', (data) => {
+        console.log('Campaign scheduled:', data);
+        const campaign = createCampaign(data.campaignId);
+        campaign.status = 'scheduled';
+        campaign.scheduledAt = data.scheduledAt;
+        campaign.total = data.total;
+        updateCampaignDisplay();
+    });
+
+    socket.on('campaign_started', (data) => {
+        console.log('Campaign started:', data);
+        const campaign = createCampaign(data.campaignId);
+        campaign.status = 'active';
+        campaign.total = data.total;
+        campaign.position = null;
+        campaign.startedAt = new Date();
+        activeCampaign = campaign;
+        updateCampaignDisplay();
+        showCampaignSection();
+    });
+
+    // Delivery/read receipts keep arriving after a campaign completes
+    socket.on('campaign_ack', (data) => {
+        console.log('Campaign ack:', data);
+        const campaign = campaigns.find(c => c.id === data.campaignId);
+        if (campaign) {
+            campaign.funnel = data.funnel;
+            updateCampaignDisplay();
+        }
+    });
+
+    socket.on('validation_progress', (data) => {
+        updateValidationSummary(data);
+    });
+
+    socket.on('validation_complete', (data) => {
+        console.log('Validation complete:', data);
+        updateValidationSummary(data);
+        if (currentValidation && data.validationId === currentValidation.validationId) {
+            showToast(`Validation complete: ${data.counts.valid} on WhatsApp, ${data.counts.notOnWhatsApp} not on WhatsApp, ${data.counts.malformed} malformed`, 'success');
+        }
+    });
+
+    socket.on('opt_out', (data) => {
+        console.log('Opt-out received:', data);
+        showToast(`${data.number.replace('@c.us', '')} opted out (replied "${data.keyword}") and was added to the suppression list`, 'info');
+    });
+
+    socket.on('quota_update', (data) => {
+        if (data.accountId === (selectedAccountId || 'default')) {
+            renderSendQuota(data);
+        }
+    });
+
+    socket.on('campaign_reply', (data) => {
+        console.log('Campaign reply:', data);
+        if (data.direction === 'incoming') {
+            showToast(`New reply from ${data.number.replace('@c.us', '')}`, 'info');
+        }
+        if (data.campaignId === inboxCampaignId) {
+            loadInboxConversations();
+        } else {
+            loadInboxCampaigns();
+        }
+    });
+
+    socket.on('campaign_cancelled', (data) => {
+        console.log('Campaign cancelled:', data);
+        removeCampaign(data.campaignId);
+    });
+
     socket.on('bulk_send_start', (data) => {
         console.log('Bulk send started:', data);
         if (activeCampaign && data.campaignId === activeCampaign.id) {
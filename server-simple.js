@@ -8,6 +8,7 @@ const xlsx = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const phoneNormalizer = require('./services/phoneNormalizer');
 
 const app = express();
 const server = http.createServer(app);
@@ -872,33 +873,19 @@ async function sendMessagesSequentially(phoneNumbers, message, mediaFile, campai
     return { successCount, failureCount, results };
 }
 
-// Helper function to validate and format phone numbers
+// Helper function to validate and format phone numbers (DEFAULT_COUNTRY applies to numbers without +)
 function validateAndFormatPhoneNumber(phoneNumber, rowIndex) {
     if (rowIndex === 0 && /[a-zA-Z]/.test(phoneNumber) && !/^\d+$/.test(phoneNumber.replace(/[+\-\s]/g, ''))) {
         console.log('Skipping header row:', phoneNumber);
         return null;
     }
     
-    const cleanNumber = phoneNumber.replace(/[+\-\s]/g, '');
-    if (!/^\d+$/.test(cleanNumber)) {
-        console.log('Skipping invalid phone number:', phoneNumber);
+    const normalized = phoneNormalizer.normalizePhoneNumber(phoneNumber);
+    if (!normalized.number) {
+        console.log(`Skipping phone number ${phoneNumber}: ${normalized.error}`);
         return null;
     }
-    
-    if (cleanNumber.length < 10) {
-        console.log('Skipping phone number too short:', phoneNumber);
-        return null;
-    }
-    
-    if (phoneNumber.startsWith('91') && phoneNumber.length === 12) {
-        return phoneNumber + '@c.us';
-    } else if (phoneNumber.startsWith('+91')) {
-        return phoneNumber.substring(1) + '@c.us';
-    } else if (phoneNumber.length === 10) {
-        return '91' + phoneNumber + '@c.us';
-    } else {
-        return phoneNumber + '@c.us';
-    }
+    return normalized.number + '@c.us';
 }
 
 // Socket.IO connection handling
@@ -1,13 +1,32 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client } = require('./index');
 const QRCode = require('qrcode');
 const multer = require('multer');
-const xlsx = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const campaignStore = require('./services/campaignStore');
+const auth = require('./services/auth');
+const { createClientOptions } = require('./services/clientOptions');
+const accountManager = require('./services/accountManager');
+const senderPool = require('./services/senderPool');
+const personalization = require('./services/personalization');
+const scheduler = require('./services/scheduler');
+const campaignReport = require('./services/campaignReport');
+const ackTracker = require('./services/ackTracker');
+const campaignQueue = require('./services/campaignQueue');
+const numberValidator = require('./services/numberValidator');
+const phoneNormalizer = require('./services/phoneNormalizer');
+const suppressionList = require('./services/suppressionList');
+const optOut = require('./services/optOut');
+const replyInbox = require('./services/replyInbox');
+const rateLimiter = require('./services/rateLimiter');
+const attachments = require('./services/attachments');
+const recipientMedia = require('./services/recipientMedia');
+const templateLibrary = require('./services/templateLibrary');
+const webhooks = require('./services/webhooks');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,18 +40,94 @@ const io = socketIo(server, {
 // Middleware
 app.use(cors());
 app.use(express.json());
+
+// Behind a reverse proxy (e.g. Railway) the client IP used for login lockouts comes from
+// X-Forwarded-For - TRUST_PROXY is the number of proxies in front of the server, or true
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
+// Dashboard pages require a logged-in session; the login page and its assets stay public
+app.use(['/dashboard', '/dashboard.html', '/account-manager.html'], auth.requirePageAuth);
 app.use(express.static('public'));
 
-// Configure multer for file uploads
+// Dashboard login - issues an HTTP-only session cookie
+app.post('/api/auth/login', async (req, res) => {
+    const { email, password } = req.body || {};
+    
+    if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required' });
+    }
+    
+    let session;
+    try {
+        session = await auth.login(email, password, req.ip);
+    } catch (error) {
+        console.error('Error during dashboard login:', error);
+        return res.status(500).json({ error: 'Login failed: ' + error.message });
+    }
+    if (session && session.retryAfterMs) {
+        const retryAfterSeconds = Math.ceil(session.retryAfterMs / 1000);
+        console.log(`🔐 Dashboard login for ${email} refused - too many failed attempts`);
+        res.setHeader('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({ error: `Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).` });
+    }
+    if (!session) {
+        console.log(`🔐 Failed dashboard login for ${email}`);
+        return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    
+    auth.setSessionCookie(req, res, session.token);
+    console.log(`🔐 Dashboard login: ${session.email}`);
+    res.json({ success: true, email: session.email, expiresAt: new Date(session.expiresAt).toISOString() });
+});
+
+// Dashboard logout - ends the server session and clears the cookie
+app.post('/api/auth/logout', (req, res) => {
+    auth.logout(auth.getTokenFromCookieHeader(req.headers.cookie));
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// Every other API route requires a valid session
+app.use('/api', auth.requireAuth);
+
+// Current dashboard session (used by the pages to detect expiry)
+app.get('/api/auth/session', (req, res) => {
+    res.json({
+        authenticated: true,
+        email: req.user.email,
+        expiresAt: new Date(req.user.expiresAt).toISOString()
+    });
+});
+
+// Socket.IO connections need the same session cookie
+io.use(auth.authenticateSocket);
+
+// Configure multer for file uploads - recipient lists are spreadsheets, attachments
+// may be images, videos, audio or documents
+const SPREADSHEET_TYPES = ['.xlsx', '.xls', '.csv'];
 const upload = multer({
     dest: 'uploads/',
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.xlsx', '.xls', '.csv', '.jpg', '.jpeg', '.png', '.gif', '.mp4', '.avi', '.mov', '.mkv', '.webm'];
         const fileExtension = path.extname(file.originalname).toLowerCase();
-        if (allowedTypes.includes(fileExtension)) {
+        if (file.fieldname === 'mediaArchive') {
+            if (fileExtension === '.zip') {
+                cb(null, true);
+            } else {
+                cb(new Error('The media archive must be a .zip file'), false);
+            }
+        } else if (file.fieldname === 'mediaFile') {
+            if (attachments.isAllowed(file.originalname)) {
+                cb(null, true);
+            } else {
+                cb(new Error(`Unsupported attachment ${file.originalname} - allowed types: ${attachments.ATTACHMENT_EXTENSIONS.join(', ')}`), false);
+            }
+        } else if (SPREADSHEET_TYPES.includes(fileExtension)) {
             cb(null, true);
         } else {
-            cb(new Error('Only Excel files (.xlsx, .xls, .csv) and media files (.jpg, .jpeg, .png, .gif, .mp4, .avi, .mov, .mkv, .webm) are allowed!'), false);
+            cb(new Error('Only Excel files (.xlsx, .xls, .csv) are allowed!'), false);
         }
     },
     limits: {
@@ -45,14 +140,32 @@ let client = null;
 let isClientReady = false;
 let isClientAuthenticated = false;
 let qrCodeData = null;
+let pairingCode = null; // { code, phoneNumber, expiresAt } while linking with a phone number
 let isInitializing = false;
 let clientInstanceId = null;
 
+// How often WhatsApp Web is asked for a fresh pairing code while linking with a phone number
+const PAIRING_CODE_REFRESH_MS = Math.max(60000, parseInt(process.env.PAIRING_CODE_REFRESH_MS, 10) || 180000);
+
+// Linked WhatsApp accounts (each with its own client and session)
+accountManager.init(io);
+accountManager.events.on('message_ack', (accountId, message, ack) => handleMessageAck(message, ack));
+accountManager.events.on('message', (accountId, message) => handleIncomingMessage(message, accountId));
+accountManager.events.on('disconnected', (accountId, reason) => {
+    webhooks.emit('account_disconnected', { accountId: accountId, reason: reason });
+});
+
+// Outgoing webhooks (retries left over from the last run are resumed)
+webhooks.init();
+
 // Campaign State Management
 let activeCampaigns = new Map(); // campaignId -> campaign state
 let pausedCampaigns = new Map(); // campaignId -> paused campaign state
+let scheduledCampaigns = new Map(); // campaignId -> campaign state waiting for its start time
+let queuedCampaigns = new Map(); // campaignId -> campaign state waiting for its turn in the queue
+const scheduleTimers = new Map(); // campaignId -> start timer
 
-// No campaign file tracking needed
+// Campaign state is mirrored to disk by services/campaignStore so it survives restarts
 
 // Enhanced connection management
 let keepAliveInterval = null;
@@ -320,8 +433,8 @@ async function validateConnection(strict = true) {
     }
 }
 
-// Initialize WhatsApp Client
-function initializeWhatsAppClient() {
+// Initialize WhatsApp Client - for QR linking, or with a phone number for pairing-code linking
+function initializeWhatsAppClient(pairingPhoneNumber = null) {
     try {
         // Prevent multiple simultaneous initializations
         if (isInitializing) {
@@ -348,89 +461,18 @@ function initializeWhatsAppClient() {
             client = null;
         }
         
-        client = new Client({
-            authStrategy: new LocalAuth({
-                clientId: 'whatsapp-bulk-sender',
-                dataPath: './session'
-            }),
-            puppeteer: {
-                headless: true,
-                executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || (process.platform === 'win32' ? undefined : '/usr/bin/chromium-browser'),
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--disable-gpu',
-                    '--disable-web-security',
-                    '--disable-features=VizDisplayCompositor',
-                    '--disable-background-timer-throttling',
-                    '--disable-backgrounding-occluded-windows',
-                    '--disable-renderer-backgrounding',
-                    '--disable-field-trial-config',
-                    '--disable-ipc-flooding-protection',
-                    '--disable-extensions',
-                    '--disable-plugins',
-                    '--disable-default-apps',
-                    '--disable-sync',
-                    '--disable-translate',
-                    '--hide-scrollbars',
-                    '--mute-audio',
-                    '--no-default-browser-check',
-                    '--disable-component-extensions-with-background-pages',
-                    '--disable-background-networking',
-                    '--disable-sync-preferences',
-                    '--disable-client-side-phishing-detection',
-                    '--disable-component-update',
-                    '--disable-domain-reliability',
-                    '--disable-features=TranslateUI',
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-features=VizDisplayCompositor,VizServiceDisplayCompositor',
-                    '--memory-pressure-off',
-                    '--max_old_space_size=4096',
-                    '--disable-background-networking',
-                    '--disable-default-apps',
-                    '--disable-extensions',
-                    '--disable-sync',
-                    '--metrics-recording-only',
-                    '--no-first-run',
-                    '--safebrowsing-disable-auto-update',
-                    '--disable-client-side-phishing-detection',
-                    '--disable-component-update',
-                    '--disable-domain-reliability',
-                    '--disable-features=TranslateUI',
-                    '--disable-ipc-flooding-protection',
-                    '--disable-renderer-backgrounding',
-                    '--disable-backgrounding-occluded-windows',
-                    '--disable-background-timer-throttling',
-                    '--disable-features=VizDisplayCompositor',
-                    '--disable-web-security',
-                    '--disable-gpu',
-                    '--no-zygote',
-                    '--no-first-run',
-                    '--disable-accelerated-2d-canvas',
-                    '--disable-dev-shm-usage',
-                    '--disable-setuid-sandbox',
-                    '--no-sandbox'
-                ],
-                timeout: 60000,
-                protocolTimeout: 60000
-            },
-            webVersion: '2.2412.54',
-            webVersionCache: {
-                type: 'local'
-            },
-            restartOnAuthFail: true,
-            takeoverOnConflict: false,
-            takeoverTimeoutMs: 0,
-            qrMaxRetries: 3,
-            authTimeoutMs: 60000
-        });
+        client = new Client(createClientOptions({
+            clientId: 'whatsapp-bulk-sender',
+            dataPath: './session',
+            pairWithPhoneNumber: pairingPhoneNumber ? { phoneNumber: pairingPhoneNumber, intervalMs: PAIRING_CODE_REFRESH_MS } : null
+        }));
 
         // Event: QR Code received
         client.on('qr', async (qr) => {
+            // A client started for pairing-code linking shows no QR codes
+            if (pairingCode) {
+                return;
+            }
             console.log('QR Code received');
             
             // Only update QR code if it's different from the current one
@@ -451,11 +493,31 @@ function initializeWhatsAppClient() {
             }
         });
 
+        // Event: Pairing code received (linking with a phone number instead of the QR code)
+        client.on('code', (code) => {
+            if (!pairingCode) {
+                return;
+            }
+            console.log(`Pairing code received for +${pairingCode.phoneNumber}`);
+            pairingCode = {
+                code: code,
+                phoneNumber: pairingCode.phoneNumber,
+                expiresAt: new Date(Date.now() + PAIRING_CODE_REFRESH_MS)
+            };
+            io.emit('pairing_code', pairingCode);
+            io.emit('status', {
+                authenticated: false,
+                ready: false,
+                message: `Enter the code ${code} on the phone +${pairingCode.phoneNumber}`
+            });
+        });
+
         // Event: Client authenticated
         client.on('authenticated', () => {
             console.log('WhatsApp Client authenticated');
             isClientAuthenticated = true;
             qrCodeData = null;
+            pairingCode = null;
             io.emit('authenticated', true);
             io.emit('status', { 
                 authenticated: true, 
@@ -539,12 +601,23 @@ function initializeWhatsAppClient() {
             }
         });
 
+        // Event: Delivery/read receipt for a sent message
+        client.on('message_ack', (message, ack) => {
+            handleMessageAck(message, ack);
+        });
+
+        // Event: Incoming message (opt-out replies from campaign recipients)
+        client.on('message', (message) => {
+            handleIncomingMessage(message, null);
+        });
+
         // Event: Client disconnected
         client.on('disconnected', (reason) => {
             console.log(`WhatsApp Client disconnected: ${reason} (Instance: ${clientInstanceId})`);
             isClientReady = false;
             isClientAuthenticated = false;
             qrCodeData = null;
+            pairingCode = null;
             isInitializing = false;
             
             // Stop all connection management
@@ -558,6 +631,7 @@ function initializeWhatsAppClient() {
                 ready: false, 
                 message: 'WhatsApp disconnected: ' + reason 
             });
+            webhooks.emit('account_disconnected', { accountId: null, reason: reason });
             
             // Only attempt to reconnect for certain disconnect reasons
             const shouldReconnect = reason !== 'NAVIGATION' && reason !== 'LOGOUT';
@@ -643,6 +717,7 @@ app.get('/api/status', (req, res) => {
         authenticated: isClientAuthenticated,
         ready: isClientReady,
         hasQR: qrCodeData !== null,
+        hasPairingCode: pairingCode !== null,
         chromeInitialized: client !== null,
         message: getStatusMessage()
     });
@@ -657,6 +732,96 @@ app.get('/api/qr', (req, res) => {
     }
 });
 
+// How long to wait for WhatsApp Web to hand out the first pairing code
+const PAIRING_CODE_TIMEOUT_MS = 60 * 1000;
+
+// Restart the default client in the given linking mode: with a phone number it links with
+// pairing codes (and shows no QR codes), without one it goes back to the QR code
+async function restartClientForLinking(phoneNumber) {
+    if (client) {
+        const previousClient = client;
+        client = null;
+        // Both clients use the same browser profile, so the old browser must be closed first
+        await previousClient.destroy().catch(err => console.log('Error destroying client before linking:', err.message));
+    }
+    qrCodeData = null;
+    pairingCode = phoneNumber ? { code: null, phoneNumber: phoneNumber, expiresAt: null } : null;
+    initializeWhatsAppClient(phoneNumber);
+    return client;
+}
+
+// Link with a phone number - WhatsApp Web returns an 8-character code to enter on that phone
+// (Linked Devices -> Link with phone number). The client is restarted in pairing mode, and
+// new codes follow every PAIRING_CODE_REFRESH_MS over Socket.IO until the phone is linked.
+app.post('/api/pairing-code', async (req, res) => {
+    try {
+        if (isClientAuthenticated) {
+            return res.status(400).json({ success: false, error: 'WhatsApp is already linked' });
+        }
+        if (!client || isInitializing || (!qrCodeData && !pairingCode)) {
+            return res.status(400).json({ success: false, error: 'WhatsApp is not waiting to be linked yet - wait for the QR code to appear' });
+        }
+
+        const normalized = phoneNormalizer.normalizePhoneNumber(req.body.phoneNumber);
+        if (!normalized.number) {
+            return res.status(400).json({ success: false, error: normalized.error });
+        }
+
+        io.emit('status', {
+            authenticated: false,
+            ready: false,
+            message: `Requesting a pairing code for +${normalized.number}...`
+        });
+        const linkingClient = await restartClientForLinking(normalized.number);
+        if (!linkingClient) {
+            throw new Error('WhatsApp client could not be started');
+        }
+        const code = await new Promise((resolve, reject) => {
+            const onCode = (received) => {
+                clearTimeout(timer);
+                resolve(received);
+            };
+            const timer = setTimeout(() => {
+                linkingClient.removeListener('code', onCode);
+                reject(new Error('WhatsApp Web did not return a pairing code in time'));
+            }, PAIRING_CODE_TIMEOUT_MS);
+            linkingClient.once('code', onCode);
+        });
+        console.log(`Linking WhatsApp with phone number +${normalized.number}`);
+        res.json({ success: true, code: code, phoneNumber: normalized.number, expiresAt: pairingCode && pairingCode.expiresAt });
+    } catch (error) {
+        console.error('Error requesting pairing code:', error);
+        res.status(500).json({ success: false, error: 'Failed to request pairing code: ' + error.message });
+        // Back to the QR code so the account can still be linked
+        if (pairingCode && !isClientAuthenticated && !isInitializing) {
+            restartClientForLinking(null).catch(err => console.error('Error restarting client for QR linking:', err.message));
+        }
+    }
+});
+
+// Current pairing code, while linking with a phone number
+app.get('/api/pairing-code', (req, res) => {
+    if (pairingCode && pairingCode.code) {
+        res.json({ success: true, ...pairingCode });
+    } else {
+        res.status(404).json({ success: false, error: 'No pairing code available' });
+    }
+});
+
+// Stop linking with a phone number (back to the QR code)
+app.delete('/api/pairing-code', async (req, res) => {
+    try {
+        if (pairingCode && !isClientAuthenticated && !isInitializing) {
+            await restartClientForLinking(null);
+        }
+        pairingCode = null;
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error cancelling pairing code:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel pairing code: ' + error.message });
+    }
+});
+
 // Logout endpoint
 app.post('/api/logout', async (req, res) => {
     try {
@@ -668,6 +833,7 @@ app.post('/api/logout', async (req, res) => {
             isClientReady = false;
             isClientAuthenticated = false;
             qrCodeData = null;
+            pairingCode = null;
             
             // Destroy the client instance
             await client.destroy();
@@ -804,6 +970,7 @@ app.post('/api/clear-session', async (req, res) => {
         isClientReady = false;
         isClientAuthenticated = false;
         qrCodeData = null;
+        pairingCode = null;
         
         // Clear session directory
         const sessionDir = './session';
@@ -859,9 +1026,14 @@ app.post('/api/campaign/pause', async (req, res) => {
         // Move to paused campaigns
         pausedCampaigns.set(campaignId, campaignState);
         activeCampaigns.delete(campaignId);
+        campaignStore.save(campaignState, 'paused');
         
         console.log(`Campaign ${campaignId} paused at message ${nextMessageIndex + 1} (sent: ${campaignState.sentCount}, failed: ${campaignState.failedCount})`);
         
+        // A paused campaign frees the sender for the next one in the queue
+        broadcastQueue();
+        startNextQueuedCampaign();
+        
         res.json({ 
             success: true, 
             message: 'Campaign paused successfully',
@@ -898,17 +1070,33 @@ app.post('/api/campaign/resume', async (req, res) => {
         campaignState.resumedAt = new Date();
         campaignState.lastActivity = new Date();
         
+        // Only one campaign sends at a time - if another took over, go to the front of the queue
+        if (activeCampaigns.size > 0) {
+            pausedCampaigns.delete(campaignId);
+            const position = enqueueCampaign(campaignState, { front: true });
+            console.log(`Campaign ${campaignId} resumed into the queue at position ${position}`);
+            
+            return res.json({
+                success: true,
+                queued: true,
+                position: position,
+                message: 'Campaign queued - it continues when the running campaign finishes'
+            });
+        }
+        
         // Move back to active campaigns
         activeCampaigns.set(campaignId, campaignState);
         pausedCampaigns.delete(campaignId);
+        campaignStore.save(campaignState);
+        broadcastQueue();
         
         // Calculate the next message index to send
         const nextMessageIndex = campaignState.sentCount + campaignState.failedCount;
         console.log(`Campaign ${campaignId} resumed from message ${nextMessageIndex + 1} (sent: ${campaignState.sentCount}, failed: ${campaignState.failedCount})`);
         
-        // Verify tracking file state before resuming
+        // Verify persisted recipient state before resuming
         const pendingNumbers = getPendingPhoneNumbers(campaignId);
-        console.log(`Tracking file shows ${pendingNumbers.length} pending numbers for campaign ${campaignId}`);
+        console.log(`Campaign store shows ${pendingNumbers.length} pending numbers for campaign ${campaignId}`);
         
         // Start sending messages from where it left off
         continueCampaign(campaignId);
@@ -995,6 +1183,8 @@ app.get('/api/campaign/:campaignId/status', async (req, res) => {
                 totalMessages: campaignState.phoneNumbers.length,
                 sentCount: campaignState.sentCount,
                 failedCount: campaignState.failedCount,
+                senders: campaignState.senderPool ? senderPool.getStats(campaignState.senderPool) : null,
+                funnel: ackTracker.getFunnel(campaignState.recipients),
                 progress: Math.round(((campaignState.sentCount + campaignState.failedCount) / campaignState.phoneNumbers.length) * 100)
             }
         });
@@ -1005,6 +1195,31 @@ app.get('/api/campaign/:campaignId/status', async (req, res) => {
     }
 });
 
+// Download a per-recipient delivery report for a campaign
+app.get('/api/campaign/:campaignId/report', (req, res) => {
+    try {
+        const { campaignId } = req.params;
+        const format = (req.query.format || 'xlsx').toLowerCase();
+        
+        if (!campaignReport.FORMATS[format]) {
+            return res.status(400).json({ error: 'Report format must be xlsx or csv' });
+        }
+        
+        const record = campaignStore.get(campaignId);
+        if (!record) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        const report = campaignReport.renderReport(record, format);
+        res.setHeader('Content-Type', report.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+        res.send(report.buffer);
+    } catch (error) {
+        console.error('Error building campaign report:', error);
+        res.status(500).json({ error: 'Failed to build campaign report: ' + error.message });
+    }
+});
+
 // API endpoint to get all active campaigns
 app.get('/api/campaigns/active', (req, res) => {
     try {
@@ -1023,6 +1238,9 @@ app.get('/api/campaigns/active', (req, res) => {
                 },
                 message: campaignState.message,
                 delayRange: campaignState.delayRange,
+                accountId: campaignState.accountId || null,
+                senders: campaignState.senderPool ? senderPool.getStats(campaignState.senderPool) : null,
+                funnel: ackTracker.getFunnel(campaignState.recipients),
                 createdAt: campaignState.createdAt,
                 startedAt: campaignState.startedAt,
                 lastActivity: campaignState.lastActivity,
@@ -1043,6 +1261,9 @@ app.get('/api/campaigns/active', (req, res) => {
                 },
                 message: campaignState.message,
                 delayRange: campaignState.delayRange,
+                accountId: campaignState.accountId || null,
+                senders: campaignState.senderPool ? senderPool.getStats(campaignState.senderPool) : null,
+                funnel: ackTracker.getFunnel(campaignState.recipients),
                 createdAt: campaignState.createdAt,
                 startedAt: campaignState.startedAt,
                 lastActivity: campaignState.lastActivity,
@@ -1057,622 +1278,2397 @@ app.get('/api/campaigns/active', (req, res) => {
     }
 });
 
-// Upload and send messages
-app.post('/api/upload-and-send', upload.fields([
-    { name: 'mediaFile', maxCount: 1 },
-    { name: 'excelFile', maxCount: 1 }
-]), async (req, res) => {
+// Summary of a stored campaign record for the campaigns API
+function toCampaignSummary(record) {
+    return {
+        campaignId: record.campaignId,
+        status: record.status,
+        total: record.phoneNumbers.length,
+        sent: record.sentCount,
+        failed: record.failedCount,
+        skipped: (record.skipped || []).length + (record.recipients || []).filter(recipient => recipient.status === 'skipped').length,
+        optOuts: (record.recipients || []).filter(recipient => recipient.optedOutAt).length,
+        unreadReplies: replyInbox.countUnread(record.campaignId),
+        message: record.message,
+        messageVariants: record.messageVariants || null,
+        template: record.template || null,
+        delayRange: record.delayRange,
+        scheduledAt: record.scheduledAt || null,
+        sendingWindow: record.sendingWindow || null,
+        priority: record.priority || 0,
+        queuePosition: campaignQueue.position(record.campaignId),
+        accountId: record.accountId || null,
+        funnel: ackTracker.getFunnel(record.recipients),
+        createdAt: record.createdAt,
+        startedAt: record.startedAt,
+        lastActivity: record.lastActivity
+    };
+}
+
+// Replies from a campaign's recipients and the operator's answers (`?number=` for one
+// conversation, which also marks it as read)
+app.get('/api/campaign/:campaignId/replies', (req, res) => {
     try {
-        // Ensure client is ready (lazy initialization)
-        console.log('📨 Message send request received - ensuring Chrome is ready...');
-        await ensureClientReady();
+        const { campaignId } = req.params;
+        const record = campaignStore.get(campaignId);
+        if (!record) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        
+        const number = req.query.number ? toChatId(req.query.number) : null;
+        if (number) {
+            replyInbox.markRead(campaignId, number);
+        }
+        
+        const conversations = replyInbox.listConversations(campaignId).map(conversation => {
+            const recipient = record.recipients && record.recipients[conversation.recipientIndex];
+            return { ...conversation, fields: recipient ? recipient.fields : null };
+        });
+        
+        res.json({
+            success: true,
+            campaignId: campaignId,
+            unread: replyInbox.countUnread(campaignId),
+            conversations: conversations,
+            replies: replyInbox.list(campaignId, number)
+        });
+    } catch (error) {
+        console.error('Error listing campaign replies:', error);
+        res.status(500).json({ success: false, error: 'Failed to list replies: ' + error.message });
+    }
+});
+
+// Answer a recipient from the account that sent them the campaign message
+app.post('/api/campaign/:campaignId/replies', async (req, res) => {
+    try {
+        const { campaignId } = req.params;
+        const { number, message } = req.body;
+        const record = campaignStore.get(campaignId);
+        if (!record) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        if (!number || !message || !String(message).trim()) {
+            return res.status(400).json({ success: false, error: 'Number and message are required' });
+        }
         
-        if (!isClientReady && !isClientAuthenticated) {
-            return res.status(400).json({ error: 'WhatsApp client is not ready. Please authenticate first.' });
+        const chatId = toChatId(number);
+        const recipientIndex = (record.recipients || []).findIndex(recipient => recipient.number === chatId);
+        if (recipientIndex === -1) {
+            return res.status(404).json({ success: false, error: 'Number is not a recipient of this campaign' });
         }
         
+        const recipient = record.recipients[recipientIndex];
+        const accountId = recipient.accountId || record.accountId || null;
+        await ensureSenderReady(accountId);
+        const client = getSenderClient(accountId);
         if (!client) {
-            return res.status(400).json({ error: 'WhatsApp client is not initialized. Please try again.' });
+            return res.status(503).json({ success: false, error: 'WhatsApp client is not available' });
         }
-
-        const message = req.body.message || 'Hello! This is a message from WhatsApp Bulk Sender.';
-        const fileType = req.body.fileType || 'text'; // 'text', 'excel', or 'media'
-        const campaignId = req.body.campaignId || null;
-        const delayRange = req.body.delayRange || '1800-3600'; // Default to 30-60 minutes
         
-        let phoneNumbers = [];
-        let mediaFile = null;
+        const sent = await client.sendMessage(chatId, String(message).trim());
+        replyInbox.markRead(campaignId, chatId);
+        const reply = replyInbox.add(campaignId, {
+            number: chatId,
+            recipientIndex: recipientIndex,
+            direction: 'outgoing',
+            body: String(message).trim(),
+            messageId: sent && sent.id ? sent.id._serialized : null,
+            accountId: accountId
+        });
+        console.log(`💬 Answered ${chatId} in campaign ${campaignId}`);
+        io.emit('campaign_reply', { ...reply, unread: replyInbox.countUnread(campaignId) });
+        
+        res.json({ success: true, reply: reply });
+    } catch (error) {
+        console.error('Error sending reply:', error);
+        res.status(500).json({ success: false, error: 'Failed to send reply: ' + error.message });
+    }
+});
 
-        if (fileType === 'text') {
-            // For text messages, we need phone numbers from text input
-            const phoneNumbersText = req.body.phoneNumbers;
-            if (!phoneNumbersText) {
-                return res.status(400).json({ error: 'Phone numbers are required for text messages' });
-            }
-            
-            // Parse phone numbers from text input
-            const phoneNumbersList = phoneNumbersText
-                .split('\n')
-                .map(num => num.trim())
-                .filter(num => num.length > 0);
-                
-            // Validate and format phone numbers
-            for (let i = 0; i < phoneNumbersList.length; i++) {
-                const formattedNumber = validateAndFormatPhoneNumber(phoneNumbersList[i], i);
-                if (formattedNumber) {
-                    phoneNumbers.push(formattedNumber);
-                }
-            }
-                
-            if (phoneNumbers.length === 0) {
-                return res.status(400).json({ error: 'No valid phone numbers found' });
-            }
-            
-        } else if (fileType === 'excel') {
-            // For Excel file uploads, we need Excel file
-            if (!req.files.excelFile) {
-                return res.status(400).json({ error: 'Excel file is required for Excel uploads' });
-            }
-            
-            // Read the uploaded Excel file
-            const workbook = xlsx.readFile(req.files.excelFile[0].path);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const data = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
+// List stored campaigns, optionally filtered by status (scheduled, queued, active, paused, completed)
+app.get('/api/campaigns', (req, res) => {
+    try {
+        const campaigns = campaignStore.list(req.query.status || null).map(toCampaignSummary);
+        res.json({ success: true, campaigns: campaigns });
+    } catch (error) {
+        console.error('Error listing campaigns:', error);
+        res.status(500).json({ success: false, error: 'Failed to list campaigns: ' + error.message });
+    }
+});
 
-            // Extract phone numbers (assuming they are in the first column)
-            for (let i = 0; i < data.length; i++) {
-                if (data[i][0]) {
-                    const phoneNumber = data[i][0].toString().trim();
-                    const formattedNumber = validateAndFormatPhoneNumber(phoneNumber, i);
-                    
-                    if (formattedNumber) {
-                        phoneNumbers.push(formattedNumber);
-                    }
-                }
-            }
+// Current campaign queue: the running campaign and the queued ones in start order
+app.get('/api/campaigns/queue', (req, res) => {
+    res.json({ success: true, ...getQueueSnapshot() });
+});
 
-            if (phoneNumbers.length === 0) {
-                fs.unlinkSync(req.files.excelFile[0].path);
-                return res.status(400).json({ error: 'No valid phone numbers found in the Excel file' });
-            }
+// Reorder the queue - body is { order: [campaignId, ...] } listing every queued campaign
+app.put('/api/campaigns/queue', (req, res) => {
+    try {
+        campaignQueue.reorder((req.body || {}).order);
+    } catch (orderError) {
+        return res.status(400).json({ success: false, error: orderError.message });
+    }
+    
+    console.log('🔀 Campaign queue reordered');
+    broadcastQueue();
+    res.json({ success: true, ...getQueueSnapshot() });
+});
 
-        } else if (fileType === 'media') {
-            // For media messages, we need media file and phone numbers
-            if (!req.files.mediaFile) {
-                return res.status(400).json({ error: 'Media file is required for media messages' });
+// Edit a campaign's schedule. Message, delay and priority can only change before it starts
+// (the start time only while it is scheduled); the sending window can be changed (or
+// cleared with null) until it completes.
+app.patch('/api/campaigns/:campaignId', (req, res) => {
+    try {
+        const { campaignId } = req.params;
+        const found = findCampaign(campaignId);
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        
+        const { campaignState, status } = found;
+        const updates = req.body || {};
+        const beforeStart = ['message', 'messageVariants', 'delayRange', 'priority'].filter(field => updates[field] !== undefined);
+        if (beforeStart.length > 0 && !['scheduled', 'queued'].includes(status)) {
+            return res.status(409).json({ success: false, error: `Cannot change ${beforeStart.join(', ')} after the campaign has started` });
+        }
+        if (updates.scheduledAt !== undefined && status !== 'scheduled') {
+            return res.status(409).json({ success: false, error: 'Start time can only be changed while the campaign is scheduled' });
+        }
+        
+        // Validate everything before changing the campaign so a bad field leaves it untouched
+        const changes = {};
+        try {
+            if (updates.scheduledAt !== undefined) {
+                changes.scheduledAt = scheduler.parseScheduledAt(updates.scheduledAt);
             }
-            
-            // Check if we have phone numbers from text input or Excel file
-            const phoneNumbersText = req.body.phoneNumbers;
-            if (phoneNumbersText) {
-                // Parse phone numbers from text input
-                const phoneNumbersList = phoneNumbersText
-                    .split('\n')
-                    .map(num => num.trim())
-                    .filter(num => num.length > 0);
-                    
-                // Validate and format phone numbers
-                for (let i = 0; i < phoneNumbersList.length; i++) {
-                    const formattedNumber = validateAndFormatPhoneNumber(phoneNumbersList[i], i);
-                    if (formattedNumber) {
-                        phoneNumbers.push(formattedNumber);
-                    }
-                }
-                    
-                if (phoneNumbers.length === 0) {
-                    fs.unlinkSync(req.files.mediaFile[0].path);
-                    return res.status(400).json({ error: 'No valid phone numbers found' });
-                }
-            } else if (req.files.excelFile) {
-                // Fallback to Excel file if no text input
-                const workbook = xlsx.readFile(req.files.excelFile[0].path);
-                const sheetName = workbook.SheetNames[0];
-                const worksheet = workbook.Sheets[sheetName];
-                const data = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
-
-                // Extract phone numbers (assuming they are in the first column)
-                for (let i = 0; i < data.length; i++) {
-                    if (data[i][0]) {
-                        const phoneNumber = data[i][0].toString().trim();
-                        const formattedNumber = validateAndFormatPhoneNumber(phoneNumber, i);
-                        
-                        if (formattedNumber) {
-                            phoneNumbers.push(formattedNumber);
-                        }
-                    }
-                }
-
-                if (phoneNumbers.length === 0) {
-                    fs.unlinkSync(req.files.excelFile[0].path);
-                    fs.unlinkSync(req.files.mediaFile[0].path);
-                    return res.status(400).json({ error: 'No valid phone numbers found in the Excel file' });
-                }
-            } else {
-                fs.unlinkSync(req.files.mediaFile[0].path);
-                return res.status(400).json({ error: 'Phone numbers are required for media messages' });
+            if (updates.sendingWindow !== undefined) {
+                changes.sendingWindow = updates.sendingWindow === null ? null : scheduler.parseSendingWindow(updates.sendingWindow);
             }
-            
-            // Create MessageMedia from uploaded file with proper filename handling
-            try {
-                const { MessageMedia } = require('whatsapp-web.js');
-                const originalFilename = req.files.mediaFile[0].originalname;
-                const fileExtension = originalFilename.split('.').pop().toLowerCase();
-                
-                // Determine MIME type based on file extension
-                let mimeType;
-                switch (fileExtension) {
-                    case 'jpg':
-                    case 'jpeg':
-                        mimeType = 'image/jpeg';
-                        break;
-                    case 'png':
-                        mimeType = 'image/png';
-                        break;
-                    case 'gif':
-                        mimeType = 'image/gif';
-                        break;
-                    case 'mp4':
-                        mimeType = 'video/mp4';
-                        break;
-                    case 'avi':
-                        mimeType = 'video/x-msvideo';
-                        break;
-                    case 'mov':
-                        mimeType = 'video/quicktime';
-                        break;
-                    case 'mkv':
-                        mimeType = 'video/x-matroska';
-                        break;
-                    case 'webm':
-                        mimeType = 'video/webm';
-                        break;
-                    default:
-                        mimeType = 'application/octet-stream';
-                }
-                
-                // Create MessageMedia with proper filename and MIME type
-                mediaFile = await MessageMedia.fromFilePath(req.files.mediaFile[0].path);
-                
-                // Ensure the media file has the correct properties
-                if (!mediaFile) {
-                    throw new Error('Failed to create MessageMedia object');
+            if (updates.messageVariants !== undefined) {
+                changes.messageVariants = updates.messageVariants === null ? null : personalization.parseMessageVariants(updates.messageVariants);
+            }
+            if (updates.message !== undefined) {
+                if (!updates.message || !String(updates.message).trim()) {
+                    throw new Error('Message cannot be empty');
                 }
-                
-                // Set proper filename and MIME type
-                mediaFile.filename = originalFilename;
-                mediaFile.mimetype = mimeType;
-                
-                // Validate the media file data
-                if (!mediaFile.data) {
-                    throw new Error('Media file data is missing or corrupted');
+                changes.message = String(updates.message);
+            }
+            if (updates.delayRange !== undefined) {
+                if (!/^\d+-\d+$/.test(String(updates.delayRange))) {
+                    throw new Error('Delay range must look like 1800-3600');
                 }
-                
-                console.log(`Processed media file: ${originalFilename} (${mimeType})`);
-            } catch (mediaError) {
-                fs.unlinkSync(req.files.excelFile[0].path);
-                fs.unlinkSync(req.files.mediaFile[0].path);
-                return res.status(400).json({ error: 'Failed to process media file: ' + mediaError.message });
+                changes.delayRange = String(updates.delayRange);
             }
+            if (updates.priority !== undefined) {
+                changes.priority = campaignQueue.parsePriority(updates.priority);
+            }
+        } catch (validationError) {
+            return res.status(400).json({ success: false, error: validationError.message });
         }
-
-        // Clean up uploaded files after processing
-        // Note: We need to keep the media file until all messages are sent
-        if (req.files.excelFile) {
-            fs.unlinkSync(req.files.excelFile[0].path);
+        Object.assign(campaignState, changes);
+        
+        campaignStore.save(campaignState, status);
+        if (status === 'scheduled' && updates.scheduledAt !== undefined) {
+            scheduleCampaign(campaignState);
         }
-        // Don't delete media file yet - we need it for sending messages
+        if (status === 'queued' && changes.priority !== undefined) {
+            campaignQueue.setPriority(campaignId, changes.priority);
+            broadcastQueue();
+        }
+        
+        console.log(`✏️ Campaign ${campaignId} updated`);
+        res.json({ success: true, campaign: toCampaignSummary(campaignStore.get(campaignId)) });
+    } catch (error) {
+        console.error('Error updating campaign:', error);
+        res.status(500).json({ success: false, error: 'Failed to update campaign: ' + error.message });
+    }
+});
 
-        // Store campaign state for pause/resume functionality
-        if (campaignId) {
-            // No tracking file creation - just send messages directly
-            
-            const campaignState = {
-                campaignId: campaignId,
-                phoneNumbers: phoneNumbers,
-                message: message,
-                mediaFile: mediaFile,
-                fileType: fileType,
-                delayRange: delayRange,
-                currentIndex: 0,
-                sentCount: 0,
-                failedCount: 0,
-                isPaused: false,
-                createdAt: new Date(),
-                startedAt: new Date(),
-                lastActivity: new Date()
-            };
-            activeCampaigns.set(campaignId, campaignState);
-            
-            console.log(`💾 Campaign ${campaignId} state saved to server memory`);
-            console.log(`🔄 Campaign will run independently of browser connections`);
-            console.log(`📱 You can safely close your browser - messages will continue sending`);
+// Cancel a scheduled or queued campaign before it starts
+app.delete('/api/campaigns/:campaignId', (req, res) => {
+    try {
+        const { campaignId } = req.params;
+        const found = findCampaign(campaignId);
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        if (!['scheduled', 'queued'].includes(found.status)) {
+            return res.status(409).json({ success: false, error: 'Only scheduled or queued campaigns can be cancelled - pause running campaigns instead' });
+        }
+        
+        clearTimeout(scheduleTimers.get(campaignId));
+        scheduleTimers.delete(campaignId);
+        scheduledCampaigns.delete(campaignId);
+        queuedCampaigns.delete(campaignId);
+        const wasQueued = campaignQueue.remove(campaignId);
+        campaignStore.remove(campaignId);
+        
+        console.log(`🗑️ ${found.status === 'queued' ? 'Queued' : 'Scheduled'} campaign ${campaignId} cancelled`);
+        io.emit('campaign_cancelled', { campaignId: campaignId });
+        if (wasQueued) {
+            broadcastQueue();
         }
+        res.json({ success: true, campaignId: campaignId });
+    } catch (error) {
+        console.error('Error cancelling campaign:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel campaign: ' + error.message });
+    }
+});
 
-        // Send messages with human-like behavior
-        const results = [];
-        let successCount = 0;
-        let failureCount = 0;
+// List linked WhatsApp accounts
+app.get('/api/accounts', (req, res) => {
+    try {
+        res.json({ success: true, accounts: accountManager.list() });
+    } catch (error) {
+        console.error('Error listing accounts:', error);
+        res.status(500).json({ success: false, error: 'Failed to list accounts: ' + error.message });
+    }
+});
+
+// Create a new WhatsApp account entry
+app.post('/api/accounts', (req, res) => {
+    try {
+        const { name, description, color } = req.body;
+        
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, error: 'Account name is required' });
+        }
+        
+        const account = accountManager.create({ name, description, color });
+        console.log(`📇 Account created: ${account.name} (${account.id})`);
+        res.json({ success: true, account: account });
+    } catch (error) {
+        console.error('Error creating account:', error);
+        res.status(500).json({ success: false, error: 'Failed to create account: ' + error.message });
+    }
+});
+
+// Live status of every account (polled by the account manager page)
+app.get('/api/accounts/status', (req, res) => {
+    try {
+        const accounts = accountManager.list().map(account => ({
+            id: account.id,
+            status: account.status,
+            statusMessage: account.statusMessage,
+            hasQR: account.hasQR
+        }));
+        res.json({ success: true, accounts: accounts });
+    } catch (error) {
+        console.error('Error getting account status:', error);
+        res.status(500).json({ success: false, error: 'Failed to get account status: ' + error.message });
+    }
+});
+
+// Start an account's client - QR codes and status are streamed over Socket.IO
+app.post('/api/accounts/:accountId/connect', (req, res) => {
+    try {
+        const { accountId } = req.params;
+        
+        if (!accountManager.get(accountId)) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+        
+        accountManager.connect(accountId);
+        res.json({ success: true, account: accountManager.get(accountId) });
+    } catch (error) {
+        console.error('Error connecting account:', error);
+        res.status(500).json({ success: false, error: 'Failed to connect account: ' + error.message });
+    }
+});
+
+// Get an account's current QR code
+app.get('/api/accounts/:accountId/qr', (req, res) => {
+    const qr = accountManager.getQR(req.params.accountId);
+    if (qr) {
+        res.json({ success: true, qr: qr });
+    } else {
+        res.status(404).json({ success: false, error: 'No QR code available' });
+    }
+});
+
+// Delete an account, log it out and remove its session
+app.delete('/api/accounts/:accountId', async (req, res) => {
+    try {
+        const { accountId } = req.params;
+        
+        if (!accountManager.get(accountId)) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+        
+        // Paused, queued and scheduled campaigns would fail to find the account once they start
+        const campaignIds = new Set([...activeCampaigns.keys(), ...pausedCampaigns.keys(), ...queuedCampaigns.keys(), ...scheduledCampaigns.keys()]);
+        const campaignsUsingAccount = Array.from(campaignIds)
+            .map(campaignId => findCampaign(campaignId))
+            .filter(found => found && campaignUsesAccount(found.campaignState, accountId))
+            .map(found => ({ campaignId: found.campaignState.campaignId, status: found.status }));
+        if (campaignsUsingAccount.length > 0) {
+            const list = campaignsUsingAccount.map(campaign => `${campaign.campaignId} (${campaign.status})`).join(', ');
+            return res.status(409).json({
+                success: false,
+                error: `Account is used by campaign(s) ${list} - finish or delete them first`,
+                campaigns: campaignsUsingAccount
+            });
+        }
+        
+        await accountManager.remove(accountId);
+        console.log(`📇 Account deleted: ${accountId}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete account: ' + error.message });
+    }
+});
+
+// Render the first personalized messages of a campaign before it is launched
+// (spintax is resolved at random, so each preview shows one possible outcome)
+app.post('/api/campaign/preview', upload.fields([
+    { name: 'excelFile', maxCount: 1 },
+    { name: 'mediaArchive', maxCount: 1 }
+]), async (req, res) => {
+    const excelPath = req.files && req.files.excelFile ? req.files.excelFile[0].path : null;
+    const mediaArchive = req.files && req.files.mediaArchive ? req.files.mediaArchive[0] : null;
+    
+    try {
+        const message = req.body.message;
+        let variants = message ? [message] : null;
+        if (req.body.messageVariants) {
+            try {
+                variants = personalization.parseMessageVariants(req.body.messageVariants);
+            } catch (variantError) {
+                return res.status(400).json({ error: 'Invalid message variants: ' + variantError.message });
+            }
+        }
+        if (!variants) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+        const count = Math.min(Math.max(parseInt(req.body.count, 10) || 5, 1), 50);
+        
+        let headers = [];
+        let recipients = [];
+        let rejected = [];
+        if (excelPath) {
+            const sheet = personalization.readRecipientSheet(excelPath, formatRecipientNumber);
+            headers = sheet.headers;
+            recipients = sheet.recipients;
+            rejected = toRejectedNumbers(sheet.rejected);
+        } else if (req.body.phoneNumbers) {
+            ({ recipients, rejected } = parsePhoneNumberList(req.body.phoneNumbers));
+        } else {
+            return res.status(400).json({ error: 'An Excel file or phone numbers are required' });
+        }
+        
+        if (recipients.length === 0) {
+            return res.status(400).json({ error: 'No valid phone numbers found', rejected: rejected });
+        }
+        
+        // Check every recipient's own file, so missing ones can be fixed before launching
+        let matched;
+        try {
+            matched = await recipientMedia.matchRecipients({
+                phoneNumbers: recipients.map(recipient => recipient.number),
+                recipientFields: excelPath ? recipients.map(recipient => recipient.fields) : null,
+                column: req.body.mediaColumn || null,
+                archivePath: mediaArchive ? mediaArchive.path : null,
+                extractDir: mediaArchive ? getArchiveExtractDir(mediaArchive) : null
+            });
+        } catch (mediaError) {
+            return res.status(400).json({ error: 'Failed to match recipient media: ' + mediaError.message });
+        }
+        
+        res.json({
+            success: true,
+            total: recipients.length,
+            rejected: rejected,
+            headers: headers,
+            missingFields: personalization.findMissingFields(variants.join('\n'), headers),
+            mediaColumn: matched.column,
+            missingMedia: matched.missing,
+            previews: recipients.slice(0, count).map((recipient, index) => {
+                const variant = personalization.pickVariant(variants, index);
+                return {
+                    number: recipient.number,
+                    variant: variant.index,
+                    message: personalization.composeMessage(variant.template, recipient.fields),
+                    media: matched.media && matched.media[index] ? matched.media[index].filename : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error previewing campaign:', error);
+        res.status(500).json({ error: 'Failed to preview messages: ' + error.message });
+    } finally {
+        if (excelPath && fs.existsSync(excelPath)) {
+            fs.unlinkSync(excelPath);
+        }
+        removeMediaUploads(req.files);
+    }
+});
+
+// Summary of a number validation for the API and socket events
+function toValidationSummary(validation) {
+    return {
+        validationId: validation.validationId,
+        status: validation.status,
+        accountId: validation.accountId,
+        checked: validation.checked,
+        counts: numberValidator.getCounts(validation),
+        error: validation.error,
+        createdAt: validation.createdAt,
+        completedAt: validation.completedAt
+    };
+}
+
+// Check an uploaded list with getNumberId before launching a campaign. The lookups run in
+// the background (rate-limited); progress arrives as validation_progress/validation_complete.
+app.post('/api/campaign/validate', upload.fields([
+    { name: 'excelFile', maxCount: 1 }
+]), async (req, res) => {
+    const excelPath = req.files && req.files.excelFile ? req.files.excelFile[0].path : null;
+    
+    try {
+        const accountId = req.body.accountId || null;
+        if (accountId && !accountManager.get(accountId)) {
+            return res.status(400).json({ error: 'Selected WhatsApp account no longer exists. Please choose another account.' });
+        }
+        
+        let sheet;
+        if (excelPath) {
+            sheet = personalization.readRecipientSheet(excelPath, formatRecipientNumber);
+        } else if (req.body.phoneNumbers) {
+            sheet = { headers: [], ...parsePhoneNumberList(req.body.phoneNumbers) };
+        } else {
+            return res.status(400).json({ error: 'An Excel file or phone numbers are required' });
+        }
+        
+        if (sheet.recipients.length === 0 && sheet.rejected.length === 0) {
+            return res.status(400).json({ error: 'No phone numbers found' });
+        }
+        
+        // getNumberId needs a logged-in client
+        if (sheet.recipients.length > 0) {
+            await ensureSenderReady(accountId);
+            if (!isSenderReady(accountId)) {
+                return res.status(400).json({ error: 'WhatsApp client is not ready. Please authenticate first.' });
+            }
+        }
+        
+        const validation = numberValidator.create({
+            recipients: sheet.recipients,
+            rejected: sheet.rejected,
+            headers: sheet.headers,
+            accountId: accountId
+        });
+        console.log(`🔎 Validating ${sheet.recipients.length} number(s) (${sheet.rejected.length} malformed) as ${validation.validationId}`);
+        
+        numberValidator.run(
+            validation,
+            number => getSenderClient(accountId).getNumberId(number.replace('@c.us', '')),
+            () => io.emit('validation_progress', toValidationSummary(validation))
+        ).then(async () => {
+            console.log(`🔎 Validation ${validation.validationId} ${validation.status}:`, numberValidator.getCounts(validation));
+            io.emit('validation_complete', toValidationSummary(validation));
+            
+            // Close the browser again unless a campaign is sending from it
+            const inUse = Array.from(activeCampaigns.values()).some(campaign => accountId
+                ? campaignUsesAccount(campaign, accountId)
+                : !campaign.accountId && !campaign.senderPool);
+            if (!inUse) {
+                await closeSenderBrowser(accountId);
+            }
+        }).catch(error => {
+            console.error(`❌ Error finishing validation ${validation.validationId}:`, error.message);
+        });
+        
+        res.json({ success: true, ...toValidationSummary(validation) });
+    } catch (error) {
+        console.error('Error validating numbers:', error);
+        res.status(500).json({ error: 'Failed to validate numbers: ' + error.message });
+    } finally {
+        if (excelPath && fs.existsSync(excelPath)) {
+            fs.unlinkSync(excelPath);
+        }
+    }
+});
+
+// Progress and per-number results of a validation
+app.get('/api/campaign/validate/:validationId', (req, res) => {
+    const validation = numberValidator.get(req.params.validationId);
+    if (!validation) {
+        return res.status(404).json({ error: 'Validation not found' });
+    }
+    
+    res.json({
+        success: true,
+        ...toValidationSummary(validation),
+        results: validation.results.map(result => ({
+            input: result.input,
+            number: result.number,
+            status: result.status,
+            error: result.error
+        }))
+    });
+});
+
+// Download the cleaned list (valid numbers only, or every row with ?all=true)
+app.get('/api/campaign/validate/:validationId/export', (req, res) => {
+    try {
+        const format = (req.query.format || 'xlsx').toLowerCase();
+        if (!campaignReport.FORMATS[format]) {
+            return res.status(400).json({ error: 'Export format must be xlsx or csv' });
+        }
+        
+        const validation = numberValidator.get(req.params.validationId);
+        if (!validation) {
+            return res.status(404).json({ error: 'Validation not found' });
+        }
+        
+        const file = numberValidator.renderCleanedList(validation, format, req.query.all === 'true');
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        console.error('Error exporting validated numbers:', error);
+        res.status(500).json({ error: 'Failed to export validated numbers: ' + error.message });
+    }
+});
+
+// List the suppression list (newest first)
+app.get('/api/suppression', (req, res) => {
+    try {
+        const entries = suppressionList.list();
+        res.json({ success: true, total: entries.length, entries: entries });
+    } catch (error) {
+        console.error('Error listing suppression list:', error);
+        res.status(500).json({ success: false, error: 'Failed to list suppression list: ' + error.message });
+    }
+});
+
+// Download the suppression list in a format the import accepts
+app.get('/api/suppression/export', (req, res) => {
+    try {
+        const format = (req.query.format || 'xlsx').toLowerCase();
+        if (!campaignReport.FORMATS[format]) {
+            return res.status(400).json({ error: 'Export format must be xlsx or csv' });
+        }
+        
+        const file = suppressionList.renderExport(format);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        console.error('Error exporting suppression list:', error);
+        res.status(500).json({ error: 'Failed to export suppression list: ' + error.message });
+    }
+});
+
+// Add one number (or change the reason of a number already listed)
+app.post('/api/suppression', (req, res) => {
+    try {
+        const { number, reason, note } = req.body;
+        if (!number) {
+            return res.status(400).json({ success: false, error: 'Phone number is required' });
+        }
+        
+        let parsedReason;
+        try {
+            parsedReason = suppressionList.parseReason(reason);
+        } catch (reasonError) {
+            return res.status(400).json({ success: false, error: reasonError.message });
+        }
+        
+        const formatted = formatRecipientNumber(String(number).trim(), 1);
+        if (!formatted.number) {
+            return res.status(400).json({ success: false, error: 'Invalid phone number: ' + formatted.error });
+        }
+        
+        const entry = suppressionList.add(formatted.number, { reason: parsedReason, note: note, source: 'manual' });
+        console.log(`🚫 ${entry.number} added to the suppression list (${entry.reason})`);
+        res.json({ success: true, entry: entry });
+    } catch (error) {
+        console.error('Error adding to suppression list:', error);
+        res.status(500).json({ success: false, error: 'Failed to add to suppression list: ' + error.message });
+    }
+});
+
+// Import a blocklist - a spreadsheet (optional reason and note columns) or pasted numbers
+app.post('/api/suppression/import', upload.fields([
+    { name: 'excelFile', maxCount: 1 }
+]), (req, res) => {
+    const excelPath = req.files && req.files.excelFile ? req.files.excelFile[0].path : null;
+    
+    try {
+        let defaultReason;
+        try {
+            defaultReason = suppressionList.parseReason(req.body.reason, 'blocklist');
+        } catch (reasonError) {
+            return res.status(400).json({ success: false, error: reasonError.message });
+        }
+        
+        let parsed;
+        if (excelPath) {
+            const sheet = personalization.readRecipientSheet(excelPath, formatRecipientNumber);
+            parsed = { recipients: sheet.recipients, rejected: toRejectedNumbers(sheet.rejected) };
+        } else if (req.body.numbers) {
+            parsed = parsePhoneNumberList(req.body.numbers);
+        } else {
+            return res.status(400).json({ success: false, error: 'An Excel file or phone numbers are required' });
+        }
+        
+        if (parsed.recipients.length === 0) {
+            return res.status(400).json({ success: false, error: 'No valid phone numbers found', rejected: parsed.rejected });
+        }
+        
+        let counts;
+        try {
+            counts = suppressionList.addMany(parsed.recipients.map(recipient => ({
+                number: recipient.number,
+                reason: recipient.fields ? recipient.fields.reason : null,
+                note: recipient.fields ? recipient.fields.note : null
+            })), { reason: defaultReason, source: 'import' });
+        } catch (reasonError) {
+            return res.status(400).json({ success: false, error: reasonError.message });
+        }
+        
+        console.log(`🚫 Suppression list import: ${counts.added} added, ${counts.alreadyListed} already listed`);
+        res.json({ success: true, ...counts, rejected: parsed.rejected });
+    } catch (error) {
+        console.error('Error importing suppression list:', error);
+        res.status(500).json({ success: false, error: 'Failed to import suppression list: ' + error.message });
+    } finally {
+        if (excelPath && fs.existsSync(excelPath)) {
+            fs.unlinkSync(excelPath);
+        }
+    }
+});
+
+// Opt-out keywords and the confirmation reply
+app.get('/api/opt-out', (req, res) => {
+    res.json({ success: true, settings: optOut.getSettings() });
+});
+
+app.put('/api/opt-out', (req, res) => {
+    try {
+        const settings = optOut.updateSettings(req.body || {});
+        console.log(`🚫 Opt-out settings updated (${settings.keywords.length} keywords, confirmation ${settings.sendConfirmation ? 'on' : 'off'})`);
+        res.json({ success: true, settings: settings });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Send quotas of the default client and every linked account, with the default policy
+app.get('/api/rate-limits', (req, res) => {
+    try {
+        const accounts = [
+            { accountId: rateLimiter.DEFAULT_ACCOUNT, name: 'Default account', quota: getSendQuota(null) },
+            ...accountManager.list().map(account => ({ accountId: account.id, name: account.name, quota: getSendQuota(account.id) }))
+        ];
+        res.json({ success: true, defaults: rateLimiter.getPolicy(null), accounts: accounts });
+    } catch (error) {
+        console.error('Error getting rate limits:', error);
+        res.status(500).json({ success: false, error: 'Failed to get rate limits: ' + error.message });
+    }
+});
+
+// Change the default policy (`{ maxPerHour, maxPerDay, burstLimit, ... }`, null turns a limit off)
+app.put('/api/rate-limits', (req, res) => {
+    try {
+        const policy = rateLimiter.updatePolicy(null, req.body);
+        console.log('🚦 Default rate limits updated:', policy);
+        res.json({ success: true, policy: policy });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Override the policy for one account ("default" for the default client)
+app.put('/api/rate-limits/:accountId', (req, res) => {
+    const accountId = req.params.accountId === rateLimiter.DEFAULT_ACCOUNT ? null : req.params.accountId;
+    if (accountId && !accountManager.get(accountId)) {
+        return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+    
+    try {
+        const policy = rateLimiter.updatePolicy(req.params.accountId, req.body);
+        console.log(`🚦 Rate limits for ${req.params.accountId} updated:`, policy);
+        io.emit('quota_update', getSendQuota(accountId));
+        res.json({ success: true, policy: policy, quota: getSendQuota(accountId) });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Drop an account's overrides so it follows the default policy again
+app.delete('/api/rate-limits/:accountId', (req, res) => {
+    const accountId = req.params.accountId === rateLimiter.DEFAULT_ACCOUNT ? null : req.params.accountId;
+    const policy = rateLimiter.resetPolicy(req.params.accountId);
+    io.emit('quota_update', getSendQuota(accountId));
+    res.json({ success: true, policy: policy });
+});
+
+const templateUpload = upload.fields([
+    { name: 'mediaFile', maxCount: attachments.MAX_ATTACHMENTS }
+]);
+
+// Default attachments uploaded with a template, with their captions
+function getTemplateMediaUploads(req) {
+    const files = (req.files && req.files.mediaFile) || [];
+    const captions = attachments.parseCaptions(req.body.captions, files.length);
+    return files.map((file, index) => ({
+        path: file.path,
+        filename: file.originalname,
+        mimetype: attachments.getMimeType(file.originalname),
+        caption: captions[index]
+    }));
+}
+
+// Message templates (`?tag=` and `?search=` filter the list)
+app.get('/api/templates', (req, res) => {
+    try {
+        res.json({ success: true, templates: templateLibrary.list({ tag: req.query.tag || null, search: req.query.search || null }) });
+    } catch (error) {
+        console.error('Error listing templates:', error);
+        res.status(500).json({ success: false, error: 'Failed to list templates: ' + error.message });
+    }
+});
+
+// One template, the latest version unless `?version=` is given
+app.get('/api/templates/:templateId', (req, res) => {
+    const template = templateLibrary.get(req.params.templateId, req.query.version || null);
+    if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, template: template });
+});
+
+app.get('/api/templates/:templateId/versions', (req, res) => {
+    const versions = templateLibrary.listVersions(req.params.templateId);
+    if (!versions) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, versions: versions });
+});
+
+app.post('/api/templates', templateUpload, (req, res) => {
+    try {
+        const template = templateLibrary.create(req.body, getTemplateMediaUploads(req));
+        console.log(`📝 Template "${template.name}" created`);
+        res.json({ success: true, template: template });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    } finally {
+        removeMediaUploads(req.files);
+    }
+});
+
+// Save a new version of a template; fields left out keep their value
+app.put('/api/templates/:templateId', templateUpload, (req, res) => {
+    try {
+        const template = templateLibrary.update(req.params.templateId, req.body, getTemplateMediaUploads(req));
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        console.log(`📝 Template "${template.name}" saved as version ${template.version}`);
+        res.json({ success: true, template: template });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    } finally {
+        removeMediaUploads(req.files);
+    }
+});
+
+// Make an older version the latest again
+app.post('/api/templates/:templateId/versions/:version/restore', (req, res) => {
+    try {
+        const template = templateLibrary.restore(req.params.templateId, req.params.version);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template version not found' });
+        }
+        console.log(`📝 Template "${template.name}" restored from version ${req.params.version}`);
+        res.json({ success: true, template: template });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/templates/:templateId', (req, res) => {
+    try {
+        if (!templateLibrary.remove(req.params.templateId)) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete template: ' + error.message });
+    }
+});
+
+// Check that a recipient spreadsheet has a column for every variable the template needs
+app.post('/api/templates/:templateId/check', upload.fields([
+    { name: 'excelFile', maxCount: 1 }
+]), (req, res) => {
+    const excelPath = req.files && req.files.excelFile ? req.files.excelFile[0].path : null;
+    
+    try {
+        const template = templateLibrary.get(req.params.templateId, req.body.version || null);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        const headers = excelPath ? personalization.readRecipientSheet(excelPath, formatRecipientNumber).headers : [];
+        const missingVariables = templateLibrary.findMissingVariables(template.id, template.version, req.body.message || null, headers);
+        res.json({ success: true, ready: missingVariables.length === 0, headers: headers, variables: template.variables, missingVariables: missingVariables });
+    } catch (error) {
+        console.error('Error checking template variables:', error);
+        res.status(500).json({ success: false, error: 'Failed to check template: ' + error.message });
+    } finally {
+        if (excelPath && fs.existsSync(excelPath)) {
+            fs.unlinkSync(excelPath);
+        }
+    }
+});
+
+// Outgoing webhooks. Dead-letter routes come first so "dead-letters" is not taken for a webhook ID.
+app.get('/api/webhooks/dead-letters', (req, res) => {
+    try {
+        res.json({ success: true, deadLetters: webhooks.listDeadLetters({ webhookId: req.query.webhookId || null }) });
+    } catch (error) {
+        console.error('Error listing webhook dead letters:', error);
+        res.status(500).json({ success: false, error: 'Failed to list dead letters: ' + error.message });
+    }
+});
+
+// Send a dead-lettered delivery again, with a fresh set of retries
+app.post('/api/webhooks/dead-letters/:deliveryId/retry', async (req, res) => {
+    try {
+        const delivery = await webhooks.retryDeadLetter(req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Dead letter not found' });
+        }
+        res.json({ success: true, delivered: !delivery.nextAttemptAt, delivery: delivery });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/webhooks/dead-letters/:deliveryId', (req, res) => {
+    try {
+        if (!webhooks.removeDeadLetter(req.params.deliveryId)) {
+            return res.status(404).json({ success: false, error: 'Dead letter not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting webhook dead letter:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete dead letter: ' + error.message });
+    }
+});
+
+app.get('/api/webhooks', (req, res) => {
+    try {
+        res.json({ success: true, webhooks: webhooks.list(), events: webhooks.EVENTS });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ success: false, error: 'Failed to list webhooks: ' + error.message });
+    }
+});
+
+app.get('/api/webhooks/:webhookId', (req, res) => {
+    const webhook = webhooks.get(req.params.webhookId);
+    if (!webhook) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true, webhook: webhook });
+});
+
+// The response includes the signing secret - it is not shown again
+app.post('/api/webhooks', (req, res) => {
+    try {
+        const webhook = webhooks.create(req.body || {});
+        console.log(`🪝 Webhook ${webhook.id} created for ${webhook.url}`);
+        res.json({ success: true, webhook: webhook });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Fields left out keep their value; `rotateSecret: true` returns a new secret
+app.put('/api/webhooks/:webhookId', (req, res) => {
+    try {
+        const webhook = webhooks.update(req.params.webhookId, req.body || {});
+        if (!webhook) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true, webhook: webhook });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/webhooks/:webhookId', (req, res) => {
+    try {
+        if (!webhooks.remove(req.params.webhookId)) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete webhook: ' + error.message });
+    }
+});
+
+// Send a signed webhook_test event once and report how the receiver answered
+app.post('/api/webhooks/:webhookId/test', async (req, res) => {
+    try {
+        const result = await webhooks.test(req.params.webhookId);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to test webhook: ' + error.message });
+    }
+});
+
+// Take a number off the suppression list
+app.delete('/api/suppression/:number', (req, res) => {
+    try {
+        if (!suppressionList.remove(req.params.number)) {
+            return res.status(404).json({ success: false, error: 'Number is not on the suppression list' });
+        }
+        console.log(`✅ ${req.params.number} removed from the suppression list`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing from suppression list:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove from suppression list: ' + error.message });
+    }
+});
+
+const campaignUpload = upload.fields([
+    { name: 'mediaFile', maxCount: attachments.MAX_ATTACHMENTS },
+    { name: 'mediaArchive', maxCount: 1 },
+    { name: 'excelFile', maxCount: 1 }
+]);
+
+// Queue a campaign - same fields as /api/upload-and-send, with the ID assigned here when none is given
+app.post('/api/campaigns', campaignUpload, (req, res, next) => {
+    req.body.campaignId = req.body.campaignId || `campaign_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    next();
+}, handleUploadAndSend);
+
+// Upload and send messages
+app.post('/api/upload-and-send', campaignUpload, handleUploadAndSend);
+
+// Delete the uploaded attachments and media ZIP of a request, with the files unpacked
+// from the ZIP (campaigns keep their own copies)
+function removeMediaUploads(files) {
+    for (const file of [...((files && files.mediaFile) || []), ...((files && files.mediaArchive) || [])]) {
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    }
+    if (files && files.mediaArchive) {
+        fs.rmSync(getArchiveExtractDir(files.mediaArchive[0]), { recursive: true, force: true });
+    }
+}
+
+// Number of recipients with their own file, for the upload response
+function countRecipientFiles(recipientFiles) {
+    return recipientFiles ? recipientFiles.filter(Boolean).length : 0;
+}
+
+// Where an uploaded media ZIP is unpacked - next to the upload
+function getArchiveExtractDir(archiveFile) {
+    return `${archiveFile.path}_files`;
+}
+
+async function handleUploadAndSend(req, res) {
+    try {
+        // Campaigns send from the default client unless an account was picked in the account manager
+        const accountId = req.body.accountId || null;
+        if (accountId && !accountManager.get(accountId)) {
+            return res.status(400).json({ error: 'Selected WhatsApp account no longer exists. Please choose another account.' });
+        }
+        
+        // Optional sender pool: spread the campaign across several accounts
+        let campaignSenderPool = null;
+        if (req.body.senderPool) {
+            if (!req.body.campaignId) {
+                return res.status(400).json({ error: 'Sender pools are only supported for campaigns' });
+            }
+            try {
+                campaignSenderPool = senderPool.createSenderPool(JSON.parse(req.body.senderPool), id => Boolean(accountManager.get(id)));
+            } catch (poolError) {
+                return res.status(400).json({ error: 'Invalid sender pool: ' + poolError.message });
+            }
+        }
+        
+        // Optional schedule: a future start time and/or daily sending window
+        let scheduledAt = null;
+        let sendingWindow = null;
+        if (req.body.scheduledAt || req.body.sendingWindow) {
+            if (!req.body.campaignId) {
+                return res.status(400).json({ error: 'Scheduling is only supported for campaigns' });
+            }
+            try {
+                if (req.body.scheduledAt) {
+                    scheduledAt = scheduler.parseScheduledAt(req.body.scheduledAt);
+                }
+                if (req.body.sendingWindow) {
+                    sendingWindow = scheduler.parseSendingWindow(req.body.sendingWindow);
+                }
+            } catch (scheduleError) {
+                return res.status(400).json({ error: 'Invalid schedule: ' + scheduleError.message });
+            }
+        }
+        const startsLater = Boolean(scheduledAt && scheduledAt.getTime() > Date.now());
+        
+        // Higher priorities jump ahead of lower ones in the campaign queue
+        let priority = campaignQueue.DEFAULT_PRIORITY;
+        try {
+            priority = campaignQueue.parsePriority(req.body.priority);
+        } catch (priorityError) {
+            return res.status(400).json({ error: 'Invalid priority: ' + priorityError.message });
+        }
+        
+        if (req.body.campaignId && findCampaign(req.body.campaignId)) {
+            return res.status(409).json({ error: 'A campaign with this ID already exists' });
+        }
+        
+        // Pool accounts are started lazily by the campaign itself; scheduled campaigns and
+        // campaigns waiting behind another one bring up their sender when they start
+        const waitsInQueue = Boolean(req.body.campaignId) && activeCampaigns.size > 0;
+        if (!campaignSenderPool && !startsLater && !waitsInQueue) {
+            // Ensure client is ready (lazy initialization)
+            console.log('📨 Message send request received - ensuring Chrome is ready...');
+            await ensureSenderReady(accountId);
+            
+            if (!accountId && !isClientReady && !isClientAuthenticated) {
+                return res.status(400).json({ error: 'WhatsApp client is not ready. Please authenticate first.' });
+            }
+            
+            if (!getSenderClient(accountId)) {
+                return res.status(400).json({ error: 'WhatsApp client is not initialized. Please try again.' });
+            }
+        }
+
+        // A library template fills in the message (unless one is given) and default attachments
+        let template = null;
+        if (req.body.templateId) {
+            template = templateLibrary.get(req.body.templateId, req.body.templateVersion || null);
+            if (!template) {
+                removeMediaUploads(req.files);
+                return res.status(400).json({ error: 'Template not found - it may have been deleted' });
+            }
+        }
+        
+        const message = req.body.message || (template ? template.body : 'Hello! This is a message from WhatsApp Bulk Sender.');
+        const fileType = req.body.fileType || 'text'; // 'text', 'excel', or 'media'
+        const campaignId = req.body.campaignId || null;
+        const delayRange = req.body.delayRange || '1800-3600'; // Default to 30-60 minutes
+        
+        // Optional message variants that rotate per recipient (JSON array of messages)
+        let messageVariants = null;
+        if (req.body.messageVariants) {
+            try {
+                messageVariants = personalization.parseMessageVariants(req.body.messageVariants);
+            } catch (variantError) {
+                return res.status(400).json({ error: 'Invalid message variants: ' + variantError.message });
+            }
+        }
+        
+        // Optional pre-validation whose not-on-WhatsApp numbers are left out of the run
+        let validation = null;
+        if (req.body.validationId) {
+            validation = numberValidator.get(req.body.validationId);
+            if (!validation) {
+                return res.status(400).json({ error: 'Number validation not found - it may have expired, please validate the list again' });
+            }
+        }
+        
+        let phoneNumbers = [];
+        let recipientFields = null; // per-recipient spreadsheet columns for {{placeholders}}
+        let rejectedNumbers = []; // { value, reason } for every number that could not be used
+        let mediaFiles = []; // MessageMedia attachments, each with its own caption
+        let mediaOptions = null;
+
+        if (fileType === 'text') {
+            // For text messages, we need phone numbers from text input
+            const phoneNumbersText = req.body.phoneNumbers;
+            if (!phoneNumbersText) {
+                return res.status(400).json({ error: 'Phone numbers are required for text messages' });
+            }
+            
+            // Parse and normalize phone numbers from text input
+            const parsed = parsePhoneNumberList(phoneNumbersText);
+            phoneNumbers = parsed.recipients.map(recipient => recipient.number);
+            rejectedNumbers = parsed.rejected;
+                
+            if (phoneNumbers.length === 0) {
+                return res.status(400).json({ error: 'No valid phone numbers found', rejected: rejectedNumbers });
+            }
+            
+        } else if (fileType === 'excel') {
+            // For Excel file uploads, we need Excel file
+            if (!req.files.excelFile) {
+                return res.status(400).json({ error: 'Excel file is required for Excel uploads' });
+            }
+            
+            // Read the uploaded Excel file - the header row names the columns used for personalization
+            const sheet = personalization.readRecipientSheet(req.files.excelFile[0].path, formatRecipientNumber);
+            phoneNumbers = sheet.recipients.map(recipient => recipient.number);
+            recipientFields = sheet.recipients.map(recipient => recipient.fields);
+            rejectedNumbers = toRejectedNumbers(sheet.rejected);
+
+            if (phoneNumbers.length === 0) {
+                fs.unlinkSync(req.files.excelFile[0].path);
+                return res.status(400).json({ error: 'No valid phone numbers found in the Excel file', rejected: rejectedNumbers });
+            }
+
+        } else if (fileType === 'media') {
+            // For media messages, we need at least one attachment (or a template that has some) and phone numbers
+            if (!req.files.mediaFile && !(template && template.defaultMedia.length > 0)) {
+                return res.status(400).json({ error: 'Media file is required for media messages' });
+            }
+            
+            // Check if we have phone numbers from text input or Excel file
+            const phoneNumbersText = req.body.phoneNumbers;
+            if (phoneNumbersText) {
+                // Parse and normalize phone numbers from text input
+                const parsed = parsePhoneNumberList(phoneNumbersText);
+                phoneNumbers = parsed.recipients.map(recipient => recipient.number);
+                rejectedNumbers = parsed.rejected;
+                    
+                if (phoneNumbers.length === 0) {
+                    removeMediaUploads(req.files);
+                    return res.status(400).json({ error: 'No valid phone numbers found', rejected: rejectedNumbers });
+                }
+            } else if (req.files.excelFile) {
+                // Fallback to Excel file if no text input
+                const sheet = personalization.readRecipientSheet(req.files.excelFile[0].path, formatRecipientNumber);
+                phoneNumbers = sheet.recipients.map(recipient => recipient.number);
+                recipientFields = sheet.recipients.map(recipient => recipient.fields);
+                rejectedNumbers = toRejectedNumbers(sheet.rejected);
+
+                if (phoneNumbers.length === 0) {
+                    fs.unlinkSync(req.files.excelFile[0].path);
+                    removeMediaUploads(req.files);
+                    return res.status(400).json({ error: 'No valid phone numbers found in the Excel file', rejected: rejectedNumbers });
+                }
+            } else {
+                removeMediaUploads(req.files);
+                return res.status(400).json({ error: 'Phone numbers are required for media messages' });
+            }
+            
+            // Read every attachment with its caption (captions follow the upload order)
+            try {
+                const uploads = req.files.mediaFile || [];
+                const captions = attachments.parseCaptions(req.body.captions, uploads.length);
+                mediaFiles = uploads.map((file, index) => attachments.loadAttachment(file.path, file.originalname, captions[index]));
+                mediaOptions = attachments.parseMediaOptions(req.body);
+                
+                mediaFiles.forEach(media => console.log(`Processed media file: ${media.filename} (${media.mimetype})`));
+            } catch (mediaError) {
+                if (req.files.excelFile) {
+                    fs.unlinkSync(req.files.excelFile[0].path);
+                }
+                removeMediaUploads(req.files);
+                return res.status(400).json({ error: 'Failed to process media file: ' + mediaError.message });
+            }
+        }
+
+        // Clean up uploaded files after processing
+        // Note: We need to keep the media file until all messages are sent
+        if (req.files.excelFile) {
+            fs.unlinkSync(req.files.excelFile[0].path);
+        }
+        // Don't delete media file yet - we need it for sending messages
+        
+        if (template) {
+            // The list needs a column for every variable the template requires
+            const headers = recipientFields && recipientFields.length > 0 ? Object.keys(recipientFields[0]) : [];
+            const missingVariables = templateLibrary.findMissingVariables(template.id, template.version, message, headers);
+            if (missingVariables.length > 0) {
+                removeMediaUploads(req.files);
+                return res.status(400).json({
+                    error: `Template "${template.name}" needs a column for ${missingVariables.join(', ')} in the recipient list`,
+                    missingVariables: missingVariables
+                });
+            }
+            
+            // Uploaded attachments replace the template's default ones
+            if (mediaFiles.length === 0) {
+                mediaFiles = templateLibrary.getDefaultMedia(template.id, template.version)
+                    .map(media => attachments.loadAttachment(media.path, media.filename, media.caption, media.mimetype));
+                mediaOptions = mediaOptions || attachments.parseMediaOptions(req.body);
+            }
+        }
+        
+        let excludedCount = 0;
+        if (validation) {
+            const excluded = numberValidator.getExcludedNumbers(validation);
+            const keep = phoneNumbers.map(number => !excluded.has(number));
+            excludedCount = keep.filter(kept => !kept).length;
+            phoneNumbers = phoneNumbers.filter((number, index) => keep[index]);
+            recipientFields = recipientFields ? recipientFields.filter((fields, index) => keep[index]) : null;
+            console.log(`🧹 Left out ${excludedCount} number(s) that validation ${validation.validationId} found are not on WhatsApp`);
+            
+            if (phoneNumbers.length === 0) {
+                removeMediaUploads(req.files);
+                return res.status(400).json({ error: 'None of the numbers are on WhatsApp according to the validation' });
+            }
+        }
+        
+        // Each number gets one message per campaign, and none while it is on the suppression list
+        const filtered = filterRecipients(phoneNumbers, recipientFields);
+        phoneNumbers = filtered.phoneNumbers;
+        recipientFields = filtered.recipientFields;
+        const skippedRecipients = filtered.skipped;
+        const duplicateCount = skippedRecipients.filter(recipient => recipient.error === 'duplicate').length;
+        const suppressedCount = skippedRecipients.length - duplicateCount;
+        if (skippedRecipients.length > 0) {
+            console.log(`🚫 Skipping ${duplicateCount} duplicate and ${suppressedCount} suppressed number(s)`);
+        }
+        
+        if (phoneNumbers.length === 0) {
+            removeMediaUploads(req.files);
+            return res.status(400).json({ error: 'Every number is a duplicate or on the suppression list', duplicates: duplicateCount, suppressed: suppressedCount });
+        }
+        
+        // Each recipient's own file named in the media column - every row is matched now,
+        // so a missing file stops the launch instead of failing that recipient later
+        let recipientFiles = null;
+        try {
+            const mediaArchive = req.files.mediaArchive ? req.files.mediaArchive[0] : null;
+            const matched = await recipientMedia.matchRecipients({
+                phoneNumbers: phoneNumbers,
+                recipientFields: recipientFields,
+                column: req.body.mediaColumn || null,
+                archivePath: mediaArchive ? mediaArchive.path : null,
+                extractDir: mediaArchive ? getArchiveExtractDir(mediaArchive) : null
+            });
+            if (matched.missing.length > 0) {
+                removeMediaUploads(req.files);
+                return res.status(400).json({
+                    error: `${matched.missing.length} recipient file(s) from the "${matched.column}" column could not be used - fix the spreadsheet or the ZIP and upload again`,
+                    missingMedia: matched.missing
+                });
+            }
+            if (matched.column) {
+                recipientFiles = matched.media;
+                mediaOptions = mediaOptions || attachments.parseMediaOptions(req.body);
+                console.log(`📎 Matched ${recipientFiles.filter(Boolean).length} recipient file(s) from the "${matched.column}" column`);
+            }
+        } catch (mediaError) {
+            removeMediaUploads(req.files);
+            return res.status(400).json({ error: 'Failed to match recipient media: ' + mediaError.message });
+        }
+
+        // Store campaign state for pause/resume functionality
+        if (campaignId) {
+            // Keep a durable copy of the media so a restarted campaign can still send it
+            mediaFiles.forEach((media, index) => {
+                media.path = campaignStore.storeMediaFile(campaignId, media.path, media.filename, index);
+            });
+            const storedRecipientFiles = recipientFiles ? campaignStore.storeRecipientMedia(campaignId, recipientFiles) : null;
+            
+            const campaignState = {
+                campaignId: campaignId,
+                phoneNumbers: phoneNumbers,
+                recipients: phoneNumbers.map((number, index) => ({
+                    number: number,
+                    fields: recipientFields ? recipientFields[index] : null,
+                    media: storedRecipientFiles ? storedRecipientFiles[index] : null,
+                    status: 'pending',
+                    error: null,
+                    updatedAt: null
+                })),
+                skipped: skippedRecipients,
+                message: message,
+                messageVariants: messageVariants,
+                template: template ? { id: template.id, version: template.version, name: template.name } : null,
+                attachments: mediaFiles,
+                mediaOptions: mediaOptions,
+                fileType: fileType,
+                accountId: campaignSenderPool ? null : accountId,
+                senderPool: campaignSenderPool,
+                delayRange: delayRange,
+                scheduledAt: scheduledAt,
+                sendingWindow: sendingWindow,
+                priority: priority,
+                currentIndex: 0,
+                sentCount: 0,
+                failedCount: 0,
+                isPaused: false,
+                createdAt: new Date(),
+                startedAt: null,
+                lastActivity: new Date()
+            };
+            
+            // The stored copies of the media are used when the campaign starts
+            removeMediaUploads(req.files);
+            
+            if (startsLater) {
+                scheduledCampaigns.set(campaignId, campaignState);
+                campaignStore.save(campaignState, 'scheduled');
+                scheduleCampaign(campaignState);
+                
+                console.log(`⏰ Campaign ${campaignId} scheduled for ${scheduledAt.toISOString()} (${phoneNumbers.length} numbers)`);
+                io.emit('campaign_scheduled', {
+                    campaignId: campaignId,
+                    scheduledAt: scheduledAt,
+                    total: phoneNumbers.length
+                });
+                
+                return res.json({
+                    success: true,
+                    scheduled: true,
+                    campaignId: campaignId,
+                    scheduledAt: scheduledAt,
+                    total: phoneNumbers.length,
+                    excluded: excludedCount,
+                    duplicates: duplicateCount,
+                    suppressed: suppressedCount,
+                    recipientMedia: countRecipientFiles(recipientFiles),
+                    rejected: rejectedNumbers
+                });
+            }
+            
+            // Campaigns run one at a time - this starts right away when nothing else is sending
+            const position = enqueueCampaign(campaignState);
+            
+            console.log(`💾 Campaign ${campaignId} state saved to disk`);
+            console.log(`🔄 Campaign will run independently of browser connections`);
+            console.log(`📱 You can safely close your browser - messages will continue sending`);
+            
+            return res.json({
+                success: true,
+                queued: position !== null,
+                position: position,
+                campaignId: campaignId,
+                total: phoneNumbers.length,
+                excluded: excludedCount,
+                duplicates: duplicateCount,
+                suppressed: suppressedCount,
+                recipientMedia: countRecipientFiles(recipientFiles),
+                rejected: rejectedNumbers
+            });
+        }
+
+        // Send messages with human-like behavior
+        const results = [];
+        let successCount = 0;
+        let failureCount = 0;
 
         console.log(`Starting to send messages to ${phoneNumbers.length} phone numbers`);
         io.emit('bulk_send_start', { total: phoneNumbers.length, campaignId: campaignId });
 
-        // Start the campaign sending process
-        if (campaignId) {
-            // Add a small delay to make it easier to test pause functionality
-            setTimeout(async () => {
-                try {
-                    console.log(`🚀 Starting campaign ${campaignId}...`);
-                    console.log(`📊 Campaign will process ${phoneNumbers.length} numbers with ${delayRange} delay range`);
-                    console.log(`💾 Campaign state stored in server memory - will continue even if browser is closed`);
-                    console.log(`⏰ Estimated completion time: ${Math.ceil(phoneNumbers.length * 0.75)} minutes`);
-                    
-                    await continueCampaign(campaignId);
-                } catch (error) {
-                    console.error(`❌ Error starting campaign ${campaignId}:`, error);
-                    // Emit error event to frontend
-                    io.emit('campaign_error', { 
-                        campaignId: campaignId, 
-                        error: error.message 
-                    });
-                }
-            }, 2000); // 2 second delay
-        } else {
-            // For non-campaign messages, send immediately
-            await sendMessagesSequentially(phoneNumbers, message, campaignId, 0, delayRange, mediaFile);
+        // Non-campaign messages are sent immediately, outside the queue
+        await sendMessagesSequentially(phoneNumbers, messageVariants || message, campaignId, 0, delayRange, mediaFiles, accountId, recipientFields, mediaOptions, recipientFiles);
+
+        // Campaign messages emit their completion in sendMessagesSequentially
+        io.emit('bulk_send_complete', { 
+            total: phoneNumbers.length, 
+            success: successCount, 
+            failed: failureCount,
+            campaignId: campaignId
+        });
+        
+        // Close Chrome browser to save costs after non-campaign messages are sent
+        console.log('💰 Non-campaign messages completed - closing Chrome browser to save costs...');
+        await closeSenderBrowser(accountId);
+
+        // Clean up media files after all messages are sent
+        if (req.files && (req.files.mediaFile || req.files.mediaArchive)) {
+            try {
+                removeMediaUploads(req.files);
+                console.log('Media file cleaned up successfully');
+            } catch (cleanupError) {
+                console.error('Error cleaning up media file:', cleanupError);
+            }
+        }
+
+        res.json({
+            success: true,
+            total: phoneNumbers.length,
+            excluded: excludedCount,
+            duplicates: duplicateCount,
+            suppressed: suppressedCount,
+            recipientMedia: countRecipientFiles(recipientFiles),
+            rejected: rejectedNumbers,
+            successful: successCount,
+            failed: failureCount,
+            results: results
+        });
+
+    } catch (error) {
+        console.error('Error processing file and sending messages:', error);
+        
+        // Clean up uploaded files if they exist
+        if (req.files) {
+            if (req.files.excelFile && fs.existsSync(req.files.excelFile[0].path)) {
+                fs.unlinkSync(req.files.excelFile[0].path);
+            }
+            removeMediaUploads(req.files);
+        }
+        
+        res.status(500).json({ error: 'Failed to process file and send messages: ' + error.message });
+    }
+}
+
+// Helper function to get status message
+function getStatusMessage() {
+    if (isClientReady) {
+        return 'WhatsApp is ready! You can now send messages.';
+    } else if (isClientAuthenticated) {
+        return 'WhatsApp authenticated, initializing...';
+    } else if (qrCodeData) {
+        return 'Scan QR code with your WhatsApp mobile app';
+    } else if (!client) {
+        return 'Chrome browser is closed to save RAM (700MB+ savings) - will open automatically when you send messages';
+    } else if (!client.pupBrowser) {
+        return 'Chrome browser is closed to save costs - will reopen automatically when sending messages';
+    } else {
+        return 'Initializing WhatsApp client...';
+    }
+}
+
+// Helper function to generate random delay between min and max milliseconds
+function getRandomDelay(min, max) {
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+// Helper function to parse delay range from string (e.g., "30-60" -> [30000, 60000])
+function parseDelayRange(delayString) {
+    const [min, max] = delayString.split('-').map(num => parseInt(num));
+    return [min * 1000, max * 1000]; // Convert seconds to milliseconds
+}
+
+// Helper function to calculate realistic typing duration based on message length
+function calculateTypingDuration(message) {
+    // Base typing speed: ~40-60 characters per minute (human average)
+    const baseSpeed = getRandomDelay(40, 60); // chars per minute
+    const charsPerSecond = baseSpeed / 60;
+    
+    // Calculate base duration
+    const baseDuration = (message.length / charsPerSecond) * 1000;
+    
+    // Add some randomness and thinking pauses
+    const thinkingPauses = Math.floor(message.length / 50) * getRandomDelay(500, 1500); // Pause every ~50 chars
+    const randomVariation = baseDuration * (getRandomDelay(80, 120) / 100); // ±20% variation
+    
+    // Minimum 3 seconds, maximum 30 seconds for very long messages
+    const finalDuration = Math.max(3000, Math.min(30000, randomVariation + thinkingPauses));
+    
+    return Math.floor(finalDuration);
+}
+
+// Helper function to simulate human reading time
+function calculateReadingTime(message) {
+    // Average reading speed: 200-250 words per minute
+    const wordsPerMinute = getRandomDelay(200, 250);
+    const words = message.split(' ').length;
+    const readingTimeMs = (words / wordsPerMinute) * 60 * 1000;
+    
+    // Minimum 1 second, maximum 10 seconds
+    return Math.max(1000, Math.min(10000, readingTimeMs));
+}
+
+// Helper function to detect if error indicates number is not available on WhatsApp
+function isNumberUnavailableError(error) {
+    const errorMessage = error.message.toLowerCase();
+    
+    // Common patterns that indicate number is not available on WhatsApp
+    const unavailablePatterns = [
+        'waiting for selector',
+        'timeout',
+        'navigation timeout',
+        'networkidle2',
+        'element not found',
+        'selector not found',
+        'page not found',
+        'invalid number',
+        'number not found',
+        'failed: waiting failed',
+        'exceeded',
+        'not available',
+        'unavailable',
+        'invalid phone number',
+        'phone number not found'
+    ];
+    
+    // Also check for specific timeout errors that are common with unavailable numbers
+    const isTimeoutError = errorMessage.includes('timeout') && 
+                          (errorMessage.includes('30000ms') || errorMessage.includes('15000ms'));
+    
+    return unavailablePatterns.some(pattern => errorMessage.includes(pattern)) || isTimeoutError;
+}
+
+// Function to ensure client is ready (lazy initialization)
+async function ensureClientReady() {
+    try {
+        // If client is not initialized at all, initialize it
+        if (!client) {
+            console.log('🚀 Chrome browser not initialized - starting for the first time...');
+            await initializeWhatsAppClient();
+            
+            // Wait for client to be ready
+            let attempts = 0;
+            const maxAttempts = 60; // 60 seconds timeout
+            
+            while (!isClientReady && attempts < maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                attempts++;
+                console.log(`⏳ Waiting for WhatsApp client to be ready... (${attempts}/${maxAttempts})`);
+            }
+            
+            if (!isClientReady) {
+                throw new Error('Failed to initialize WhatsApp client - session may need re-authentication');
+            }
+            
+            console.log('✅ Chrome browser initialized successfully with restored session');
+        }
+        // If client exists but browser is closed, reopen it
+        else if (!client.pupBrowser || !client.pupPage || client.pupPage.isClosed()) {
+            console.log('🔄 Chrome browser not available - reopening with saved session...');
+            
+            // Clean up any existing client state
+            try {
+                await client.destroy();
+            } catch (destroyError) {
+                console.log('Note: Error destroying existing client (expected if already closed):', destroyError.message);
+            }
+            client = null;
+            
+            // Reset states
+            isClientReady = false;
+            isClientAuthenticated = false;
+            qrCodeData = null;
+            pairingCode = null;
+            
+            // Initialize new client
+            await initializeWhatsAppClient();
+            
+            // Wait for client to be ready
+            let attempts = 0;
+            const maxAttempts = 60; // 60 seconds timeout
+            
+            while (!isClientReady && attempts < maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                attempts++;
+                console.log(`⏳ Waiting for WhatsApp client to be ready... (${attempts}/${maxAttempts})`);
+            }
+            
+            if (!isClientReady) {
+                throw new Error('Failed to initialize WhatsApp client after reopening Chrome - session may need re-authentication');
+            }
+            
+            console.log('✅ Chrome browser reopened successfully with restored session');
+        }
+        
+        return true;
+    } catch (error) {
+        console.error('❌ Error ensuring Chrome browser availability:', error.message);
+        throw error;
+    }
+}
+
+// Resolve the client a campaign sends from (the default client unless an account was chosen)
+function getSenderClient(accountId) {
+    return accountId ? accountManager.getClient(accountId) : client;
+}
+
+function isSenderReady(accountId) {
+    return accountId ? accountManager.isReady(accountId) : (isClientReady && isClientAuthenticated);
+}
+
+async function ensureSenderReady(accountId) {
+    if (accountId) {
+        return accountManager.ensureReady(accountId);
+    }
+    return ensureClientReady();
+}
+
+async function validateSender(accountId) {
+    if (accountId) {
+        return accountManager.validate(accountId);
+    }
+    return validateConnection();
+}
+
+function campaignUsesAccount(campaign, accountId) {
+    return campaign.accountId === accountId ||
+        Boolean(campaign.senderPool && campaign.senderPool.accountIds.includes(accountId));
+}
+
+// Close the sender's browser once it has nothing left to send
+async function closeSenderBrowser(accountId) {
+    if (!accountId) {
+        return closeChromeBrowser();
+    }
+    const stillSending = Array.from(activeCampaigns.values()).some(campaign => campaignUsesAccount(campaign, accountId));
+    if (!stillSending) {
+        await accountManager.closeBrowser(accountId);
+    }
+}
+
+// How long a pooled campaign waits before re-checking when every account is capped or down
+const SENDER_POOL_WAIT_MS = 5 * 60 * 1000;
+
+// Whether this run of a campaign is still sending (not paused, stopped or restarted elsewhere)
+function isCampaignRunning(campaignId, runId) {
+    const campaignState = activeCampaigns.get(campaignId);
+    return Boolean(campaignState && !campaignState.isPaused && campaignState.runId === runId);
+}
+
+// Pick and prepare the next pool account for a campaign, failing over past accounts that are down.
+// Waits while no account is usable; returns null if the campaign is paused or restarted meanwhile.
+async function acquirePoolSender(campaignId, runId) {
+    while (isCampaignRunning(campaignId, runId)) {
+        const campaignState = activeCampaigns.get(campaignId);
+        const pool = campaignState.senderPool;
+        const candidateId = senderPool.pickSender(pool, accountId => getSendQuota(accountId).allowed);
+        
+        if (!candidateId) {
+            const reason = senderPool.allCapped(pool)
+                ? 'every account in the pool reached its daily cap'
+                : 'no account in the pool is currently available or within its send quota';
+            console.log(`⏸️ Campaign ${campaignId} waiting for a sender: ${reason}`);
+            
+            io.emit('human_behavior', {
+                action: 'waiting_for_sender',
+                duration: SENDER_POOL_WAIT_MS,
+                reason: reason,
+                campaignId: campaignId
+            });
+            
+            // Waiting on purpose - keep the stuck-campaign monitor from restarting us
+            campaignState.lastActivity = new Date();
+            await new Promise(resolve => setTimeout(resolve, SENDER_POOL_WAIT_MS));
+            continue;
+        }
+        
+        try {
+            await accountManager.ensureReady(candidateId);
+            await accountManager.validate(candidateId);
+            return candidateId;
+        } catch (error) {
+            console.error(`🔀 Account ${candidateId} unavailable for campaign ${campaignId}, failing over:`, error.message);
+            senderPool.markUnavailable(pool, candidateId, error.message);
+            campaignStore.save(campaignState);
+            
+            io.emit('sender_failover', {
+                campaignId: campaignId,
+                accountId: candidateId,
+                error: error.message
+            });
+        }
+    }
+    return null;
+}
+
+// Remaining send quota of an account (null for the default client); linked accounts
+// warm up from the day they were added
+function getSendQuota(accountId) {
+    const account = accountId ? accountManager.get(accountId) : null;
+    return rateLimiter.check(accountId, account ? account.createdAt : null);
+}
+
+// How often a campaign waiting for send quota re-checks (so limit changes apply quickly)
+const SEND_QUOTA_POLL_MS = 60 * 1000;
+
+// Hold the next send until the account is within its quota.
+// Returns false if the campaign is paused or restarted meanwhile.
+async function waitForSendQuota(campaignId, runId, accountId, phoneNumber) {
+    let announced = false;
+    while (!campaignId || isCampaignRunning(campaignId, runId)) {
+        const campaignState = campaignId ? activeCampaigns.get(campaignId) : null;
+        const quota = getSendQuota(accountId);
+        if (quota.allowed) {
+            return true;
+        }
+        
+        if (!announced) {
+            console.log(`🚦 Account ${quota.accountId} hit its ${quota.reason} - holding for ${Math.ceil(quota.waitMs / 60000)} minutes`);
+            io.emit('human_behavior', {
+                number: phoneNumber,
+                action: 'waiting_for_quota',
+                duration: quota.waitMs,
+                reason: quota.reason,
+                resumesAt: new Date(Date.now() + quota.waitMs),
+                accountId: quota.accountId,
+                campaignId: campaignId
+            });
+            io.emit('quota_update', quota);
+            announced = true;
+        }
+        
+        // Waiting on purpose - keep the stuck-campaign monitor from restarting us
+        if (campaignState) {
+            campaignState.lastActivity = new Date();
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(quota.waitMs, SEND_QUOTA_POLL_MS)));
+    }
+    return false;
+}
+
+// How often a campaign outside its sending window re-checks (so window edits apply quickly)
+const SENDING_WINDOW_POLL_MS = 60 * 1000;
+
+// Hold a campaign while its next recipient is outside the sending window.
+// Returns false if the campaign is paused or restarted meanwhile.
+async function waitForSendingWindow(campaignId, runId, phoneNumber) {
+    let announced = false;
+    while (isCampaignRunning(campaignId, runId)) {
+        const campaignState = activeCampaigns.get(campaignId);
+        if (!campaignState.sendingWindow) {
+            return true;
+        }
+        
+        const waitMs = scheduler.msUntilWindowOpens(campaignState.sendingWindow, phoneNumber);
+        if (waitMs === 0) {
+            return true;
         }
-
-        // Only emit completion for non-campaign messages (campaign messages will emit completion in sendMessagesSequentially)
-        if (!campaignId) {
-            io.emit('bulk_send_complete', { 
-                total: phoneNumbers.length, 
-                success: successCount, 
-                failed: failureCount,
+        
+        if (!announced) {
+            console.log(`🌙 Campaign ${campaignId} is outside its sending window for ${phoneNumber} - holding for ${Math.ceil(waitMs / 60000)} minutes`);
+            io.emit('human_behavior', {
+                number: phoneNumber,
+                action: 'waiting_for_window',
+                duration: waitMs,
+                resumesAt: new Date(Date.now() + waitMs),
                 campaignId: campaignId
             });
-            
-            // Close Chrome browser to save costs after non-campaign messages are sent
-            console.log('💰 Non-campaign messages completed - closing Chrome browser to save costs...');
-            await closeChromeBrowser();
+            announced = true;
         }
+        
+        // Waiting on purpose - keep the stuck-campaign monitor from restarting us
+        campaignState.lastActivity = new Date();
+        await new Promise(resolve => setTimeout(resolve, Math.min(waitMs, SENDING_WINDOW_POLL_MS)));
+    }
+    return false;
+}
 
-        // Clean up media file after all messages are sent
-        if (req.files && req.files.mediaFile && fs.existsSync(req.files.mediaFile[0].path)) {
-            try {
-                fs.unlinkSync(req.files.mediaFile[0].path);
-                console.log('Media file cleaned up successfully');
-            } catch (cleanupError) {
-                console.error('Error cleaning up media file:', cleanupError);
+// Function to close Chrome browser and save costs
+async function closeChromeBrowser() {
+    try {
+        if (client && client.pupBrowser) {
+            console.log('🔒 Closing Chrome browser to save resources...');
+            
+            // Stop all intervals before closing Chrome
+            if (keepAliveInterval) {
+                clearInterval(keepAliveInterval);
+                keepAliveInterval = null;
+            }
+            if (connectionHealthCheckInterval) {
+                clearInterval(connectionHealthCheckInterval);
+                connectionHealthCheckInterval = null;
+            }
+            if (campaignHealthInterval) {
+                clearInterval(campaignHealthInterval);
+                campaignHealthInterval = null;
             }
+            
+            await client.pupBrowser.close();
+            client.pupBrowser = null;
+            client.pupPage = null;
+            isClientReady = false;
+            isClientAuthenticated = false;
+            console.log('✅ Chrome browser closed successfully');
         }
+    } catch (error) {
+        console.error('❌ Error closing Chrome browser:', error.message);
+        // Don't throw error to prevent server crash
+    }
+}
 
-        res.json({
-            success: true,
-            total: phoneNumbers.length,
-            successful: successCount,
-            failed: failureCount,
-            results: results
-        });
 
+// Send engine: 'client' sends through Client.sendMessage (no page reloads, returns the message id);
+// 'puppeteer' uses the older web.whatsapp.com/send URL method. With the client engine the URL
+// method is kept as a fallback for unexpected send errors unless PUPPETEER_FALLBACK=false.
+const SEND_METHOD = (process.env.SEND_METHOD || 'client').toLowerCase();
+const PUPPETEER_FALLBACK = process.env.PUPPETEER_FALLBACK !== 'false';
+
+// Send one recipient's messages with the configured engine; returns the last sent message's id (or null).
+// `outgoing` comes from attachments.planMessages - each engine removes the entries it has sent,
+// so a retry or the fallback only sends what is left.
+async function sendCampaignMessage(phoneNumber, outgoing, accountId = null, mediaOptions = null) {
+    if (SEND_METHOD === 'puppeteer') {
+        return sendMessageWithPuppeteer(phoneNumber, outgoing, accountId);
+    }
+    
+    try {
+        return await sendMessageWithClient(phoneNumber, outgoing, accountId, mediaOptions);
     } catch (error) {
-        console.error('Error processing file and sending messages:', error);
-        
-        // Clean up uploaded files if they exist
-        if (req.files) {
-            if (req.files.excelFile && fs.existsSync(req.files.excelFile[0].path)) {
-                fs.unlinkSync(req.files.excelFile[0].path);
-            }
-            if (req.files.mediaFile && fs.existsSync(req.files.mediaFile[0].path)) {
-                fs.unlinkSync(req.files.mediaFile[0].path);
-            }
+        if (!PUPPETEER_FALLBACK || isNumberUnavailableError(error)) {
+            throw error;
         }
+        console.log(`⚠️ Client send failed for ${phoneNumber} (${error.message}) - falling back to Puppeteer URL method`);
+        return sendMessageWithPuppeteer(phoneNumber, outgoing, accountId);
+    }
+}
+
+// Send through the library's own Client.sendMessage after resolving the number with getNumberId
+async function sendMessageWithClient(phoneNumber, outgoing, accountId = null, mediaOptions = null) {
+    // Ensure Chrome browser is available (will reopen if needed)
+    await ensureSenderReady(accountId);
+    const client = getSenderClient(accountId);
+    if (!client) {
+        throw new Error('WhatsApp client is not available');
+    }
+    
+    const numberId = await client.getNumberId(phoneNumber.replace('@c.us', ''));
+    if (!numberId) {
+        throw new Error(`Number not available on WhatsApp: ${phoneNumber} is not registered`);
+    }
+    
+    const chatId = numberId._serialized;
+    let messageId = null;
+    while (outgoing.length > 0) {
+        const [next] = outgoing;
+        const sentMessage = next.media
+            ? await client.sendMessage(chatId, next.media, {
+                caption: next.caption || undefined,
+                sendAudioAsVoice: Boolean(mediaOptions && mediaOptions.sendAudioAsVoice),
+                sendMediaAsDocument: Boolean(mediaOptions && mediaOptions.sendMediaAsDocument)
+            })
+            : await client.sendMessage(chatId, next.text);
+        outgoing.shift();
         
-        res.status(500).json({ error: 'Failed to process file and send messages: ' + error.message });
+        console.log(`✓ ${next.media ? `Media message (${next.media.filename})` : 'Message'} sent to ${chatId} via Client.sendMessage`);
+        if (sentMessage && sentMessage.id) {
+            messageId = sentMessage.id._serialized;
+        }
     }
-});
+    return messageId;
+}
 
-// Helper function to get status message
-function getStatusMessage() {
-    if (isClientReady) {
-        return 'WhatsApp is ready! You can now send messages.';
-    } else if (isClientAuthenticated) {
-        return 'WhatsApp authenticated, initializing...';
-    } else if (qrCodeData) {
-        return 'Scan QR code with your WhatsApp mobile app';
-    } else if (!client) {
-        return 'Chrome browser is closed to save RAM (700MB+ savings) - will open automatically when you send messages';
-    } else if (!client.pupBrowser) {
-        return 'Chrome browser is closed to save costs - will reopen automatically when sending messages';
-    } else {
-        return 'Initializing WhatsApp client...';
+// Puppeteer-based sending through the web.whatsapp.com/send URL method (the 'puppeteer' engine and
+// the client engine's fallback). Returns the last sent message's id (or null if it could not be
+// determined). Attachments are uploaded through the chat's attach menu, so sendAudioAsVoice /
+// sendMediaAsDocument do not apply.
+async function sendMessageWithPuppeteer(phoneNumber, outgoing, accountId = null) {
+    try {
+        console.log(`Using Puppeteer URL method to send message to ${phoneNumber}`);
+        
+        // Ensure Chrome browser is available (will reopen if needed)
+        await ensureSenderReady(accountId);
+        const client = getSenderClient(accountId);
+        
+        // Validate client and page
+        if (!client || !client.pupPage || client.pupPage.isClosed()) {
+            throw new Error('WhatsApp client or page is not available');
+        }
+        
+        // Get the phone number without @c.us suffix for URL
+        const cleanPhoneNumber = phoneNumber.replace('@c.us', '');
+        
+        while (outgoing.length > 0) {
+            const [next] = outgoing;
+            if (next.media) {
+                await sendMediaWithPuppeteer(client, cleanPhoneNumber, next.media, next.caption);
+            } else {
+                await sendTextWithPuppeteer(client, cleanPhoneNumber, next.text);
+            }
+            outgoing.shift();
+        }
+        
+        return await findLastSentMessageId(client, phoneNumber);
+        
+    } catch (error) {
+        console.error(`Error sending message with Puppeteer to ${phoneNumber}:`, error.message);
+        throw error;
     }
 }
 
-// Helper function to generate random delay between min and max milliseconds
-function getRandomDelay(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+// The URL method does not return the message, so look up the newest message we sent to the chat
+// to get its id for ack tracking. Best effort - returns null if it cannot be found.
+async function findLastSentMessageId(client, phoneNumber) {
+    try {
+        const chat = await client.getChatById(phoneNumber);
+        const [lastMessage] = await chat.fetchMessages({ limit: 1, fromMe: true });
+        return lastMessage ? lastMessage.id._serialized : null;
+    } catch (error) {
+        console.log(`Could not look up sent message id for ${phoneNumber} (non-critical):`, error.message);
+        return null;
+    }
 }
 
-// Helper function to parse delay range from string (e.g., "30-60" -> [30000, 60000])
-function parseDelayRange(delayString) {
-    const [min, max] = delayString.split('-').map(num => parseInt(num));
-    return [min * 1000, max * 1000]; // Convert seconds to milliseconds
+async function sendTextWithPuppeteer(client, cleanPhoneNumber, message) {
+    // Encode the message for URL (exactly as in test code)
+    const encodedMessage = encodeURIComponent(message);
+    
+    // Create WhatsApp Web URL (exactly as in test code)
+    const whatsappUrl = `https://web.whatsapp.com/send?phone=${cleanPhoneNumber}&text=${encodedMessage}`;
+    
+    console.log(`Navigating to WhatsApp URL: ${whatsappUrl}`);
+    
+    // Navigate to the WhatsApp URL using the existing client's page (exactly as in test code)
+    await client.pupPage.goto(whatsappUrl, { waitUntil: 'networkidle2' });
+    
+    // Wait for the message input box with reduced timeout for faster failure detection
+    console.log('Waiting for message input box...');
+    const inputBox = await client.pupPage.waitForSelector('div[contenteditable="true"][data-tab="10"]', { timeout: 15000 });
+    
+    // Wait a bit for the page to fully load (exactly as in test code)
+    await client.pupPage.waitForTimeout(3000);
+    
+    // Send the message by pressing Enter (exactly as in test code)
+    console.log('Sending message...');
+    await inputBox.press('Enter');
+    
+    // Wait for message to be sent (exactly as in test code)
+    await client.pupPage.waitForTimeout(2000);
+    
+    console.log(`✓ Message sent successfully to ${cleanPhoneNumber} using Puppeteer URL method!`);
 }
 
-// Helper function to calculate realistic typing duration based on message length
-function calculateTypingDuration(message) {
-    // Base typing speed: ~40-60 characters per minute (human average)
-    const baseSpeed = getRandomDelay(40, 60); // chars per minute
-    const charsPerSecond = baseSpeed / 60;
+async function sendMediaWithPuppeteer(client, cleanPhoneNumber, media, caption) {
+    // For media messages, use direct navigation and file upload
+    const whatsappUrl = `https://web.whatsapp.com/send?phone=${cleanPhoneNumber}`;
     
-    // Calculate base duration
-    const baseDuration = (message.length / charsPerSecond) * 1000;
+    console.log(`Navigating to WhatsApp URL for media: ${whatsappUrl}`);
     
-    // Add some randomness and thinking pauses
-    const thinkingPauses = Math.floor(message.length / 50) * getRandomDelay(500, 1500); // Pause every ~50 chars
-    const randomVariation = baseDuration * (getRandomDelay(80, 120) / 100); // ±20% variation
+    // Navigate to the WhatsApp URL
+    await client.pupPage.goto(whatsappUrl, { waitUntil: 'networkidle2' });
     
-    // Minimum 3 seconds, maximum 30 seconds for very long messages
-    const finalDuration = Math.max(3000, Math.min(30000, randomVariation + thinkingPauses));
+    // Wait for the chat to load
+    console.log('Waiting for chat to load...');
+    await client.pupPage.waitForSelector('div[contenteditable="true"][data-tab="10"]', { timeout: 30000 });
     
-    return Math.floor(finalDuration);
+    // Wait a bit for the page to fully load
+    await client.pupPage.waitForTimeout(3000);
+    
+    // Click on the attachment button
+    console.log('Clicking attachment button...');
+    const attachmentButton = await client.pupPage.waitForSelector('div[data-testid="attach-document"]', { timeout: 10000 });
+    await attachmentButton.click();
+    
+    // Wait for file input
+    await client.pupPage.waitForTimeout(1000);
+    
+    // Upload the media file
+    console.log(`Uploading media file ${media.filename}...`);
+    const fileInput = await client.pupPage.waitForSelector('input[type="file"]', { timeout: 10000 });
+    await fileInput.uploadFile(media.path);
+    
+    // Wait for file to be processed
+    await client.pupPage.waitForTimeout(3000);
+    
+    // Add caption if one is provided
+    if (caption && caption.trim()) {
+        console.log('Adding caption...');
+        const captionInput = await client.pupPage.waitForSelector('div[contenteditable="true"][data-tab="10"]', { timeout: 10000 });
+        await captionInput.click();
+        await captionInput.type(caption);
+    }
+    
+    // Send the message
+    console.log('Sending media message...');
+    const sendButton = await client.pupPage.waitForSelector('span[data-testid="send"]', { timeout: 10000 });
+    await sendButton.click();
+    
+    // Wait for message to be sent
+    await client.pupPage.waitForTimeout(2000);
+    
+    console.log(`✓ Media message sent successfully to ${cleanPhoneNumber} using Puppeteer method!`);
 }
 
-// Helper function to simulate human reading time
-function calculateReadingTime(message) {
-    // Average reading speed: 200-250 words per minute
-    const wordsPerMinute = getRandomDelay(200, 250);
-    const words = message.split(' ').length;
-    const readingTimeMs = (words / wordsPerMinute) * 60 * 1000;
+// Helper function to add human-like variations to behavior
+
+// Campaign persistence functions
+
+// Get the numbers in a campaign that have not been attempted yet
+function getPendingPhoneNumbers(campaignId) {
+    const campaignState = activeCampaigns.get(campaignId) || pausedCampaigns.get(campaignId);
+    if (!campaignState || !campaignState.recipients) {
+        return [];
+    }
+    return campaignState.recipients
+        .filter(recipient => recipient.status === 'pending')
+        .map(recipient => recipient.number);
+}
+
+// Record the outcome for one recipient and persist the campaign
+function updateRecipientStatus(campaignState, index, status, details = {}) {
+    const recipient = campaignState.recipients && campaignState.recipients[index];
+    if (recipient) {
+        recipient.status = status;
+        recipient.error = details.error || null;
+        recipient.accountId = details.accountId || null;
+        recipient.variant = details.variant !== undefined ? details.variant : null;
+        recipient.attempts = (recipient.attempts || 0) + (details.attempts || 0);
+        recipient.messageId = details.messageId || null;
+        recipient.updatedAt = new Date();
+    }
     
-    // Minimum 1 second, maximum 10 seconds
-    return Math.max(1000, Math.min(10000, readingTimeMs));
+    try {
+        campaignStore.save(campaignState);
+    } catch (storeError) {
+        console.error(`❌ Failed to persist campaign ${campaignState.campaignId}:`, storeError.message);
+    }
 }
 
-// Helper function to detect if error indicates number is not available on WhatsApp
-function isNumberUnavailableError(error) {
-    const errorMessage = error.message.toLowerCase();
+// Find a campaign that has not finished yet, whichever state it is in
+function findCampaign(campaignId) {
+    if (activeCampaigns.has(campaignId)) {
+        return { campaignState: activeCampaigns.get(campaignId), status: 'active' };
+    }
+    if (pausedCampaigns.has(campaignId)) {
+        return { campaignState: pausedCampaigns.get(campaignId), status: 'paused' };
+    }
+    if (scheduledCampaigns.has(campaignId)) {
+        return { campaignState: scheduledCampaigns.get(campaignId), status: 'scheduled' };
+    }
+    if (queuedCampaigns.has(campaignId)) {
+        return { campaignState: queuedCampaigns.get(campaignId), status: 'queued' };
+    }
+    return null;
+}
+
+// setTimeout cannot wait longer than ~24.8 days, so far-off starts are re-armed in steps
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+// Arm (or re-arm after an edit) the start timer of a scheduled campaign
+function scheduleCampaign(campaignState) {
+    const campaignId = campaignState.campaignId;
+    clearTimeout(scheduleTimers.get(campaignId));
     
-    // Common patterns that indicate number is not available on WhatsApp
-    const unavailablePatterns = [
-        'waiting for selector',
-        'timeout',
-        'navigation timeout',
-        'networkidle2',
-        'element not found',
-        'selector not found',
-        'page not found',
-        'invalid number',
-        'number not found',
-        'failed: waiting failed',
-        'exceeded',
-        'not available',
-        'unavailable',
-        'invalid phone number',
-        'phone number not found'
-    ];
+    const delay = Math.max(campaignState.scheduledAt.getTime() - Date.now(), 0);
+    scheduleTimers.set(campaignId, setTimeout(() => {
+        scheduleTimers.delete(campaignId);
+        const scheduledState = scheduledCampaigns.get(campaignId);
+        if (!scheduledState) {
+            return;
+        }
+        if (scheduledState.scheduledAt.getTime() > Date.now()) {
+            scheduleCampaign(scheduledState);
+            return;
+        }
+        try {
+            startScheduledCampaign(campaignId);
+        } catch (error) {
+            console.error(`❌ Error queueing scheduled campaign ${campaignId}:`, error);
+            io.emit('campaign_error', {
+                campaignId: campaignId,
+                error: error.message
+            });
+            webhooks.emit('campaign_failed', { campaignId: campaignId, error: error.message });
+        }
+    }, Math.min(delay, MAX_TIMER_DELAY_MS)));
+}
+
+// A scheduled campaign whose start time has come joins the queue like a fresh upload
+function startScheduledCampaign(campaignId) {
+    const campaignState = scheduledCampaigns.get(campaignId);
+    if (!campaignState) {
+        return;
+    }
     
-    // Also check for specific timeout errors that are common with unavailable numbers
-    const isTimeoutError = errorMessage.includes('timeout') && 
-                          (errorMessage.includes('30000ms') || errorMessage.includes('15000ms'));
+    scheduledCampaigns.delete(campaignId);
+    const position = enqueueCampaign(campaignState);
+    console.log(`⏰ Scheduled campaign ${campaignId} is due - ${position ? `queued at position ${position}` : 'starting now'}`);
+}
+
+function describeQueueCampaign(campaignState) {
+    return {
+        campaignId: campaignState.campaignId,
+        fileType: campaignState.fileType,
+        message: campaignState.message,
+        total: campaignState.phoneNumbers.length,
+        sent: campaignState.sentCount,
+        failed: campaignState.failedCount,
+        createdAt: campaignState.createdAt
+    };
+}
+
+// Queue snapshot sent to every dashboard so they all show the same order
+function getQueueSnapshot() {
+    return {
+        running: Array.from(activeCampaigns.values()).map(describeQueueCampaign),
+        queue: campaignQueue.list()
+            .filter(entry => queuedCampaigns.has(entry.campaignId))
+            .map(entry => ({
+                ...describeQueueCampaign(queuedCampaigns.get(entry.campaignId)),
+                position: entry.position,
+                priority: entry.priority,
+                enqueuedAt: entry.enqueuedAt
+            }))
+    };
+}
+
+function broadcastQueue() {
+    io.emit('campaign_queue', getQueueSnapshot());
+}
+
+// Put a campaign in the queue and start it right away if nothing else is sending.
+// Returns the campaign's place in the queue.
+function enqueueCampaign(campaignState, options = {}) {
+    const campaignId = campaignState.campaignId;
+    queuedCampaigns.set(campaignId, campaignState);
+    campaignStore.save(campaignState, 'queued');
+    campaignQueue.enqueue(campaignId, campaignState.priority || campaignQueue.DEFAULT_PRIORITY, options);
     
-    return unavailablePatterns.some(pattern => errorMessage.includes(pattern)) || isTimeoutError;
+    broadcastQueue();
+    startNextQueuedCampaign();
+    
+    // null once the campaign has left the queue, i.e. it started straight away
+    return campaignQueue.position(campaignId);
 }
 
-// Function to ensure client is ready (lazy initialization)
-async function ensureClientReady() {
-    try {
-        // If client is not initialized at all, initialize it
-        if (!client) {
-            console.log('🚀 Chrome browser not initialized - starting for the first time...');
-            await initializeWhatsAppClient();
-            
-            // Wait for client to be ready
-            let attempts = 0;
-            const maxAttempts = 60; // 60 seconds timeout
-            
-            while (!isClientReady && attempts < maxAttempts) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                attempts++;
-                console.log(`⏳ Waiting for WhatsApp client to be ready... (${attempts}/${maxAttempts})`);
-            }
-            
-            if (!isClientReady) {
-                throw new Error('Failed to initialize WhatsApp client - session may need re-authentication');
-            }
-            
-            console.log('✅ Chrome browser initialized successfully with restored session');
+// Start the campaign at the head of the queue once no campaign is sending
+function startNextQueuedCampaign() {
+    if (activeCampaigns.size > 0) {
+        return;
+    }
+    const next = campaignQueue.peek();
+    if (!next) {
+        return;
+    }
+    
+    startQueuedCampaign(next.campaignId).catch(error => {
+        console.error(`❌ Error starting queued campaign ${next.campaignId}:`, error);
+        io.emit('campaign_error', {
+            campaignId: next.campaignId,
+            error: error.message
+        });
+        webhooks.emit('campaign_failed', { campaignId: next.campaignId, error: error.message });
+    });
+}
+
+async function startQueuedCampaign(campaignId) {
+    const campaignState = queuedCampaigns.get(campaignId);
+    campaignQueue.remove(campaignId);
+    if (!campaignState) {
+        broadcastQueue();
+        startNextQueuedCampaign();
+        return;
+    }
+    
+    queuedCampaigns.delete(campaignId);
+    campaignState.startedAt = campaignState.startedAt || new Date();
+    campaignState.lastActivity = new Date();
+    activeCampaigns.set(campaignId, campaignState);
+    campaignStore.save(campaignState);
+    
+    console.log(`🚀 Starting campaign ${campaignId}...`);
+    console.log(`📊 Campaign will process ${campaignState.phoneNumbers.length} numbers with ${campaignState.delayRange} delay range`);
+    console.log(`💾 Campaign state stored on disk - will continue even if browser is closed or the server restarts`);
+    io.emit('campaign_started', {
+        campaignId: campaignId,
+        total: campaignState.phoneNumbers.length
+    });
+    webhooks.emit('campaign_started', {
+        campaignId: campaignId,
+        total: campaignState.phoneNumbers.length,
+        accountId: campaignState.senderPool ? null : campaignState.accountId || null,
+        senderAccountIds: campaignState.senderPool ? campaignState.senderPool.accountIds : null
+    });
+    broadcastQueue();
+    
+    // Chrome starts lazily - bring up the sending client before the first message
+    if (!campaignState.senderPool) {
+        try {
+            await ensureSenderReady(campaignState.accountId);
+        } catch (error) {
+            console.error(`❌ Sender not ready for campaign ${campaignId} - it will wait for it:`, error.message);
         }
-        // If client exists but browser is closed, reopen it
-        else if (!client.pupBrowser || !client.pupPage || client.pupPage.isClosed()) {
-            console.log('🔄 Chrome browser not available - reopening with saved session...');
-            
-            // Clean up any existing client state
-            try {
-                await client.destroy();
-            } catch (destroyError) {
-                console.log('Note: Error destroying existing client (expected if already closed):', destroyError.message);
-            }
-            client = null;
-            
-            // Reset states
-            isClientReady = false;
-            isClientAuthenticated = false;
-            qrCodeData = null;
-            
-            // Initialize new client
-            await initializeWhatsAppClient();
-            
-            // Wait for client to be ready
-            let attempts = 0;
-            const maxAttempts = 60; // 60 seconds timeout
-            
-            while (!isClientReady && attempts < maxAttempts) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                attempts++;
-                console.log(`⏳ Waiting for WhatsApp client to be ready... (${attempts}/${maxAttempts})`);
-            }
-            
-            if (!isClientReady) {
-                throw new Error('Failed to initialize WhatsApp client after reopening Chrome - session may need re-authentication');
-            }
-            
-            console.log('✅ Chrome browser reopened successfully with restored session');
+    }
+    
+    await continueCampaign(campaignId);
+}
+
+// Apply a delivery/read receipt to the campaign recipient the message was sent to
+function handleMessageAck(message, ack) {
+    const target = ackTracker.lookup(message.id && message.id._serialized);
+    if (!target) {
+        return;
+    }
+    
+    try {
+        const found = findCampaign(target.campaignId);
+        const recipients = found ? found.campaignState.recipients : (campaignStore.get(target.campaignId) || {}).recipients;
+        const recipient = recipients && recipients[target.index];
+        if (!recipient) {
+            return;
         }
         
-        return true;
+        const changes = ackTracker.getAckChanges(recipient, ack);
+        if (!changes) {
+            return;
+        }
+        
+        if (found) {
+            Object.assign(recipient, changes);
+            campaignStore.save(found.campaignState, found.status);
+        } else {
+            // Receipts keep arriving after a campaign completes
+            campaignStore.updateRecipient(target.campaignId, target.index, changes);
+        }
+        
+        io.emit('campaign_ack', {
+            campaignId: target.campaignId,
+            number: recipient.number,
+            messageId: message.id._serialized,
+            ack: changes.ack,
+            funnel: ackTracker.getFunnel(recipients)
+        });
+        webhooks.emit('message_ack', {
+            campaignId: target.campaignId,
+            number: recipient.number,
+            messageId: message.id._serialized,
+            ack: changes.ack,
+            ackAt: changes.ackAt
+        });
     } catch (error) {
-        console.error('❌ Error ensuring Chrome browser availability:', error.message);
-        throw error;
+        console.error(`❌ Failed to record ack for campaign ${target.campaignId}:`, error.message);
     }
 }
 
-// Function to close Chrome browser and save costs
-async function closeChromeBrowser() {
+// Messages from campaign recipients go to the reply inbox of the campaign that last
+// messaged them; other chats stay on the phone
+async function handleIncomingMessage(message, accountId) {
+    if (message.fromMe || !message.from || !message.from.endsWith('@c.us')) {
+        return;
+    }
+    const target = replyInbox.lookupRecipient(message.from);
+    if (!target) {
+        return;
+    }
+    
     try {
-        if (client && client.pupBrowser) {
-            console.log('🔒 Closing Chrome browser to save resources...');
-            
-            // Stop all intervals before closing Chrome
-            if (keepAliveInterval) {
-                clearInterval(keepAliveInterval);
-                keepAliveInterval = null;
-            }
-            if (connectionHealthCheckInterval) {
-                clearInterval(connectionHealthCheckInterval);
-                connectionHealthCheckInterval = null;
-            }
-            if (campaignHealthInterval) {
-                clearInterval(campaignHealthInterval);
-                campaignHealthInterval = null;
-            }
-            
-            await client.pupBrowser.close();
-            client.pupBrowser = null;
-            client.pupPage = null;
-            isClientReady = false;
-            isClientAuthenticated = false;
-            console.log('✅ Chrome browser closed successfully');
-        }
+        const reply = replyInbox.add(target.campaignId, {
+            number: message.from,
+            recipientIndex: target.index,
+            direction: 'incoming',
+            body: message.body,
+            type: message.type,
+            hasMedia: message.hasMedia,
+            messageId: message.id ? message.id._serialized : null,
+            accountId: accountId,
+            timestamp: message.timestamp ? new Date(message.timestamp * 1000) : new Date()
+        });
+        console.log(`💬 Reply from ${message.from} to campaign ${target.campaignId}`);
+        io.emit('campaign_reply', { ...reply, unread: replyInbox.countUnread(target.campaignId) });
+        webhooks.emit('reply_received', reply);
     } catch (error) {
-        console.error('❌ Error closing Chrome browser:', error.message);
-        // Don't throw error to prevent server crash
+        console.error(`❌ Failed to record reply from ${message.from}:`, error.message);
+    }
+    
+    const keyword = optOut.matchKeyword(message.body);
+    if (keyword) {
+        await handleOptOut(message, accountId, target, keyword);
     }
 }
 
-
-// Puppeteer-based message sending strategy using URL method (text messages only)
-// This implements the WhatsApp URL method exactly as in the working test code
-async function sendMessageWithPuppeteer(phoneNumber, message, mediaFile = null) {
+// A campaign recipient replying with an opt-out keyword is suppressed, told so (if
+// confirmations are on) and tagged on the campaign that messaged them
+async function handleOptOut(message, accountId, target, keyword) {
     try {
-        console.log(`Using Puppeteer URL method to send message to ${phoneNumber}`);
-        
-        // Ensure Chrome browser is available (will reopen if needed)
-        await ensureClientReady();
-        
-        // Validate client and page
-        if (!client || !client.pupPage || client.pupPage.isClosed()) {
-            throw new Error('WhatsApp client or page is not available');
+        if (suppressionList.has(message.from)) {
+            console.log(`🚫 ${message.from} replied "${message.body}" but is already suppressed`);
+            return;
         }
+        suppressionList.add(message.from, {
+            reason: 'opt_out',
+            note: `Replied "${message.body.trim()}" to campaign ${target.campaignId}`,
+            source: 'reply'
+        });
+        console.log(`🚫 ${message.from} opted out of campaign ${target.campaignId} (replied "${message.body.trim()}")`);
         
-        // Get the phone number without @c.us suffix for URL
-        const cleanPhoneNumber = phoneNumber.replace('@c.us', '');
-        
-        // For text messages, use URL method
-        if (!mediaFile) {
-            // Encode the message for URL (exactly as in test code)
-            const encodedMessage = encodeURIComponent(message);
-            
-            // Create WhatsApp Web URL (exactly as in test code)
-            const whatsappUrl = `https://web.whatsapp.com/send?phone=${cleanPhoneNumber}&text=${encodedMessage}`;
-            
-            console.log(`Navigating to WhatsApp URL: ${whatsappUrl}`);
-            
-            // Navigate to the WhatsApp URL using the existing client's page (exactly as in test code)
-            await client.pupPage.goto(whatsappUrl, { waitUntil: 'networkidle2' });
-            
-            // Wait for the message input box with reduced timeout for faster failure detection
-            console.log('Waiting for message input box...');
-            const inputBox = await client.pupPage.waitForSelector('div[contenteditable="true"][data-tab="10"]', { timeout: 15000 });
-            
-            // Wait a bit for the page to fully load (exactly as in test code)
-            await client.pupPage.waitForTimeout(3000);
-            
-            // Send the message by pressing Enter (exactly as in test code)
-            console.log('Sending message...');
-            await inputBox.press('Enter');
-            
-            // Wait for message to be sent (exactly as in test code)
-            await client.pupPage.waitForTimeout(2000);
-            
-            console.log(`✓ Message sent successfully to ${phoneNumber} using Puppeteer URL method!`);
-            return true;
+        const changes = { optedOutAt: new Date(), optOutKeyword: keyword };
+        const found = findCampaign(target.campaignId);
+        const recipient = found && found.campaignState.recipients ? found.campaignState.recipients[target.index] : null;
+        if (recipient) {
+            Object.assign(recipient, changes);
+            campaignStore.save(found.campaignState, found.status);
         } else {
-            // For media messages, use direct navigation and file upload
-            const whatsappUrl = `https://web.whatsapp.com/send?phone=${cleanPhoneNumber}`;
-            
-            console.log(`Navigating to WhatsApp URL for media: ${whatsappUrl}`);
-            
-            // Navigate to the WhatsApp URL
-            await client.pupPage.goto(whatsappUrl, { waitUntil: 'networkidle2' });
-            
-            // Wait for the chat to load
-            console.log('Waiting for chat to load...');
-            await client.pupPage.waitForSelector('div[contenteditable="true"][data-tab="10"]', { timeout: 30000 });
-            
-            // Wait a bit for the page to fully load
-            await client.pupPage.waitForTimeout(3000);
-            
-            // Click on the attachment button
-            console.log('Clicking attachment button...');
-            const attachmentButton = await client.pupPage.waitForSelector('div[data-testid="attach-document"]', { timeout: 10000 });
-            await attachmentButton.click();
-            
-            // Wait for file input
-            await client.pupPage.waitForTimeout(1000);
-            
-            // Upload the media file
-            console.log('Uploading media file...');
-            const fileInput = await client.pupPage.waitForSelector('input[type="file"]', { timeout: 10000 });
-            await fileInput.uploadFile(mediaFile.path);
-            
-            // Wait for file to be processed
-            await client.pupPage.waitForTimeout(3000);
-            
-            // Add caption if message is provided
-            if (message && message.trim()) {
-                console.log('Adding caption...');
-                const captionInput = await client.pupPage.waitForSelector('div[contenteditable="true"][data-tab="10"]', { timeout: 10000 });
-                await captionInput.click();
-                await captionInput.type(message);
-            }
-            
-            // Send the message
-            console.log('Sending media message...');
-            const sendButton = await client.pupPage.waitForSelector('span[data-testid="send"]', { timeout: 10000 });
-            await sendButton.click();
-            
-            // Wait for message to be sent
-            await client.pupPage.waitForTimeout(2000);
-            
-            console.log(`✓ Media message sent successfully to ${phoneNumber} using Puppeteer method!`);
-            return true;
+            campaignStore.updateRecipient(target.campaignId, target.index, changes);
         }
         
+        io.emit('opt_out', {
+            number: message.from,
+            keyword: keyword,
+            campaignId: target.campaignId,
+            accountId: accountId
+        });
+        
+        const settings = optOut.getSettings();
+        if (settings.sendConfirmation) {
+            const chat = await message.getChat();
+            const sent = await chat.sendMessage(settings.confirmationMessage);
+            const confirmation = replyInbox.add(target.campaignId, {
+                number: message.from,
+                recipientIndex: target.index,
+                direction: 'outgoing',
+                body: settings.confirmationMessage,
+                messageId: sent && sent.id ? sent.id._serialized : null,
+                accountId: accountId
+            });
+            io.emit('campaign_reply', { ...confirmation, unread: replyInbox.countUnread(target.campaignId) });
+        }
     } catch (error) {
-        console.error(`Error sending message with Puppeteer to ${phoneNumber}:`, error.message);
-        throw error;
+        console.error(`❌ Failed to handle opt-out from ${message.from}:`, error.message);
     }
 }
 
-// Helper function to add human-like variations to behavior
-
-// Campaign file management functions
-// No tracking file creation needed - campaigns run without file tracking
-
-// No tracking file updates needed
-
-// No pending phone number tracking needed - send to all numbers
+// Reload campaigns from disk after a restart and resume the ones that were running
+async function restoreCampaigns() {
+    // Receipts for messages sent before the restart should still reach their campaigns
+    ackTracker.rebuildIndex(campaignStore.list());
+    replyInbox.rebuildIndex(campaignStore.list());
+    
+    const records = campaignStore.list().filter(record => ['active', 'paused', 'scheduled', 'queued'].includes(record.status));
+    if (records.length === 0) {
+        return;
+    }
+    
+    let resumable = 0;
+    let scheduled = 0;
+    let queued = 0;
+    for (const record of records) {
+        const campaignState = campaignStore.fromRecord(record);
+        if (record.status === 'scheduled') {
+            // Starts that were missed while the server was down fire right away
+            scheduledCampaigns.set(campaignState.campaignId, campaignState);
+            scheduleCampaign(campaignState);
+            scheduled++;
+        } else if (record.status === 'queued') {
+            queuedCampaigns.set(campaignState.campaignId, campaignState);
+            queued++;
+        } else if (campaignState.isPaused) {
+            pausedCampaigns.set(campaignState.campaignId, campaignState);
+        } else {
+            activeCampaigns.set(campaignState.campaignId, campaignState);
+            resumable++;
+        }
+    }
+    
+    campaignQueue.sync(Array.from(queuedCampaigns.values()));
+    
+    console.log(`💾 Restored ${records.length} campaign(s) from disk (${resumable} active, ${records.length - resumable - scheduled - queued} paused, ${scheduled} scheduled, ${queued} queued)`);
+    
+    // Queued campaigns wait for the restored active ones to finish
+    if (resumable === 0) {
+        startNextQueuedCampaign();
+        return;
+    }
+    
+    // Only start the default client if a restored campaign actually sends from it
+    const usesDefaultClient = Array.from(activeCampaigns.values()).some(campaign => !campaign.accountId && !campaign.senderPool);
+    if (usesDefaultClient) {
+        try {
+            await ensureClientReady();
+        } catch (error) {
+            console.error('❌ WhatsApp client not ready after restart - restored campaigns will wait for it:', error.message);
+        }
+    }
+    
+    for (const campaignId of activeCampaigns.keys()) {
+        continueCampaign(campaignId).catch(error => {
+            console.error(`❌ Failed to resume restored campaign ${campaignId}:`, error);
+        });
+    }
+}
 
 // Campaign management functions
 async function continueCampaign(campaignId) {
@@ -1682,9 +3678,15 @@ async function continueCampaign(campaignId) {
         return;
     }
     
-    // Check if client is ready before starting campaign
-    if (!isClientReady || !isClientAuthenticated) {
+    // Check if client is ready before starting campaign (pooled campaigns pick their accounts per recipient)
+    if (!campaignState.senderPool && !isSenderReady(campaignState.accountId)) {
         console.log(`Client not ready for campaign ${campaignId}, waiting...`);
+        if (campaignState.accountId) {
+            // Account browsers start lazily - kick it off and check back
+            accountManager.ensureReady(campaignState.accountId).catch(error => {
+                console.error(`❌ Account ${campaignState.accountId} not ready for campaign ${campaignId}:`, error.message);
+            });
+        }
         // Wait a bit and try again
         setTimeout(() => {
             continueCampaign(campaignId);
@@ -1692,40 +3694,69 @@ async function continueCampaign(campaignId) {
         return;
     }
     
-    // Send to all numbers in the campaign (no tracking file needed)
-    const allPhoneNumbers = campaignState.phoneNumbers;
+    // Continue from the first recipient that has not been attempted yet
+    let startIndex = campaignState.recipients
+        ? campaignState.recipients.findIndex(recipient => recipient.status === 'pending')
+        : 0;
+    if (startIndex === -1) {
+        startIndex = campaignState.phoneNumbers.length;
+    }
+    const pendingPhoneNumbers = campaignState.phoneNumbers.slice(startIndex);
+    
+    // Only the most recent run of a campaign may send - older loops stop at their next check
+    campaignState.runId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
     
-    console.log(`Continuing campaign ${campaignId} with ${allPhoneNumbers.length} numbers`);
+    console.log(`Continuing campaign ${campaignId} from message ${startIndex + 1} with ${pendingPhoneNumbers.length} pending numbers`);
     
     // Emit bulk_send_start event for frontend
     io.emit('bulk_send_start', { 
         total: campaignState.phoneNumbers.length, 
         campaignId: campaignId,
-        pending: allPhoneNumbers.length,
+        pending: pendingPhoneNumbers.length,
         sent: campaignState.sentCount,
         failed: campaignState.failedCount
     });
     
-    // Start sending messages to all numbers
+    // Start sending messages from the first pending number
     await sendMessagesSequentially(
-        allPhoneNumbers,
-        campaignState.message,
+        pendingPhoneNumbers,
+        campaignState.messageVariants || campaignState.message,
         campaignId,
-        0, // Start from beginning
+        startIndex,
         campaignState.delayRange || '1800-3600',
-        campaignState.mediaFile
+        campaignState.attachments || [],
+        campaignState.accountId,
+        campaignState.recipients ? campaignState.recipients.slice(startIndex).map(recipient => recipient.fields) : null,
+        campaignState.mediaOptions,
+        campaignState.recipients ? campaignState.recipients.slice(startIndex).map(recipient => recipient.media || null) : null
     );
 }
 
-async function sendMessagesSequentially(phoneNumbers, message, campaignId = null, startIndex = 0, delayRange = "1800-3600", mediaFile = null) {
+// `message` is a single message or a list of variants that rotate per recipient;
+// `mediaFiles` are the attachments every recipient gets, with their captions, and
+// `recipientFiles` each recipient's own file ({ path, filename, mimetype } or null)
+async function sendMessagesSequentially(phoneNumbers, message, campaignId = null, startIndex = 0, delayRange = "1800-3600", mediaFiles = [], accountId = null, recipientFields = null, mediaOptions = null, recipientFiles = null) {
     const results = [];
     let successCount = 0;
     let failureCount = 0;
+    const runId = campaignId && activeCampaigns.has(campaignId) ? activeCampaigns.get(campaignId).runId : null;
+    let failoversForRecipient = 0;
+    let attemptsForRecipient = 0; // send attempts made from accounts that failed over
+    let outgoing = null; // the recipient's planned messages, kept across pool failovers
+    let plannedIndex = null;
+    const variants = Array.isArray(message) ? message : [message];
     
     for (let i = 0; i < phoneNumbers.length; i++) {
         const phoneNumber = phoneNumbers[i];
         const currentIndex = startIndex + i;
         
+        // Pick this recipient's variant and spin/personalize it
+        const variant = personalization.pickVariant(variants, currentIndex);
+        const fields = recipientFields ? recipientFields[i] : null;
+        const recipientMessage = personalization.composeMessage(variant.template, fields);
+        let senderAccountId = accountId;
+        let pool = null;
+        
         // Check if campaign is paused
         if (campaignId) {
             const campaignState = activeCampaigns.get(campaignId);
@@ -1733,16 +3764,72 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 console.log(`Campaign ${campaignId} is paused, stopping at message ${currentIndex + 1}`);
                 return;
             }
+            if (campaignState.runId !== runId) {
+                console.log(`Campaign ${campaignId} was restarted elsewhere, stopping this run at message ${currentIndex + 1}`);
+                return;
+            }
             
             // Update current index in campaign state
             campaignState.currentIndex = currentIndex;
             
-            // No tracking file verification - send to all numbers
+            // Numbers suppressed after the campaign was created (e.g. a STOP reply) are skipped
+            if (suppressionList.has(phoneNumber)) {
+                console.log(`🚫 Skipping ${phoneNumber} - it is on the suppression list`);
+                results.push({ number: phoneNumber, status: 'skipped', error: 'suppressed' });
+                updateRecipientStatus(campaignState, currentIndex, 'skipped', { error: 'suppressed' });
+                io.emit('message_sent', {
+                    number: phoneNumber,
+                    status: 'skipped',
+                    error: 'suppressed',
+                    progress: currentIndex + 1,
+                    total: phoneNumbers.length + startIndex,
+                    campaignId: campaignId
+                });
+                continue;
+            }
+            
+            // Hold while the recipient is outside the campaign's sending window
+            if (campaignState.sendingWindow && !(await waitForSendingWindow(campaignId, runId, phoneNumber))) {
+                console.log(`Campaign ${campaignId} stopped while outside its sending window at message ${currentIndex + 1}`);
+                return;
+            }
+            
+            // Pooled campaigns pick the sending account per recipient
+            if (campaignState.senderPool) {
+                pool = campaignState.senderPool;
+                senderAccountId = await acquirePoolSender(campaignId, runId);
+                if (!senderAccountId) {
+                    console.log(`Campaign ${campaignId} stopped while waiting for a sender at message ${currentIndex + 1}`);
+                    return;
+                }
+                console.log(`🔀 Campaign ${campaignId} sending message ${currentIndex + 1} from account ${senderAccountId}`);
+            }
         }
         
+        // Hold while the sending account is over its burst, hourly or daily quota
+        if (!(await waitForSendQuota(campaignId, runId, senderAccountId, phoneNumber))) {
+            console.log(`Campaign ${campaignId} stopped while waiting for send quota at message ${currentIndex + 1}`);
+            return;
+        }
+        
+        let sendAttempts = 0;
+        let messageId = null;
+        
         try {
+            // Text and attachments for this recipient (their own file first) - a retry, or the
+            // next pool account after a failover, sends only what a failed attempt left
+            if (plannedIndex !== i) {
+                const recipientFile = recipientFiles ? recipientFiles[i] : null;
+                const recipientAttachments = mediaFiles.map(media => ({ media: media, caption: media.caption ? personalization.composeMessage(media.caption, fields) : null }));
+                if (recipientFile) {
+                    recipientAttachments.unshift({ media: attachments.loadAttachment(recipientFile.path, recipientFile.filename, null, recipientFile.mimetype), caption: null });
+                }
+                outgoing = attachments.planMessages(recipientMessage, recipientAttachments, mediaOptions || {});
+                plannedIndex = i;
+            }
+            
             // Enhanced connection validation before proceeding
-            await validateConnection();
+            await validateSender(senderAccountId);
 
             // Human behavior: Random delay before starting interaction (5-15 seconds)
             // Only add pre-delay if this is not the first message of the campaign OR if we're resuming
@@ -1762,11 +3849,9 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 await new Promise(resolve => setTimeout(resolve, preDelay));
             }
 
-            // Use Puppeteer URL method directly (no registration check, no typing indicators)
-            console.log(`Sending message to ${phoneNumber} using URL method...`);
+            console.log(`Sending message to ${phoneNumber} using ${SEND_METHOD === 'puppeteer' ? 'URL method' : 'Client.sendMessage'}...`);
             
             let messageSent = false;
-            let sendAttempts = 0;
             // Smart retry logic: only retry for connection issues, not for unavailable numbers
             const maxAttempts = 3;
             let shouldRetry = true;
@@ -1776,8 +3861,8 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                     sendAttempts++;
                     console.log(`Send attempt ${sendAttempts}/${maxAttempts} for ${phoneNumber}`);
             
-                    // Use Puppeteer URL method for sending messages (text or media)
-                    await sendMessageWithPuppeteer(phoneNumber, message, mediaFile);
+                    // Send with the configured engine (text and attachments)
+                    messageId = await sendCampaignMessage(phoneNumber, outgoing, senderAccountId, mediaOptions);
                     
                     messageSent = true;
                     console.log(`Message sent successfully to ${phoneNumber}`);
@@ -1801,7 +3886,7 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                         
                         // Re-validate connection before retry
                         try {
-                            await validateConnection();
+                            await validateSender(senderAccountId);
                         } catch (stateError) {
                             console.error('Connection validation failed during retry:', stateError.message);
                             throw new Error('WhatsApp client connection lost during retry');
@@ -1812,8 +3897,13 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 }
             }
             
-            results.push({ number: phoneNumber, status: 'sent', error: null });
+            const attempts = attemptsForRecipient + sendAttempts;
+            results.push({ number: phoneNumber, status: 'sent', error: null, accountId: senderAccountId, variant: variant.index, attempts: attempts, messageId: messageId });
+            rateLimiter.recordSend(senderAccountId);
+            io.emit('quota_update', getSendQuota(senderAccountId));
             successCount++;
+            failoversForRecipient = 0;
+            attemptsForRecipient = 0;
             
             // Update campaign state
             if (campaignId) {
@@ -1821,6 +3911,12 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 if (campaignState) {
                     campaignState.sentCount++;
                     campaignState.lastActivity = new Date();
+                    if (pool) {
+                        senderPool.recordResult(pool, senderAccountId, 'sent');
+                    }
+                    updateRecipientStatus(campaignState, currentIndex, 'sent', { accountId: senderAccountId, variant: variant.index, attempts: attempts, messageId: messageId });
+                    ackTracker.track(messageId, campaignId, currentIndex);
+                    replyInbox.trackRecipient(phoneNumber, campaignId, currentIndex);
                 }
             }
             
@@ -1829,7 +3925,19 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 status: 'sent', 
                 progress: currentIndex + 1, 
                 total: phoneNumbers.length + startIndex,
-                campaignId: campaignId
+                campaignId: campaignId,
+                accountId: senderAccountId,
+                variant: variant.index,
+                messageId: messageId
+            });
+            webhooks.emit('message_sent', {
+                campaignId: campaignId,
+                number: phoneNumber,
+                recipientIndex: currentIndex,
+                accountId: senderAccountId,
+                variant: variant.index,
+                attempts: attempts,
+                messageId: messageId
             });
             
             // Human behavior: Random delay between messages (configurable)
@@ -1850,7 +3958,7 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 
                 // Show as away/inactive during long delay
                 try {
-                    await client.sendPresenceUnavailable();
+                    await getSenderClient(senderAccountId).sendPresenceUnavailable();
                 } catch (err) {
                     console.log('Could not set presence unavailable (non-critical):', err.message);
                 }
@@ -1876,7 +3984,26 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 console.log(`❌ General error for ${phoneNumber}: ${error.message}`);
             }
             
-            results.push({ number: phoneNumber, status: errorCategory, error: errorMessage });
+            // A pool account that lost its connection fails over: retry this recipient from another account
+            if (pool && errorCategory === 'connection' && failoversForRecipient < pool.accountIds.length) {
+                failoversForRecipient++;
+                attemptsForRecipient += sendAttempts;
+                senderPool.markUnavailable(pool, senderAccountId, errorMessage);
+                console.log(`🔀 Failing over ${phoneNumber} from account ${senderAccountId} to another pool account`);
+                io.emit('sender_failover', {
+                    campaignId: campaignId,
+                    accountId: senderAccountId,
+                    number: phoneNumber,
+                    error: errorMessage
+                });
+                i--;
+                continue;
+            }
+            failoversForRecipient = 0;
+            const attempts = attemptsForRecipient + sendAttempts;
+            attemptsForRecipient = 0;
+            
+            results.push({ number: phoneNumber, status: errorCategory, error: errorMessage, accountId: senderAccountId, variant: variant.index, attempts: attempts });
             failureCount++;
             
             // Update campaign state
@@ -1885,6 +4012,10 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 if (campaignState) {
                     campaignState.failedCount++;
                     campaignState.lastActivity = new Date();
+                    if (pool) {
+                        senderPool.recordResult(pool, senderAccountId, errorCategory);
+                    }
+                    updateRecipientStatus(campaignState, currentIndex, errorCategory, { error: errorMessage, accountId: senderAccountId, variant: variant.index, attempts: attempts });
                 }
             }
             
@@ -1894,7 +4025,19 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 error: errorMessage,
                 progress: currentIndex + 1, 
                 total: phoneNumbers.length + startIndex,
-                campaignId: campaignId
+                campaignId: campaignId,
+                accountId: senderAccountId,
+                variant: variant.index
+            });
+            webhooks.emit('message_failed', {
+                campaignId: campaignId,
+                number: phoneNumber,
+                recipientIndex: currentIndex,
+                status: errorCategory,
+                error: errorMessage,
+                accountId: senderAccountId,
+                variant: variant.index,
+                attempts: attempts
             });
         }
     }
@@ -1902,7 +4045,7 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
     // Campaign completed
     if (campaignId) {
         const campaignState = activeCampaigns.get(campaignId);
-        if (campaignState) {
+        if (campaignState && campaignState.runId === runId) {
             // Calculate failure breakdown
             const unavailableCount = results.filter(r => r.status === 'unavailable').length;
             const connectionCount = results.filter(r => r.status === 'connection').length;
@@ -1916,8 +4059,9 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
             console.log(`❌ General failures: ${generalCount}`);
             console.log(`📈 Total processed: ${campaignState.phoneNumbers.length}`);
             
-            // Remove from active campaigns
+            // Remove from active campaigns and keep the final record on disk
             activeCampaigns.delete(campaignId);
+            campaignStore.save(campaignState, 'completed');
             
             // Emit completion event with detailed breakdown
             io.emit('bulk_send_complete', { 
@@ -1927,29 +4071,47 @@ async function sendMessagesSequentially(phoneNumbers, message, campaignId = null
                 unavailable: unavailableCount,
                 connection: connectionCount,
                 general: generalCount,
+                senders: campaignState.senderPool ? senderPool.getStats(campaignState.senderPool) : null,
+                funnel: ackTracker.getFunnel(campaignState.recipients),
                 campaignId: campaignId
             });
+            webhooks.emit('campaign_completed', {
+                campaignId: campaignId,
+                total: campaignState.phoneNumbers.length,
+                sent: campaignState.sentCount,
+                failed: campaignState.failedCount,
+                unavailable: unavailableCount,
+                connection: connectionCount,
+                general: generalCount,
+                funnel: ackTracker.getFunnel(campaignState.recipients)
+            });
             
-            // Clean up media file if it exists
-            if (campaignState.mediaFile && campaignState.mediaFile.path) {
+            // Clean up media files if there are any
+            for (const media of campaignState.attachments || []) {
                 try {
-                    fs.unlinkSync(campaignState.mediaFile.path);
-                    console.log('Media file cleaned up successfully');
+                    fs.unlinkSync(media.path);
+                    console.log(`Media file ${media.filename} cleaned up successfully`);
                 } catch (cleanupError) {
                     console.error('Error cleaning up media file:', cleanupError);
                 }
             }
-            
-            // Campaign completed - no tracking file needed
+            campaignStore.removeRecipientMedia(campaignId);
             
             // Close Chrome browser to save costs after campaign completion
             console.log('💰 Campaign completed - closing Chrome browser to save costs...');
             try {
-                await closeChromeBrowser();
+                const senderAccountIds = campaignState.senderPool ? campaignState.senderPool.accountIds : [accountId];
+                for (const senderId of senderAccountIds) {
+                    await closeSenderBrowser(senderId);
+                }
             } catch (error) {
                 console.error('❌ Error closing Chrome after campaign completion:', error.message);
                 // Don't throw error to prevent server crash
             }
+            
+            // Hand over to the next campaign in the queue
+            broadcastQueue();
+            startNextQueuedCampaign();
         }
     }
     
@@ -1964,43 +4126,89 @@ function addHumanVariation() {
     return 0;
 }
 
-// Helper function to validate and format phone numbers
-function validateAndFormatPhoneNumber(phoneNumber, rowIndex) {
+// Normalize one uploaded phone number into a WhatsApp chat id. Returns { number, error };
+// `fields` is the spreadsheet row, whose country column (if any) overrides DEFAULT_COUNTRY.
+function formatRecipientNumber(phoneNumber, rowIndex, fields = null) {
     // Skip if this looks like a header (contains letters and is not a valid phone number)
     if (rowIndex === 0 && /[a-zA-Z]/.test(phoneNumber) && !/^\d+$/.test(phoneNumber.replace(/[+\-\s]/g, ''))) {
         console.log('Skipping header row:', phoneNumber);
-        return null;
-    }
-    
-    // Validate that it's actually a phone number
-    const cleanNumber = phoneNumber.replace(/[+\-\s]/g, '');
-    if (!/^\d+$/.test(cleanNumber)) {
-        console.log('Skipping invalid phone number:', phoneNumber);
-        return null;
-    }
-    
-    // Additional validation: ensure minimum length
-    if (cleanNumber.length < 10) {
-        console.log('Skipping phone number too short:', phoneNumber);
-        return null;
+        return { number: null, error: 'Looks like a header row' };
     }
     
-    // Format phone number: ensure it starts with country code
-    if (phoneNumber.startsWith('91') && phoneNumber.length === 12) {
-        return phoneNumber + '@c.us';
-    } else if (phoneNumber.startsWith('+91')) {
-        return phoneNumber.substring(1) + '@c.us';
-    } else if (phoneNumber.length === 10) {
-        return '91' + phoneNumber + '@c.us';
-    } else {
-        return phoneNumber + '@c.us';
+    const normalized = phoneNormalizer.normalizePhoneNumber(phoneNumber, { country: phoneNormalizer.getRowCountry(fields) });
+    if (!normalized.number) {
+        console.log(`Skipping phone number ${phoneNumber}: ${normalized.error}`);
+        return { number: null, error: normalized.error };
     }
+    return { number: normalized.number + '@c.us', error: null };
+}
+
+// Parse a pasted list (one number per line) into recipients and the rejected lines with their reasons
+function parsePhoneNumberList(text) {
+    const recipients = [];
+    const rejected = [];
+    String(text)
+        .split('\n')
+        .map(num => num.trim())
+        .filter(num => num.length > 0)
+        .forEach((num, index) => {
+            const formatted = formatRecipientNumber(num, index);
+            if (formatted.number) {
+                recipients.push({ number: formatted.number, fields: null });
+            } else {
+                rejected.push({ value: num, reason: formatted.error });
+            }
+        });
+    return { recipients, rejected };
+}
+
+// Drop repeated numbers (the first row wins) and numbers on the suppression list.
+// The dropped recipients are returned as `skipped` so they still show in the report.
+function filterRecipients(phoneNumbers, recipientFields) {
+    const seenNumbers = new Set();
+    const kept = { phoneNumbers: [], recipientFields: recipientFields ? [] : null, skipped: [] };
+    phoneNumbers.forEach((number, index) => {
+        const fields = recipientFields ? recipientFields[index] : null;
+        let reason = null;
+        if (seenNumbers.has(number)) {
+            reason = 'duplicate';
+        } else if (suppressionList.has(number)) {
+            reason = 'suppressed';
+        }
+        seenNumbers.add(number);
+        
+        if (reason) {
+            kept.skipped.push({ number: number, fields: fields, status: 'skipped', error: reason, updatedAt: new Date() });
+            return;
+        }
+        kept.phoneNumbers.push(number);
+        if (kept.recipientFields) {
+            kept.recipientFields.push(fields);
+        }
+    });
+    return kept;
+}
+
+// Accept 919876543210, +919876543210 or 919876543210@c.us for a chat id
+function toChatId(number) {
+    return String(number).replace('@c.us', '').replace(/\D/g, '') + '@c.us';
+}
+
+// Rejected spreadsheet rows as returned to the dashboard (without the row's other columns)
+function toRejectedNumbers(rejected) {
+    return rejected.map(entry => ({ value: entry.value, reason: entry.reason }));
 }
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
     
+    // Drop the socket when its dashboard session expires
+    const sessionExpiryTimer = setTimeout(() => {
+        socket.emit('session_expired');
+        socket.disconnect(true);
+    }, Math.min(Math.max(0, socket.user.expiresAt - Date.now()), 2147483647));
+    
     // Send current status to newly connected client
     socket.emit('status', {
         authenticated: isClientAuthenticated,
@@ -2012,8 +4220,23 @@ io.on('connection', (socket) => {
     if (qrCodeData) {
         socket.emit('qr', qrCodeData);
     }
+    if (pairingCode && pairingCode.code) {
+        socket.emit('pairing_code', pairingCode);
+    }
+    
+    // Send pending QR codes for linked accounts
+    for (const account of accountManager.list()) {
+        const accountQr = accountManager.getQR(account.id);
+        if (accountQr) {
+            socket.emit('account_qr', { accountId: account.id, qr: accountQr });
+        }
+    }
+    
+    // Every dashboard shows the same server-side campaign queue
+    socket.emit('campaign_queue', getQueueSnapshot());
     
     socket.on('disconnect', () => {
+        clearTimeout(sessionExpiryTimer);
         console.log('Client disconnected:', socket.id);
     });
 });
@@ -2041,6 +4264,14 @@ server.listen(PORT, () => {
     console.log('💰 Chrome browser is currently closed to save RAM (saves ~700MB when idle)');
     console.log('📊 Current RAM usage: ~50MB (Node.js only)');
     // Chrome will be initialized lazily when first message is sent
+    
+    // Make sure a dashboard user exists before anyone tries to log in
+    auth.loadUsers();
+    
+    // Pick up campaigns that were running before the last shutdown
+    restoreCampaigns().catch(error => {
+        console.error('❌ Error restoring campaigns from disk:', error);
+    });
 });
 
 // Global error handlers to prevent server crashes
@@ -2064,5 +4295,6 @@ process.on('SIGINT', async () => {
             console.error('Error destroying client:', error);
         }
     }
+    await accountManager.destroyAll();
     process.exit(0);
 });
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const QRCode = require('qrcode');
+const { Client } = require('../index');
+const { DATA_DIR, readJson, writeJson } = require('./storage');
+const { createClientOptions } = require('./clientOptions');
+
+// Multi-account manager - every linked WhatsApp account gets its own Client and
+// LocalAuth session. Browsers are started lazily (like the default client) and
+// closed again when idle; the session stays on disk so no new QR scan is needed.
+//
+// Account statuses (as understood by public/account-manager.js):
+//   disconnected - no linked session
+//   connecting   - browser starting / restoring session
+//   qr_pending   - waiting for a QR scan
+//   connected    - session linked, browser closed to save RAM
+//   ready        - browser running and ready to send
+
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+const LEGACY_ACCOUNTS_FILE = path.join(__dirname, '..', 'accounts.json');
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const READY_TIMEOUT_MS = 60 * 1000;
+
+let io = null;
+let accounts = null; // accountId -> stored account
+const runtimes = new Map(); // accountId -> { client, status, qr, message }
+
+// Client events the server needs from every account: message_ack (accountId, message, ack),
+// message (accountId, message) and disconnected (accountId, reason)
+const events = new EventEmitter();
+
+function init(socketServer) {
+    io = socketServer;
+    load();
+}
+
+function load() {
+    if (accounts) {
+        return accounts;
+    }
+
+    accounts = {};
+    let stored = readJson(ACCOUNTS_FILE, null);
+    if (!stored && fs.existsSync(LEGACY_ACCOUNTS_FILE)) {
+        // Import the accounts the old account manager page wrote to the repo root
+        stored = readJson(LEGACY_ACCOUNTS_FILE, []);
+        console.log(`📇 Imported ${stored.length} account(s) from ${LEGACY_ACCOUNTS_FILE}`);
+    }
+    for (const account of stored || []) {
+        accounts[account.id] = account;
+    }
+    save();
+    return accounts;
+}
+
+function save() {
+    writeJson(ACCOUNTS_FILE, Object.values(accounts).map(account => ({
+        id: account.id,
+        name: account.name,
+        description: account.description,
+        color: account.color,
+        createdAt: account.createdAt,
+        sessionPath: getSessionPath(account.id)
+    })));
+}
+
+function getSessionPath(accountId) {
+    return path.join(SESSIONS_DIR, `session-${accountId}`);
+}
+
+function getStatus(accountId) {
+    const runtime = runtimes.get(accountId);
+    if (runtime) {
+        return runtime.status;
+    }
+    return fs.existsSync(getSessionPath(accountId)) ? 'connected' : 'disconnected';
+}
+
+function setStatus(accountId, status, message, extra = {}) {
+    const runtime = runtimes.get(accountId);
+    if (runtime) {
+        runtime.status = status;
+        runtime.message = message;
+    }
+    if (io) {
+        io.emit('account_status', { accountId, status, message, ...extra });
+    }
+}
+
+function toJSON(account) {
+    const runtime = runtimes.get(account.id);
+    return {
+        ...account,
+        sessionPath: getSessionPath(account.id),
+        status: getStatus(account.id),
+        statusMessage: runtime ? runtime.message : null,
+        hasQR: Boolean(runtime && runtime.qr)
+    };
+}
+
+function list() {
+    return Object.values(load()).map(toJSON);
+}
+
+function get(accountId) {
+    const account = load()[accountId];
+    return account ? toJSON(account) : null;
+}
+
+function create({ name, description, color }) {
+    const id = `account_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    load()[id] = {
+        id,
+        name: name.trim(),
+        description: (description || '').trim(),
+        color: color || '#25d366',
+        createdAt: new Date().toISOString()
+    };
+    save();
+    return toJSON(accounts[id]);
+}
+
+// Start the account's browser and wire its events; resolves once initialize() has been kicked off
+function connect(accountId) {
+    const account = load()[accountId];
+    if (!account) {
+        throw new Error('Account not found');
+    }
+
+    const existing = runtimes.get(accountId);
+    if (existing) {
+        return existing;
+    }
+
+    const client = new Client(createClientOptions({
+        clientId: accountId,
+        dataPath: SESSIONS_DIR
+    }));
+    const runtime = { client, status: 'connecting', qr: null, message: 'Starting WhatsApp client...' };
+    runtimes.set(accountId, runtime);
+    setStatus(accountId, 'connecting', runtime.message);
+
+    client.on('qr', async (qr) => {
+        runtime.qr = await QRCode.toDataURL(qr);
+        setStatus(accountId, 'qr_pending', 'Scan QR code with your WhatsApp mobile app');
+        if (io) {
+            io.emit('account_qr', { accountId, qr: runtime.qr });
+        }
+    });
+
+    client.on('authenticated', () => {
+        runtime.qr = null;
+        setStatus(accountId, 'connecting', 'WhatsApp authenticated, initializing...');
+    });
+
+    client.on('auth_failure', (msg) => {
+        console.error(`Account ${accountId} authentication failed:`, msg);
+        setStatus(accountId, 'disconnected', 'Authentication failed: ' + msg);
+    });
+
+    client.on('ready', () => {
+        console.log(`📱 Account ${account.name} (${accountId}) is ready`);
+        runtime.qr = null;
+        setStatus(accountId, 'ready', 'WhatsApp is ready! You can now send messages.', {
+            phone: client.info && client.info.wid ? client.info.wid.user : null
+        });
+    });
+
+    client.on('message_ack', (message, ack) => {
+        events.emit('message_ack', accountId, message, ack);
+    });
+
+    client.on('message', (message) => {
+        events.emit('message', accountId, message);
+    });
+
+    client.on('disconnected', (reason) => {
+        console.log(`Account ${accountId} disconnected: ${reason}`);
+        runtimes.delete(accountId);
+        client.destroy().catch(err => console.log(`Error destroying client for ${accountId}:`, err.message));
+        setStatus(accountId, getStatus(accountId), 'WhatsApp disconnected: ' + reason);
+        events.emit('disconnected', accountId, reason);
+    });
+
+    client.initialize().catch((error) => {
+        console.error(`Error initializing account ${accountId}:`, error.message);
+        runtimes.delete(accountId);
+        setStatus(accountId, getStatus(accountId), 'Failed to initialize WhatsApp client: ' + error.message);
+    });
+
+    return runtime;
+}
+
+function getClient(accountId) {
+    const runtime = runtimes.get(accountId);
+    return runtime ? runtime.client : null;
+}
+
+function getQR(accountId) {
+    const runtime = runtimes.get(accountId);
+    return runtime ? runtime.qr : null;
+}
+
+function isReady(accountId) {
+    const runtime = runtimes.get(accountId);
+    return Boolean(runtime && runtime.status === 'ready');
+}
+
+// Make sure the account's browser is running and ready (lazy start, like ensureClientReady)
+async function ensureReady(accountId) {
+    if (isReady(accountId)) {
+        return getClient(accountId);
+    }
+
+    connect(accountId);
+    const startedAt = Date.now();
+    while (!isReady(accountId) && Date.now() - startedAt < READY_TIMEOUT_MS) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const status = getStatus(accountId);
+        if (status === 'qr_pending') {
+            throw new Error(`Account ${accountId} is not linked - scan its QR code in the account manager first`);
+        }
+        if (!runtimes.has(accountId)) {
+            throw new Error(`Account ${accountId} failed to start`);
+        }
+    }
+
+    if (!isReady(accountId)) {
+        throw new Error(`Account ${accountId} did not become ready - session may need re-authentication`);
+    }
+    return getClient(accountId);
+}
+
+// Check the account's connection before a send (mirrors validateConnection for the default client)
+async function validate(accountId) {
+    const client = getClient(accountId);
+    if (!client || !isReady(accountId)) {
+        throw new Error(`Account ${accountId} is not connected`);
+    }
+    if (!client.pupPage || client.pupPage.isClosed()) {
+        throw new Error('Browser page is closed');
+    }
+    const state = await client.getState();
+    if (state !== 'CONNECTED') {
+        throw new Error(`Client state is ${state}, not CONNECTED`);
+    }
+    return true;
+}
+
+// Close the account's browser but keep its session, so it can be reopened without a QR scan
+async function closeBrowser(accountId) {
+    const runtime = runtimes.get(accountId);
+    if (!runtime) {
+        return;
+    }
+    runtimes.delete(accountId);
+    try {
+        await runtime.client.destroy();
+    } catch (error) {
+        console.error(`Error closing browser for account ${accountId}:`, error.message);
+    }
+    setStatus(accountId, getStatus(accountId), 'Chrome browser closed to save resources');
+}
+
+async function remove(accountId) {
+    if (!load()[accountId]) {
+        throw new Error('Account not found');
+    }
+
+    const runtime = runtimes.get(accountId);
+    if (runtime) {
+        runtimes.delete(accountId);
+        try {
+            if (runtime.status === 'ready') {
+                await runtime.client.logout();
+            }
+            await runtime.client.destroy();
+        } catch (error) {
+            console.error(`Error shutting down account ${accountId}:`, error.message);
+        }
+    }
+
+    fs.rmSync(getSessionPath(accountId), { recursive: true, force: true });
+    delete accounts[accountId];
+    save();
+    if (io) {
+        io.emit('account_removed', { accountId });
+    }
+}
+
+async function destroyAll() {
+    for (const accountId of Array.from(runtimes.keys())) {
+        await closeBrowser(accountId);
+    }
+}
+
+module.exports = {
+    events,
+    init,
+    list,
+    get,
+    create,
+    connect,
+    remove,
+    getClient,
+    getQR,
+    getStatus,
+    isReady,
+    ensureReady,
+    validate,
+    closeBrowser,
+    destroyAll
+};
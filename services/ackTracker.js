@@ -0,0 +1,90 @@
+const { MessageAck } = require('../index');
+
+// Delivery/read receipt tracking - maps sent message ids back to campaign
+// recipients so `message_ack` events can update them. Acks only arrive while the
+// sending browser is open, i.e. while the campaign is running.
+
+const ACK_NAMES = {
+    [MessageAck.ACK_ERROR]: 'error',
+    [MessageAck.ACK_PENDING]: 'pending',
+    [MessageAck.ACK_SERVER]: 'server',
+    [MessageAck.ACK_DEVICE]: 'delivered',
+    [MessageAck.ACK_READ]: 'read',
+    [MessageAck.ACK_PLAYED]: 'played'
+};
+
+const messageIndex = new Map(); // serialized message id -> { campaignId, index }
+
+function track(messageId, campaignId, index) {
+    if (messageId && campaignId) {
+        messageIndex.set(messageId, { campaignId, index });
+    }
+}
+
+function lookup(messageId) {
+    return messageIndex.get(messageId) || null;
+}
+
+// Re-register the messages of stored campaigns after a restart
+function rebuildIndex(records) {
+    for (const record of records) {
+        (record.recipients || []).forEach((recipient, index) => {
+            if (recipient.messageId) {
+                track(recipient.messageId, record.campaignId, index);
+            }
+        });
+    }
+}
+
+// Work out the recipient fields an ack changes, or null when it adds nothing new.
+// Acks can arrive out of order, so a lower level never overwrites a higher one. An error
+// only counts while the server has not accepted the message, so it cannot take a
+// delivered or read recipient out of the funnel.
+function getAckChanges(recipient, ack) {
+    const name = ACK_NAMES[ack];
+    if (!name) {
+        return null;
+    }
+    const currentLevel = recipient.ackLevel !== undefined && recipient.ackLevel !== null ? recipient.ackLevel : MessageAck.ACK_PENDING;
+    if (ack === MessageAck.ACK_ERROR ? currentLevel >= MessageAck.ACK_SERVER : ack <= currentLevel) {
+        return null;
+    }
+
+    const now = new Date();
+    return {
+        ack: name,
+        ackLevel: ack,
+        ackAt: now,
+        ackTimes: { ...(recipient.ackTimes || {}), [name]: now }
+    };
+}
+
+// sent -> delivered -> read counts for a campaign's recipients
+function getFunnel(recipients) {
+    const funnel = { sent: 0, delivered: 0, read: 0, ackErrors: 0 };
+    for (const recipient of recipients || []) {
+        if (recipient.status !== 'sent') {
+            continue;
+        }
+        funnel.sent++;
+        if (recipient.ackLevel === MessageAck.ACK_ERROR) {
+            funnel.ackErrors++;
+        }
+        if (recipient.ackLevel >= MessageAck.ACK_DEVICE) {
+            funnel.delivered++;
+        }
+        if (recipient.ackLevel >= MessageAck.ACK_READ) {
+            funnel.read++;
+        }
+    }
+    return funnel;
+}
+
+module.exports = {
+    ACK_NAMES,
+    track,
+    lookup,
+    rebuildIndex,
+    getAckChanges,
+    getFunnel
+};
@@ -0,0 +1,141 @@
+const path = require('path');
+const { MessageMedia } = require('../index');
+
+// Campaign attachments - images, videos, audio and documents sent with each campaign
+// message, each with its own optional caption.
+//
+// Captions go with the attachment they belong to. The campaign message becomes the
+// caption of the first attachment unless that one has its own caption or cannot carry
+// one (audio), in which case it is sent as a text message first.
+
+const MAX_ATTACHMENTS = 10;
+
+const ATTACHMENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.avi': 'video/x-msvideo',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska',
+    '.webm': 'video/webm',
+    '.3gp': 'video/3gpp',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.opus': 'audio/ogg; codecs=opus',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.wav': 'audio/wav',
+    '.amr': 'audio/amr',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.csv': 'text/csv',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.odt': 'application/vnd.oasis.opendocument.text',
+    '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+    '.txt': 'text/plain',
+    '.rtf': 'application/rtf',
+    '.zip': 'application/zip'
+};
+
+const ATTACHMENT_EXTENSIONS = Object.keys(ATTACHMENT_TYPES);
+
+function isAllowed(filename) {
+    return Boolean(ATTACHMENT_TYPES[path.extname(filename).toLowerCase()]);
+}
+
+function getMimeType(filename) {
+    return ATTACHMENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+// image, video, audio or document
+function getKind(mimetype) {
+    const type = String(mimetype || '').split('/')[0];
+    return ['image', 'video', 'audio'].includes(type) ? type : 'document';
+}
+
+// Captions arrive as a JSON array matching the order of the uploaded files;
+// empty entries leave that attachment without a caption
+function parseCaptions(value, count) {
+    if (value === undefined || value === null || value === '') {
+        return new Array(count).fill(null);
+    }
+    const captions = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(captions) || captions.some(caption => caption !== null && typeof caption !== 'string')) {
+        throw new Error('Captions must be a list of texts, one per attachment');
+    }
+    if (captions.length > count) {
+        throw new Error(`Got ${captions.length} captions for ${count} attachment(s)`);
+    }
+    return Array.from({ length: count }, (unused, index) => (captions[index] && captions[index].trim()) || null);
+}
+
+// Campaign-wide send options, passed on to Client.sendMessage
+function parseMediaOptions(body) {
+    return {
+        sendAudioAsVoice: body.sendAudioAsVoice === true || body.sendAudioAsVoice === 'true',
+        sendMediaAsDocument: body.sendMediaAsDocument === true || body.sendMediaAsDocument === 'true'
+    };
+}
+
+// Read a file into a MessageMedia; `path` and `caption` stay on it for storage and sending
+function loadAttachment(filePath, filename, caption = null, mimetype = null) {
+    const media = MessageMedia.fromFilePath(filePath);
+    if (!media || !media.data) {
+        throw new Error(`${filename} is empty or could not be read`);
+    }
+    media.filename = filename;
+    media.mimetype = mimetype || getMimeType(filename);
+    media.caption = caption;
+    media.path = filePath;
+    return media;
+}
+
+// Voice notes and audio files have no caption in WhatsApp unless sent as a document
+function canCarryCaption(media, options) {
+    return getKind(media.mimetype) !== 'audio' || Boolean(options.sendMediaAsDocument);
+}
+
+// The messages one recipient gets, in order: { text } or { media, caption }.
+// `attachments` are { media, caption } with the caption already personalized.
+function planMessages(message, attachments, options = {}) {
+    const text = message && message.trim() ? message : null;
+    if (attachments.length === 0) {
+        return [{ text: message }];
+    }
+
+    const plan = [];
+    const [first] = attachments;
+    const messageIsCaption = text && !first.caption && canCarryCaption(first.media, options);
+    if (text && !messageIsCaption) {
+        plan.push({ text: text });
+    }
+    attachments.forEach((attachment, index) => {
+        const caption = index === 0 && messageIsCaption ? text : attachment.caption;
+        if (caption && !canCarryCaption(attachment.media, options)) {
+            plan.push({ text: caption });
+            plan.push({ media: attachment.media, caption: null });
+        } else {
+            plan.push({ media: attachment.media, caption: caption || null });
+        }
+    });
+    return plan;
+}
+
+module.exports = {
+    MAX_ATTACHMENTS,
+    ATTACHMENT_EXTENSIONS,
+    isAllowed,
+    getMimeType,
+    getKind,
+    parseCaptions,
+    parseMediaOptions,
+    loadAttachment,
+    planMessages
+};
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { DATA_DIR, ensureDir, readJson, writeJson } = require('./storage');
+
+// Server-side dashboard authentication - users with scrypt-hashed passwords and
+// HTTP-only cookie sessions that expire on the server after SESSION_TTL_HOURS
+
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const SESSION_COOKIE = 'wbs_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const INITIAL_PASSWORD_FILE = path.join(DATA_DIR, 'initial-admin-password.txt');
+
+// Failed logins lock out the email (and the client IP, which may try many emails) for
+// the rest of the window, so passwords cannot be guessed at the speed of scrypt
+const MAX_FAILED_LOGINS_PER_EMAIL = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const MAX_FAILED_LOGINS_PER_IP = MAX_FAILED_LOGINS_PER_EMAIL * 4;
+const LOGIN_WINDOW_MS = (parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+const scrypt = promisify(crypto.scrypt);
+
+let users = null; // email -> { email, passwordHash, createdAt }
+let sessions = null; // token -> { email, createdAt, expiresAt }
+const failedLogins = new Map(); // email:<email> or ip:<ip> -> { count, firstAt }
+
+// Credentials and session tokens are only readable by the server user
+function writePrivateJson(filePath, data) {
+    writeJson(filePath, data, { mode: 0o600 });
+}
+
+// Only used when creating users (the first admin is seeded at startup)
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+// Runs off the event loop so login attempts do not hold up campaign sending
+async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = (passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function loadUsers() {
+    if (users) {
+        return users;
+    }
+
+    users = readJson(USERS_FILE, {});
+    if (Object.keys(users).length === 0) {
+        // First boot - seed an admin from the environment, or generate a one-time password
+        const email = (process.env.ADMIN_EMAIL || 'admin@localhost').toLowerCase();
+        let password = process.env.ADMIN_PASSWORD;
+        if (!password) {
+            // Kept out of the log, which hosting platforms retain
+            password = crypto.randomBytes(9).toString('base64url');
+            ensureDir();
+            fs.writeFileSync(INITIAL_PASSWORD_FILE, `Email: ${email}\nPassword: ${password}\n`, { mode: 0o600 });
+            console.log(`🔐 No users configured - created the dashboard admin ${email}`);
+            console.log(`   Its password is in ${INITIAL_PASSWORD_FILE} - delete the file once you have logged in.`);
+            console.log('   Set ADMIN_EMAIL/ADMIN_PASSWORD before first start to choose your own.');
+        }
+        createUser(email, password);
+    }
+    return users;
+}
+
+function loadSessions() {
+    if (!sessions) {
+        sessions = readJson(SESSIONS_FILE, {});
+    }
+    return sessions;
+}
+
+function createUser(email, password) {
+    if (!users) {
+        users = readJson(USERS_FILE, {});
+    }
+    const normalizedEmail = email.trim().toLowerCase();
+    users[normalizedEmail] = {
+        email: normalizedEmail,
+        passwordHash: hashPassword(password),
+        createdAt: new Date().toISOString()
+    };
+    writePrivateJson(USERS_FILE, users);
+    return { email: normalizedEmail };
+}
+
+function getFailedLogins(key, now) {
+    const entry = failedLogins.get(key);
+    if (entry && now - entry.firstAt >= LOGIN_WINDOW_MS) {
+        failedLogins.delete(key);
+        return null;
+    }
+    return entry || null;
+}
+
+function recordFailedLogin(key, now) {
+    const entry = getFailedLogins(key, now);
+    if (entry) {
+        entry.count++;
+    } else {
+        failedLogins.set(key, { count: 1, firstAt: now });
+    }
+}
+
+// Milliseconds until this email or IP may try again, or 0 if it is not locked out
+function getLoginRetryAfter(email, ip) {
+    const now = Date.now();
+    let retryAfter = 0;
+    for (const [key, limit] of [[`email:${email}`, MAX_FAILED_LOGINS_PER_EMAIL], [`ip:${ip}`, MAX_FAILED_LOGINS_PER_IP]]) {
+        const entry = getFailedLogins(key, now);
+        if (entry && entry.count >= limit) {
+            retryAfter = Math.max(retryAfter, entry.firstAt + LOGIN_WINDOW_MS - now);
+        }
+    }
+    return retryAfter;
+}
+
+// Resolves with a new session for valid credentials, null for invalid ones, or
+// { retryAfterMs } while the email or client IP is locked out
+async function login(email, password, ip = 'unknown') {
+    const normalizedEmail = (email || '').trim().toLowerCase();
+    const retryAfterMs = getLoginRetryAfter(normalizedEmail, ip);
+    if (retryAfterMs > 0) {
+        return { retryAfterMs };
+    }
+
+    const user = loadUsers()[normalizedEmail];
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+        const now = Date.now();
+        recordFailedLogin(`email:${normalizedEmail}`, now);
+        recordFailedLogin(`ip:${ip}`, now);
+        return null;
+    }
+    failedLogins.delete(`email:${normalizedEmail}`);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    loadSessions()[token] = {
+        email: user.email,
+        createdAt: now,
+        expiresAt: now + SESSION_TTL_MS
+    };
+    purgeExpiredSessions();
+    return { token, email: user.email, expiresAt: now + SESSION_TTL_MS };
+}
+
+function logout(token) {
+    if (token && loadSessions()[token]) {
+        delete sessions[token];
+        writePrivateJson(SESSIONS_FILE, sessions);
+    }
+}
+
+function getSession(token) {
+    const session = token ? loadSessions()[token] : null;
+    if (!session) {
+        return null;
+    }
+    if (session.expiresAt <= Date.now()) {
+        delete sessions[token];
+        writePrivateJson(SESSIONS_FILE, sessions);
+        return null;
+    }
+    return session;
+}
+
+function purgeExpiredSessions() {
+    const now = Date.now();
+    for (const [token, session] of Object.entries(loadSessions())) {
+        if (session.expiresAt <= now) {
+            delete sessions[token];
+        }
+    }
+    writePrivateJson(SESSIONS_FILE, sessions);
+}
+
+function getTokenFromCookieHeader(cookieHeader) {
+    if (!cookieHeader) {
+        return null;
+    }
+    for (const part of cookieHeader.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === SESSION_COOKIE) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+function getRequestSession(req) {
+    return getSession(getTokenFromCookieHeader(req.headers.cookie));
+}
+
+function setSessionCookie(req, res, token) {
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    const parts = [
+        `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`
+    ];
+    if (secure) {
+        parts.push('Secure');
+    }
+    res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+// Express middleware for API routes - rejects requests without a valid session
+function requireAuth(req, res, next) {
+    const session = getRequestSession(req);
+    if (!session) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = { email: session.email, expiresAt: session.expiresAt };
+    next();
+}
+
+// Express middleware for HTML pages - sends unauthenticated visitors to the login page
+function requirePageAuth(req, res, next) {
+    if (!getRequestSession(req)) {
+        return res.redirect('/login');
+    }
+    next();
+}
+
+// Socket.IO middleware - refuses connections without a valid session cookie
+function authenticateSocket(socket, next) {
+    const session = getSession(getTokenFromCookieHeader(socket.request.headers.cookie));
+    if (!session) {
+        return next(new Error('Authentication required'));
+    }
+    socket.user = { email: session.email, expiresAt: session.expiresAt };
+    next();
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    loadUsers,
+    createUser,
+    login,
+    logout,
+    getSession,
+    getRequestSession,
+    getTokenFromCookieHeader,
+    purgeExpiredSessions,
+    setSessionCookie,
+    clearSessionCookie,
+    requireAuth,
+    requirePageAuth,
+    authenticateSocket
+};
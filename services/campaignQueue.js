@@ -0,0 +1,142 @@
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./storage');
+
+// Server-side campaign queue - campaigns waiting for their turn to send, kept in
+// the order they will start. Higher priorities go first; campaigns with the same
+// priority keep the order they were queued in until someone reorders them.
+
+const QUEUE_FILE = path.join(DATA_DIR, 'queue.json');
+const DEFAULT_PRIORITY = 0;
+
+let entries = null; // [{ campaignId, priority, enqueuedAt }] in start order
+
+function load() {
+    if (!entries) {
+        entries = readJson(QUEUE_FILE, []);
+    }
+    return entries;
+}
+
+function flush() {
+    writeJson(QUEUE_FILE, entries);
+}
+
+// Validate a priority from a form field or the campaigns API (whole numbers, higher runs sooner)
+function parsePriority(value) {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_PRIORITY;
+    }
+    const priority = Number(value);
+    if (!Number.isInteger(priority)) {
+        throw new Error('Priority must be a whole number');
+    }
+    return priority;
+}
+
+function insertEntry(entry, front) {
+    const queue = load();
+    let index = 0;
+    if (!front) {
+        // After every campaign of the same or higher priority
+        while (index < queue.length && queue[index].priority >= entry.priority) {
+            index++;
+        }
+    }
+    queue.splice(index, 0, entry);
+}
+
+function removeEntry(campaignId) {
+    const queue = load();
+    const index = queue.findIndex(entry => entry.campaignId === campaignId);
+    return index === -1 ? null : queue.splice(index, 1)[0];
+}
+
+// Add a campaign to the queue. `front` skips the priority order, e.g. for a resumed campaign.
+function enqueue(campaignId, priority = DEFAULT_PRIORITY, { front = false } = {}) {
+    removeEntry(campaignId);
+    insertEntry({ campaignId, priority, enqueuedAt: new Date() }, front);
+    flush();
+    return position(campaignId);
+}
+
+function remove(campaignId) {
+    const removed = removeEntry(campaignId);
+    if (removed) {
+        flush();
+    }
+    return Boolean(removed);
+}
+
+// Change a queued campaign's priority and move it to its new place in the order
+function setPriority(campaignId, priority) {
+    const entry = removeEntry(campaignId);
+    if (!entry) {
+        return null;
+    }
+    entry.priority = priority;
+    insertEntry(entry, false);
+    flush();
+    return position(campaignId);
+}
+
+// Put the queue in an explicit order - the ids must be exactly the queued campaigns
+function reorder(campaignIds) {
+    const queue = load();
+    if (!Array.isArray(campaignIds) || campaignIds.length !== queue.length || new Set(campaignIds).size !== queue.length) {
+        throw new Error('Order must list every queued campaign exactly once');
+    }
+    const byId = new Map(queue.map(entry => [entry.campaignId, entry]));
+    const reordered = campaignIds.map(campaignId => {
+        if (!byId.has(campaignId)) {
+            throw new Error(`Campaign ${campaignId} is not queued`);
+        }
+        return byId.get(campaignId);
+    });
+    entries = reordered;
+    flush();
+}
+
+// Drop entries for campaigns that are no longer queued and append queued campaigns
+// the file does not know about (e.g. after a crash between the two writes)
+function sync(queuedCampaigns) {
+    const queuedIds = new Set(queuedCampaigns.map(campaign => campaign.campaignId));
+    entries = load().filter(entry => queuedIds.has(entry.campaignId));
+    for (const campaign of queuedCampaigns) {
+        if (!has(campaign.campaignId)) {
+            insertEntry({ campaignId: campaign.campaignId, priority: campaign.priority || DEFAULT_PRIORITY, enqueuedAt: new Date() }, false);
+        }
+    }
+    flush();
+}
+
+function peek() {
+    return load()[0] || null;
+}
+
+function has(campaignId) {
+    return load().some(entry => entry.campaignId === campaignId);
+}
+
+// 1-based place in the queue, or null when the campaign is not queued
+function position(campaignId) {
+    const index = load().findIndex(entry => entry.campaignId === campaignId);
+    return index === -1 ? null : index + 1;
+}
+
+function list() {
+    return load().map((entry, index) => ({ ...entry, position: index + 1 }));
+}
+
+module.exports = {
+    DEFAULT_PRIORITY,
+    parsePriority,
+    enqueue,
+    remove,
+    setPriority,
+    reorder,
+    sync,
+    peek,
+    has,
+    position,
+    list
+};
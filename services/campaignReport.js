@@ -0,0 +1,68 @@
+const xlsx = require('xlsx');
+
+// Per-campaign delivery reports, built from the stored campaign record so they
+// are available for running, paused and finished campaigns alike
+
+const FORMATS = {
+    xlsx: { bookType: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { bookType: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+function formatTimestamp(value) {
+    return value ? new Date(value).toISOString() : '';
+}
+
+// One row per recipient; the spreadsheet columns the campaign was uploaded with are
+// appended so the report can be matched back against the source list. Recipients left
+// out before sending (duplicates, suppressed numbers) come last with the reason as the error.
+function buildReportRows(record) {
+    const recipients = (record.recipients || record.phoneNumbers.map(number => ({ number, status: 'pending' })))
+        .concat(record.skipped || []);
+
+    return recipients.map(recipient => {
+        const row = {
+            'Phone Number': recipient.number.replace('@c.us', ''),
+            'Status': recipient.status,
+            'Attempts': recipient.attempts || 0,
+            'Updated At': formatTimestamp(recipient.updatedAt),
+            'Error': recipient.error || '',
+            'Ack': recipient.ack || '',
+            'Ack At': formatTimestamp(recipient.ackAt),
+            'Delivered At': formatTimestamp(recipient.ackTimes && recipient.ackTimes.delivered),
+            'Read At': formatTimestamp(recipient.ackTimes && recipient.ackTimes.read),
+            'Opted Out At': formatTimestamp(recipient.optedOutAt),
+            'Account': recipient.accountId || record.accountId || '',
+            'Variant': recipient.variant !== undefined && recipient.variant !== null ? recipient.variant + 1 : ''
+        };
+        for (const [field, value] of Object.entries(recipient.fields || {})) {
+            if (!(field in row)) {
+                row[field] = value;
+            }
+        }
+        return row;
+    });
+}
+
+// Render the report as a file buffer in the requested format (xlsx or csv)
+function renderReport(record, format = 'xlsx') {
+    const output = FORMATS[format];
+    if (!output) {
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+
+    const workbook = xlsx.utils.book_new();
+    const worksheet = xlsx.utils.json_to_sheet(buildReportRows(record));
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Report');
+
+    return {
+        buffer: xlsx.write(workbook, { type: 'buffer', bookType: output.bookType }),
+        contentType: output.contentType,
+        filename: `${record.campaignId}_report.${format}`
+    };
+}
+
+module.exports = {
+    FORMATS,
+    buildReportRows,
+    renderReport
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, ensureDir, readJson, writeJson } = require('./storage');
+const attachments = require('./attachments');
+
+// Durable campaign storage - a single JSON file under the data directory so that
+// campaigns survive crashes, redeploys and platform restarts.
+// Record statuses: scheduled, queued, active, paused, completed
+
+const CAMPAIGNS_FILE = path.join(DATA_DIR, 'campaigns.json');
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+
+let campaigns = null; // campaignId -> persisted record
+
+function load() {
+    if (!campaigns) {
+        campaigns = readJson(CAMPAIGNS_FILE, {});
+    }
+    return campaigns;
+}
+
+function flush() {
+    writeJson(CAMPAIGNS_FILE, campaigns);
+}
+
+// Campaign IDs may come from the client, so they are cleaned before going into a file name
+function toFileName(campaignId) {
+    return String(campaignId).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+// Copy an uploaded media file into the data directory so it outlives the upload request
+// (`index` keeps attachments with the same name apart)
+function storeMediaFile(campaignId, uploadedPath, originalFilename, index = 0) {
+    ensureDir(MEDIA_DIR);
+    const safeName = path.basename(originalFilename).replace(/[^a-zA-Z0-9._-]/g, '_');
+    const targetPath = path.join(MEDIA_DIR, `${toFileName(campaignId)}_${index + 1}_${safeName}`);
+    fs.copyFileSync(uploadedPath, targetPath);
+    return targetPath;
+}
+
+// Folder for one campaign's per-recipient files
+function recipientMediaDir(campaignId) {
+    return path.join(MEDIA_DIR, `${toFileName(campaignId)}_recipients`);
+}
+
+// Copy each recipient's own file into the campaign's media folder (files shared by
+// several recipients are copied once). `media` has a { path, filename, mimetype } or
+// null per recipient; returns the same list pointing at the copies.
+function storeRecipientMedia(campaignId, media) {
+    const targetDir = recipientMediaDir(campaignId);
+    const copies = new Map();
+    return media.map(file => {
+        if (!file) {
+            return null;
+        }
+        if (!copies.has(file.path)) {
+            ensureDir(targetDir);
+            const safeName = path.basename(file.filename).replace(/[^a-zA-Z0-9._-]/g, '_');
+            const targetPath = path.join(targetDir, `${copies.size + 1}_${safeName}`);
+            fs.copyFileSync(file.path, targetPath);
+            copies.set(file.path, targetPath);
+        }
+        return { path: copies.get(file.path), filename: file.filename, mimetype: file.mimetype };
+    });
+}
+
+function removeRecipientMedia(campaignId) {
+    fs.rmSync(recipientMediaDir(campaignId), { recursive: true, force: true });
+}
+
+// Attachments of a record - older records hold a single `media` entry
+function getRecordAttachments(record) {
+    if (record.attachments) {
+        return record.attachments;
+    }
+    return record.media ? [{ ...record.media, caption: null }] : [];
+}
+
+function toRecord(campaignState, status) {
+    return {
+        campaignId: campaignState.campaignId,
+        status: status,
+        phoneNumbers: campaignState.phoneNumbers,
+        recipients: campaignState.recipients,
+        skipped: campaignState.skipped || [],
+        message: campaignState.message,
+        messageVariants: campaignState.messageVariants || null,
+        template: campaignState.template || null,
+        fileType: campaignState.fileType,
+        delayRange: campaignState.delayRange,
+        scheduledAt: campaignState.scheduledAt || null,
+        sendingWindow: campaignState.sendingWindow || null,
+        priority: campaignState.priority || 0,
+        accountId: campaignState.accountId || null,
+        senderPool: campaignState.senderPool || null,
+        attachments: (campaignState.attachments || []).filter(media => media.path).map(media => ({
+            path: media.path,
+            filename: media.filename,
+            mimetype: media.mimetype,
+            caption: media.caption || null
+        })),
+        mediaOptions: campaignState.mediaOptions || null,
+        currentIndex: campaignState.currentIndex,
+        sentCount: campaignState.sentCount,
+        failedCount: campaignState.failedCount,
+        createdAt: campaignState.createdAt,
+        startedAt: campaignState.startedAt,
+        pausedAt: campaignState.pausedAt || null,
+        lastActivity: campaignState.lastActivity,
+        updatedAt: new Date()
+    };
+}
+
+// Rebuild an in-memory campaign state (Dates, MessageMedia) from a persisted record
+function fromRecord(record) {
+    const mediaFiles = [];
+    for (const attachment of getRecordAttachments(record)) {
+        if (fs.existsSync(attachment.path)) {
+            mediaFiles.push(attachments.loadAttachment(attachment.path, attachment.filename, attachment.caption, attachment.mimetype));
+        } else {
+            console.warn(`⚠️ Media file for campaign ${record.campaignId} is missing: ${attachment.path}`);
+        }
+    }
+
+    return {
+        campaignId: record.campaignId,
+        phoneNumbers: record.phoneNumbers,
+        recipients: record.recipients,
+        skipped: record.skipped || [],
+        message: record.message,
+        messageVariants: record.messageVariants || null,
+        template: record.template || null,
+        attachments: mediaFiles,
+        mediaOptions: record.mediaOptions || null,
+        fileType: record.fileType,
+        delayRange: record.delayRange,
+        scheduledAt: record.scheduledAt ? new Date(record.scheduledAt) : null,
+        sendingWindow: record.sendingWindow || null,
+        priority: record.priority || 0,
+        accountId: record.accountId || null,
+        senderPool: record.senderPool || null,
+        currentIndex: record.currentIndex,
+        sentCount: record.sentCount,
+        failedCount: record.failedCount,
+        isPaused: record.status === 'paused',
+        createdAt: new Date(record.createdAt),
+        startedAt: record.startedAt ? new Date(record.startedAt) : null,
+        pausedAt: record.pausedAt ? new Date(record.pausedAt) : undefined,
+        lastActivity: new Date(record.lastActivity)
+    };
+}
+
+function save(campaignState, status = 'active') {
+    load()[campaignState.campaignId] = toRecord(campaignState, status);
+    flush();
+}
+
+// Update one recipient of a campaign that is no longer held in memory (e.g. a late read receipt)
+function updateRecipient(campaignId, index, changes) {
+    const record = load()[campaignId];
+    if (!record || !record.recipients || !record.recipients[index]) {
+        return null;
+    }
+    Object.assign(record.recipients[index], changes);
+    record.updatedAt = new Date();
+    flush();
+    return record;
+}
+
+function get(campaignId) {
+    return load()[campaignId] || null;
+}
+
+function list(status = null) {
+    return Object.values(load()).filter(record => !status || record.status === status);
+}
+
+function remove(campaignId) {
+    const record = load()[campaignId];
+    if (!record) {
+        return;
+    }
+
+    for (const attachment of getRecordAttachments(record)) {
+        if (fs.existsSync(attachment.path)) {
+            fs.unlinkSync(attachment.path);
+        }
+    }
+    removeRecipientMedia(campaignId);
+    delete campaigns[campaignId];
+    flush();
+}
+
+module.exports = {
+    MEDIA_DIR,
+    save,
+    get,
+    list,
+    remove,
+    updateRecipient,
+    fromRecord,
+    storeMediaFile,
+    storeRecipientMedia,
+    removeRecipientMedia
+};
@@ -0,0 +1,114 @@
+const { LocalAuth } = require('../index');
+
+// Shared WhatsApp client configuration - every client (the default one and each
+// linked account) runs with the same Puppeteer setup and only differs in its session.
+//
+// Sessions are snapshotted once a client is ready. When a saved session fails to load
+// (auth failure, or no progress on the loading screen for SESSION_LOADING_TIMEOUT_SECONDS)
+// the client retries it, then rolls back to the newest older snapshot before asking for
+// a new QR code.
+
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+const SESSION_SNAPSHOTS = envNumber('SESSION_SNAPSHOTS', 3);
+const SESSION_SNAPSHOT_RETENTION_DAYS = envNumber('SESSION_SNAPSHOT_RETENTION_DAYS', 7);
+const SESSION_LOADING_TIMEOUT_SECONDS = envNumber('SESSION_LOADING_TIMEOUT_SECONDS', 180);
+
+// `pairWithPhoneNumber` ({ phoneNumber, intervalMs }) starts the client for linking with a
+// pairing code instead of the QR code
+function createClientOptions({ clientId, dataPath, pairWithPhoneNumber = null }) {
+    const options = {
+        authStrategy: new LocalAuth({
+            clientId,
+            dataPath,
+            maxSnapshots: SESSION_SNAPSHOTS,
+            snapshotRetentionMs: SESSION_SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        }),
+        loadingTimeoutMs: SESSION_LOADING_TIMEOUT_SECONDS * 1000,
+        puppeteer: {
+            headless: true,
+            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || (process.platform === 'win32' ? undefined : '/usr/bin/chromium-browser'),
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--no-zygote',
+                '--disable-gpu',
+                '--disable-web-security',
+                '--disable-features=VizDisplayCompositor',
+                '--disable-background-timer-throttling',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-renderer-backgrounding',
+                '--disable-field-trial-config',
+                '--disable-ipc-flooding-protection',
+                '--disable-extensions',
+                '--disable-plugins',
+                '--disable-default-apps',
+                '--disable-sync',
+                '--disable-translate',
+                '--hide-scrollbars',
+                '--mute-audio',
+                '--no-default-browser-check',
+                '--disable-component-extensions-with-background-pages',
+                '--disable-background-networking',
+                '--disable-sync-preferences',
+                '--disable-client-side-phishing-detection',
+                '--disable-component-update',
+                '--disable-domain-reliability',
+                '--disable-features=TranslateUI',
+                '--disable-blink-features=AutomationControlled',
+                '--disable-features=VizDisplayCompositor,VizServiceDisplayCompositor',
+                '--memory-pressure-off',
+                '--max_old_space_size=4096',
+                '--disable-background-networking',
+                '--disable-default-apps',
+                '--disable-extensions',
+                '--disable-sync',
+                '--metrics-recording-only',
+                '--no-first-run',
+                '--safebrowsing-disable-auto-update',
+                '--disable-client-side-phishing-detection',
+                '--disable-component-update',
+                '--disable-domain-reliability',
+                '--disable-features=TranslateUI',
+                '--disable-ipc-flooding-protection',
+                '--disable-renderer-backgrounding',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-background-timer-throttling',
+                '--disable-features=VizDisplayCompositor',
+                '--disable-web-security',
+                '--disable-gpu',
+                '--no-zygote',
+                '--no-first-run',
+                '--disable-accelerated-2d-canvas',
+                '--disable-dev-shm-usage',
+                '--disable-setuid-sandbox',
+                '--no-sandbox'
+            ],
+            timeout: 60000,
+            protocolTimeout: 60000
+        },
+        webVersion: '2.2412.54',
+        webVersionCache: {
+            type: 'local'
+        },
+        restartOnAuthFail: true,
+        takeoverOnConflict: false,
+        takeoverTimeoutMs: 0,
+        qrMaxRetries: 3,
+        authTimeoutMs: 60000
+    };
+    if (pairWithPhoneNumber) {
+        options.pairWithPhoneNumber = { showNotification: true, ...pairWithPhoneNumber };
+    }
+    return options;
+}
+
+module.exports = {
+    createClientOptions
+};
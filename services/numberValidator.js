@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const xlsx = require('xlsx');
+const { FORMATS } = require('./campaignReport');
+
+// Recipient pre-validation - looks every number up with getNumberId before a campaign
+// spends a delay slot on it. Each validation runs in the background, one lookup at a
+// time with a pause in between so a long list does not look like a burst.
+//
+// Result statuses: pending, valid, not_on_whatsapp, malformed, error (lookup failed)
+
+const VALIDATION_DELAY_MS = parseInt(process.env.VALIDATION_DELAY_MS, 10) || 1500;
+const VALIDATION_TTL_MS = 24 * 60 * 60 * 1000; // validations are kept in memory for a day
+
+const validations = new Map(); // validationId -> validation
+
+function prune() {
+    const cutoff = Date.now() - VALIDATION_TTL_MS;
+    for (const [validationId, validation] of validations.entries()) {
+        if (validation.createdAt.getTime() < cutoff) {
+            validations.delete(validationId);
+        }
+    }
+}
+
+// Start tracking a list: `recipients` are { number, fields } that passed formatting,
+// `rejected` are the raw values that did not (with the reason)
+function create({ recipients, rejected = [], headers = [], accountId = null }) {
+    prune();
+    const validation = {
+        validationId: `validation_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        status: 'pending',
+        accountId: accountId,
+        headers: headers,
+        results: [
+            ...recipients.map(recipient => ({ input: recipient.number.replace('@c.us', ''), number: recipient.number, fields: recipient.fields || null, status: 'pending', error: null })),
+            ...rejected.map(entry => ({ input: entry.value, number: null, fields: entry.fields || null, status: 'malformed', error: entry.reason || null }))
+        ],
+        checked: 0,
+        error: null,
+        createdAt: new Date(),
+        completedAt: null
+    };
+    validations.set(validation.validationId, validation);
+    return validation;
+}
+
+function get(validationId) {
+    return validations.get(validationId) || null;
+}
+
+function getCounts(validation) {
+    const counts = { total: validation.results.length, valid: 0, notOnWhatsApp: 0, malformed: 0, errors: 0, pending: 0 };
+    for (const result of validation.results) {
+        if (result.status === 'valid') {
+            counts.valid++;
+        } else if (result.status === 'not_on_whatsapp') {
+            counts.notOnWhatsApp++;
+        } else if (result.status === 'malformed') {
+            counts.malformed++;
+        } else if (result.status === 'error') {
+            counts.errors++;
+        } else {
+            counts.pending++;
+        }
+    }
+    return counts;
+}
+
+// Check every pending number. `lookup(number)` resolves to a WhatsApp id or null;
+// `onProgress` is called after each number.
+async function run(validation, lookup, onProgress = () => {}) {
+    validation.status = 'running';
+    const pending = validation.results.filter(result => result.status === 'pending');
+
+    try {
+        for (let i = 0; i < pending.length; i++) {
+            const result = pending[i];
+            try {
+                const numberId = await lookup(result.number);
+                if (numberId) {
+                    result.status = 'valid';
+                    result.number = numberId._serialized || result.number;
+                } else {
+                    result.status = 'not_on_whatsapp';
+                }
+            } catch (error) {
+                // Unchecked numbers stay in the campaign - the send itself decides
+                result.status = 'error';
+                result.error = error.message;
+            }
+            validation.checked++;
+            onProgress(validation);
+
+            if (i < pending.length - 1) {
+                const jitter = Math.floor(Math.random() * VALIDATION_DELAY_MS / 2);
+                await new Promise(resolve => setTimeout(resolve, VALIDATION_DELAY_MS + jitter));
+            }
+        }
+        validation.status = 'completed';
+    } catch (error) {
+        validation.status = 'failed';
+        validation.error = error.message;
+    }
+    validation.completedAt = new Date();
+    return validation;
+}
+
+// Numbers a campaign should skip: confirmed as not on WhatsApp
+function getExcludedNumbers(validation) {
+    return new Set(validation.results
+        .filter(result => result.status === 'not_on_whatsapp')
+        .map(result => result.number));
+}
+
+// Rows for the cleaned spreadsheet - the valid numbers plus any that could not be
+// checked (or every row with its status when `includeAll` is set), keeping the
+// uploaded columns so the file can be uploaded again as it is
+function buildCleanedRows(validation, includeAll = false) {
+    return validation.results
+        .filter(result => includeAll || result.status === 'valid' || result.status === 'error')
+        .map(result => {
+            const row = result.fields ? { ...result.fields } : { phone: result.number ? result.number.replace('@c.us', '') : result.input };
+            if (includeAll) {
+                row.validation_status = result.status;
+                row.validation_error = result.error || '';
+            }
+            return row;
+        });
+}
+
+function renderCleanedList(validation, format = 'xlsx', includeAll = false) {
+    const output = FORMATS[format];
+    if (!output) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const rows = buildCleanedRows(validation, includeAll);
+    const workbook = xlsx.utils.book_new();
+    const worksheet = rows.length > 0 ? xlsx.utils.json_to_sheet(rows) : xlsx.utils.aoa_to_sheet([['phone']]);
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Recipients');
+
+    return {
+        buffer: xlsx.write(workbook, { type: 'buffer', bookType: output.bookType }),
+        contentType: output.contentType,
+        filename: `${validation.validationId}_${includeAll ? 'checked' : 'cleaned'}.${format}`
+    };
+}
+
+module.exports = {
+    VALIDATION_DELAY_MS,
+    create,
+    get,
+    getCounts,
+    run,
+    getExcludedNumbers,
+    buildCleanedRows,
+    renderCleanedList
+};
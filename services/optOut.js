@@ -0,0 +1,87 @@
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./storage');
+
+// Opt-out replies - a campaign recipient who answers with one of the keywords
+// (the whole reply, ignoring case and punctuation) is added to the suppression list.
+// The server only passes on replies from numbers a campaign has messaged, so ordinary
+// chats are left alone.
+
+const SETTINGS_FILE = path.join(DATA_DIR, 'opt-out.json');
+const DEFAULT_KEYWORDS = [
+    'STOP', 'STOP ALL', 'UNSUBSCRIBE', 'OPT OUT', 'OPTOUT', 'CANCEL', 'END', 'QUIT',
+    'PARAR', 'BAJA', 'CANCELAR', 'ARRET', 'ARRÊT', 'STOPP', 'ABMELDEN', 'DISISCRIVITI',
+    'रुको', 'बंद करो', 'توقف', 'إلغاء'
+];
+const DEFAULT_CONFIRMATION = 'You have been unsubscribed and will not receive further messages.';
+
+let overrides = null; // settings changed from the API, stored in SETTINGS_FILE
+
+function defaultSettings() {
+    const keywords = process.env.OPT_OUT_KEYWORDS
+        ? process.env.OPT_OUT_KEYWORDS.split(',').map(keyword => keyword.trim()).filter(Boolean)
+        : DEFAULT_KEYWORDS;
+    return {
+        keywords: keywords,
+        sendConfirmation: process.env.OPT_OUT_CONFIRMATION !== 'false',
+        confirmationMessage: DEFAULT_CONFIRMATION
+    };
+}
+
+function loadOverrides() {
+    if (!overrides) {
+        overrides = readJson(SETTINGS_FILE, {});
+    }
+    return overrides;
+}
+
+// { keywords, sendConfirmation, confirmationMessage }
+function getSettings() {
+    return { ...defaultSettings(), ...loadOverrides() };
+}
+
+// Validate and store new settings; fields left out keep their current value
+function updateSettings(changes) {
+    const next = { ...loadOverrides() };
+    if (changes.keywords !== undefined) {
+        if (!Array.isArray(changes.keywords) || changes.keywords.length === 0 ||
+            changes.keywords.some(keyword => typeof keyword !== 'string' || !normalizeReply(keyword))) {
+            throw new Error('Keywords must be a non-empty list of words');
+        }
+        next.keywords = changes.keywords.map(keyword => keyword.trim());
+    }
+    if (changes.sendConfirmation !== undefined) {
+        next.sendConfirmation = Boolean(changes.sendConfirmation);
+    }
+    if (changes.confirmationMessage !== undefined) {
+        if (typeof changes.confirmationMessage !== 'string' || !changes.confirmationMessage.trim()) {
+            throw new Error('Confirmation message cannot be empty');
+        }
+        next.confirmationMessage = changes.confirmationMessage.trim();
+    }
+    writeJson(SETTINGS_FILE, next);
+    overrides = next;
+    return getSettings();
+}
+
+// "Stop!", " stop " and "STOP." all become "STOP"
+function normalizeReply(text) {
+    return String(text || '')
+        .replace(/[\s\p{P}\p{S}]+/gu, ' ')
+        .trim()
+        .toUpperCase();
+}
+
+// The configured keyword the reply consists of, or null
+function matchKeyword(text) {
+    const reply = normalizeReply(text);
+    if (!reply) {
+        return null;
+    }
+    return getSettings().keywords.find(keyword => normalizeReply(keyword) === reply) || null;
+}
+
+module.exports = {
+    getSettings,
+    updateSettings,
+    matchKeyword
+};
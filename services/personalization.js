@@ -0,0 +1,192 @@
+const xlsx = require('xlsx');
+
+// Per-recipient personalization - spreadsheet rows become recipients with named
+// fields (taken from the header row) that fill {{placeholders}} in the message.
+//
+//   Hello {{name|there}}, your order {{order_id}} has shipped
+//
+// Header names are matched case-insensitively with spaces treated as underscores,
+// so a "Order ID" column fills {{order_id}} as well as {{Order ID}}. The text after
+// "|" is used when the cell is empty or the column does not exist.
+//
+// Messages may also use spintax - {Hi|Hello|Hey} picks one option per recipient,
+// options can nest - and a campaign can rotate through several message variants.
+// Braces without a "|" inside, like {SAVE10}, are plain text and left alone.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}|]+?)\s*(?:\|([^{}]*))?\}\}/g;
+const SPINTAX_PATTERN = /\{([^{}|]*\|[^{}]*)\}/;
+// Stands in for a {{placeholder}} while spinning - private-use characters never typed in a message
+const PLACEHOLDER_MARKER = /\uE000(\d+)\uE001/g;
+const PHONE_COLUMN_NAMES = ['phone', 'phone_number', 'mobile', 'mobile_number', 'whatsapp', 'number', 'contact'];
+
+function normalizeFieldName(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+function looksLikePhoneNumber(value) {
+    return /^\d{7,}$/.test(String(value).replace(/[+\-\s()]/g, ''));
+}
+
+// Pick the column holding phone numbers - a well-known header name, else the first column
+function findPhoneColumn(headers) {
+    for (const name of PHONE_COLUMN_NAMES) {
+        const index = headers.indexOf(name);
+        if (index !== -1) {
+            return index;
+        }
+    }
+    const index = headers.findIndex(header => header.includes('phone') || header.includes('mobile'));
+    return index === -1 ? 0 : index;
+}
+
+// Turn sheet rows (arrays of cells) into recipients with named fields.
+// The first row is the header row unless it already holds a phone number, which
+// keeps old single-column sheets without headers working. `formatPhoneNumber(value,
+// rowIndex, fields)` returns { number, error }; rows it rejects are returned separately
+// as `rejected` with the reason.
+function parseRecipientRows(rows, formatPhoneNumber) {
+    const nonEmptyRows = rows.filter(row => row && row.some(cell => String(cell).trim() !== ''));
+    if (nonEmptyRows.length === 0) {
+        return { headers: [], recipients: [], rejected: [] };
+    }
+
+    const hasHeaderRow = !nonEmptyRows[0].some(looksLikePhoneNumber);
+    const headers = hasHeaderRow
+        ? nonEmptyRows[0].map((cell, index) => normalizeFieldName(cell) || `column_${index + 1}`)
+        : nonEmptyRows[0].map((cell, index) => `column_${index + 1}`);
+    const phoneColumn = hasHeaderRow ? findPhoneColumn(headers) : 0;
+    const dataRows = hasHeaderRow ? nonEmptyRows.slice(1) : nonEmptyRows;
+
+    const recipients = [];
+    const rejected = [];
+    dataRows.forEach((row, index) => {
+        const rawNumber = row[phoneColumn];
+        if (rawNumber === undefined || String(rawNumber).trim() === '') {
+            return;
+        }
+
+        const fields = {};
+        headers.forEach((header, column) => {
+            const cell = row[column];
+            fields[header] = cell === undefined || cell === null ? '' : String(cell).trim();
+        });
+
+        // Row indexes start at 1 when a header was found so the formatter's header check is skipped
+        const formatted = formatPhoneNumber(String(rawNumber).trim(), hasHeaderRow ? index + 1 : index, fields);
+        if (!formatted.number) {
+            rejected.push({ value: String(rawNumber).trim(), fields, reason: formatted.error });
+            return;
+        }
+        recipients.push({ number: formatted.number, fields });
+    });
+
+    return { headers: hasHeaderRow ? headers : [], recipients, rejected };
+}
+
+// Read the first sheet of an uploaded spreadsheet into recipients
+function readRecipientSheet(filePath, formatPhoneNumber) {
+    const workbook = xlsx.readFile(filePath);
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+    return parseRecipientRows(rows, formatPhoneNumber);
+}
+
+// Fill the message's placeholders from one recipient's fields
+function renderMessage(template, fields) {
+    if (!template || template.indexOf('{{') === -1) {
+        return template;
+    }
+    const values = fields || {};
+    return template.replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+        const value = values[normalizeFieldName(name)];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return String(value);
+        }
+        return fallback !== undefined ? fallback.trim() : '';
+    });
+}
+
+// Resolve spintax, innermost groups first. {{placeholders}} are set aside while
+// spinning so their "|" fallbacks are not mistaken for options.
+function spinMessage(template, random = Math.random) {
+    if (!template || template.indexOf('{') === -1) {
+        return template;
+    }
+
+    const placeholders = [];
+    let text = template.replace(PLACEHOLDER_PATTERN, (match) => {
+        placeholders.push(match);
+        return `\uE000${placeholders.length - 1}\uE001`;
+    });
+
+    let match;
+    while ((match = SPINTAX_PATTERN.exec(text)) !== null) {
+        const options = match[1].split('|');
+        const choice = options[Math.floor(random() * options.length)];
+        text = text.slice(0, match.index) + choice + text.slice(match.index + match[0].length);
+    }
+
+    return text.replace(PLACEHOLDER_MARKER, (marker, index) => placeholders[index]);
+}
+
+// Variants rotate in recipient order, so a resumed campaign keeps the same assignment
+function pickVariant(variants, recipientIndex) {
+    const index = recipientIndex % variants.length;
+    return { index, template: variants[index] };
+}
+
+// Build one recipient's message: spin the template, then fill its placeholders
+function composeMessage(template, fields) {
+    return renderMessage(spinMessage(template), fields);
+}
+
+// Validate the variants posted with a campaign (a JSON array of message strings)
+function parseMessageVariants(value) {
+    const variants = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(variants)) {
+        throw new Error('Message variants must be a list of messages');
+    }
+    const cleaned = variants
+        .map(variant => (typeof variant === 'string' ? variant.trim() : ''))
+        .filter(variant => variant.length > 0);
+    if (cleaned.length === 0) {
+        throw new Error('At least one non-empty message variant is required');
+    }
+    return cleaned;
+}
+
+// Placeholders in the message that no column fills and that have no fallback
+function findMissingFields(template, headers) {
+    const missing = new Set();
+    for (const match of (template || '').matchAll(PLACEHOLDER_PATTERN)) {
+        const name = normalizeFieldName(match[1]);
+        if (match[2] === undefined && !headers.includes(name)) {
+            missing.add(name);
+        }
+    }
+    return Array.from(missing);
+}
+
+// Every placeholder in the message, once - required unless it has a fallback
+function listPlaceholders(template) {
+    const placeholders = new Map();
+    for (const match of (template || '').matchAll(PLACEHOLDER_PATTERN)) {
+        const name = normalizeFieldName(match[1]);
+        const required = match[2] === undefined;
+        placeholders.set(name, { name, required: required || Boolean(placeholders.get(name) && placeholders.get(name).required) });
+    }
+    return Array.from(placeholders.values());
+}
+
+module.exports = {
+    parseRecipientRows,
+    readRecipientSheet,
+    renderMessage,
+    spinMessage,
+    pickVariant,
+    composeMessage,
+    parseMessageVariants,
+    findMissingFields,
+    listPlaceholders,
+    normalizeFieldName
+};
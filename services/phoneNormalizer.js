@@ -0,0 +1,197 @@
+// International phone number normalization - turns whatever was typed or uploaded
+// into the digits WhatsApp expects (country calling code + national number).
+//
+//   +44 7911 123456, 0044 7911 123456   -> 447911123456 (E.164, any country)
+//   07911 123456 with country GB        -> 447911123456 (trunk prefix 0 dropped)
+//   9876543210 with the default country -> 919876543210
+//
+// Numbers without an international prefix use the row's country (a "country" column
+// holding an ISO code like GB or a calling code like 44) or DEFAULT_COUNTRY.
+// Countries not listed below are still accepted in international format.
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'IN').toUpperCase();
+const COUNTRY_FIELD_NAMES = ['country', 'country_code', 'countrycode', 'dial_code'];
+
+// National number lengths (without the trunk prefix) and trunk prefix per country
+const COUNTRIES = {
+    IN: { callingCode: '91', minLength: 10, maxLength: 10, trunkPrefix: '0' },
+    US: { callingCode: '1', minLength: 10, maxLength: 10, trunkPrefix: '1' },
+    CA: { callingCode: '1', minLength: 10, maxLength: 10, trunkPrefix: '1' },
+    GB: { callingCode: '44', minLength: 9, maxLength: 10, trunkPrefix: '0' },
+    AE: { callingCode: '971', minLength: 8, maxLength: 9, trunkPrefix: '0' },
+    SA: { callingCode: '966', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+    QA: { callingCode: '974', minLength: 8, maxLength: 8, trunkPrefix: null },
+    KW: { callingCode: '965', minLength: 8, maxLength: 8, trunkPrefix: null },
+    OM: { callingCode: '968', minLength: 8, maxLength: 8, trunkPrefix: null },
+    BH: { callingCode: '973', minLength: 8, maxLength: 8, trunkPrefix: null },
+    PK: { callingCode: '92', minLength: 10, maxLength: 10, trunkPrefix: '0' },
+    BD: { callingCode: '880', minLength: 10, maxLength: 10, trunkPrefix: '0' },
+    NP: { callingCode: '977', minLength: 8, maxLength: 10, trunkPrefix: '0' },
+    LK: { callingCode: '94', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+    SG: { callingCode: '65', minLength: 8, maxLength: 8, trunkPrefix: null },
+    MY: { callingCode: '60', minLength: 9, maxLength: 10, trunkPrefix: '0' },
+    ID: { callingCode: '62', minLength: 9, maxLength: 12, trunkPrefix: '0' },
+    PH: { callingCode: '63', minLength: 10, maxLength: 10, trunkPrefix: '0' },
+    TH: { callingCode: '66', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+    CN: { callingCode: '86', minLength: 10, maxLength: 11, trunkPrefix: '0' },
+    JP: { callingCode: '81', minLength: 9, maxLength: 10, trunkPrefix: '0' },
+    KR: { callingCode: '82', minLength: 9, maxLength: 10, trunkPrefix: '0' },
+    AU: { callingCode: '61', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+    DE: { callingCode: '49', minLength: 7, maxLength: 11, trunkPrefix: '0' },
+    FR: { callingCode: '33', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+    ES: { callingCode: '34', minLength: 9, maxLength: 9, trunkPrefix: null },
+    IT: { callingCode: '39', minLength: 6, maxLength: 11, trunkPrefix: null },
+    NL: { callingCode: '31', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+    TR: { callingCode: '90', minLength: 10, maxLength: 10, trunkPrefix: '0' },
+    RU: { callingCode: '7', minLength: 10, maxLength: 10, trunkPrefix: '8' },
+    BR: { callingCode: '55', minLength: 10, maxLength: 11, trunkPrefix: '0' },
+    MX: { callingCode: '52', minLength: 10, maxLength: 10, trunkPrefix: null },
+    NG: { callingCode: '234', minLength: 10, maxLength: 10, trunkPrefix: '0' },
+    KE: { callingCode: '254', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+    ZA: { callingCode: '27', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+    EG: { callingCode: '20', minLength: 10, maxLength: 10, trunkPrefix: '0' }
+};
+
+// E.164 allows at most 15 digits including the calling code
+const MIN_INTERNATIONAL_LENGTH = 8;
+const MAX_INTERNATIONAL_LENGTH = 15;
+
+// Calling code -> countries sharing it (e.g. 1 -> US, CA)
+const COUNTRIES_BY_CALLING_CODE = {};
+for (const [country, rules] of Object.entries(COUNTRIES)) {
+    (COUNTRIES_BY_CALLING_CODE[rules.callingCode] = COUNTRIES_BY_CALLING_CODE[rules.callingCode] || []).push(country);
+}
+
+// Accept an ISO code (GB, gb) or a calling code (44, +44) and return the ISO code
+function resolveCountry(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim().toUpperCase();
+    if (!text) {
+        return null;
+    }
+    if (COUNTRIES[text]) {
+        return text;
+    }
+    const callingCode = text.replace(/^\+|^00/, '');
+    if (/^\d{1,3}$/.test(callingCode) && COUNTRIES_BY_CALLING_CODE[callingCode]) {
+        return COUNTRIES_BY_CALLING_CODE[callingCode][0];
+    }
+    return null;
+}
+
+// The country named by a recipient row's country column, if it has one
+function getRowCountry(fields) {
+    if (!fields) {
+        return null;
+    }
+    for (const name of COUNTRY_FIELD_NAMES) {
+        if (fields[name]) {
+            return fields[name];
+        }
+    }
+    return null;
+}
+
+function fitsCountry(nationalNumber, rules) {
+    return nationalNumber.length >= rules.minLength && nationalNumber.length <= rules.maxLength;
+}
+
+function describeLength(rules) {
+    return rules.minLength === rules.maxLength ? `${rules.minLength}` : `${rules.minLength}-${rules.maxLength}`;
+}
+
+// Split a full international number into its country and national number
+function parseInternational(digits) {
+    for (let length = 3; length >= 1; length--) {
+        const countries = COUNTRIES_BY_CALLING_CODE[digits.slice(0, length)];
+        if (!countries) {
+            continue;
+        }
+        let nationalNumber = digits.slice(length);
+        const rules = COUNTRIES[countries[0]];
+        // "+44 (0)20..." style numbers repeat the trunk prefix after the calling code
+        if (!fitsCountry(nationalNumber, rules) && rules.trunkPrefix && nationalNumber.startsWith(rules.trunkPrefix) &&
+            fitsCountry(nationalNumber.slice(rules.trunkPrefix.length), rules)) {
+            nationalNumber = nationalNumber.slice(rules.trunkPrefix.length);
+        }
+        return { country: countries[0], rules, nationalNumber };
+    }
+    return null;
+}
+
+function success(number, country) {
+    return { number, country, e164: `+${number}`, error: null };
+}
+
+function failure(error) {
+    return { number: null, country: null, e164: null, error };
+}
+
+// Normalize one phone number. Returns { number, country, e164, error } where number is
+// the digits WhatsApp expects, or null with the reason in `error`.
+function normalizePhoneNumber(input, options = {}) {
+    const raw = String(input === undefined || input === null ? '' : input).trim();
+    if (!raw) {
+        return failure('Phone number is empty');
+    }
+
+    const compact = raw.replace(/[\s\-.()/]/g, '');
+    if (!/^(\+|00)?\d+$/.test(compact)) {
+        return failure(`"${raw}" contains characters that are not part of a phone number`);
+    }
+
+    const country = resolveCountry(options.country || DEFAULT_COUNTRY);
+    if (!country) {
+        return failure(options.country ? `Unknown country "${options.country}"` : `Unknown DEFAULT_COUNTRY "${DEFAULT_COUNTRY}"`);
+    }
+
+    // International format: +<calling code> or 00<calling code>
+    if (/^(\+|00)/.test(compact)) {
+        const digits = compact.replace(/^(\+|00)/, '');
+        if (digits.length < MIN_INTERNATIONAL_LENGTH || digits.length > MAX_INTERNATIONAL_LENGTH) {
+            return failure(`International numbers have ${MIN_INTERNATIONAL_LENGTH}-${MAX_INTERNATIONAL_LENGTH} digits, got ${digits.length}`);
+        }
+        const parsed = parseInternational(digits);
+        if (!parsed) {
+            // A calling code we have no rules for - trust the E.164 length check
+            return success(digits, null);
+        }
+        if (!fitsCountry(parsed.nationalNumber, parsed.rules)) {
+            return failure(`${parsed.country} numbers have ${describeLength(parsed.rules)} digits after +${parsed.rules.callingCode}, got ${parsed.nationalNumber.length}`);
+        }
+        return success(parsed.rules.callingCode + parsed.nationalNumber, parsed.country);
+    }
+
+    const digits = compact;
+    const rules = COUNTRIES[country];
+
+    // Already includes the country's calling code (e.g. 919876543210 for IN)
+    if (digits.startsWith(rules.callingCode) && fitsCountry(digits.slice(rules.callingCode.length), rules)) {
+        return success(digits, country);
+    }
+
+    // National format, possibly with the trunk prefix (e.g. 09876543210 for IN)
+    let nationalNumber = digits;
+    if (rules.trunkPrefix && nationalNumber.startsWith(rules.trunkPrefix) && !fitsCountry(nationalNumber, rules)) {
+        nationalNumber = nationalNumber.slice(rules.trunkPrefix.length);
+    }
+    if (fitsCountry(nationalNumber, rules)) {
+        return success(rules.callingCode + nationalNumber, country);
+    }
+
+    // A full international number for another country written without the + sign
+    const parsed = digits.length >= MIN_INTERNATIONAL_LENGTH + 2 ? parseInternational(digits) : null;
+    if (parsed && fitsCountry(parsed.nationalNumber, parsed.rules)) {
+        return success(parsed.rules.callingCode + parsed.nationalNumber, parsed.country);
+    }
+
+    const trunkNote = rules.trunkPrefix ? ` without the leading ${rules.trunkPrefix}` : '';
+    return failure(`${country} numbers have ${describeLength(rules)} digits${trunkNote}, got ${nationalNumber.length}`);
+}
+
+module.exports = {
+    DEFAULT_COUNTRY,
+    COUNTRIES,
+    resolveCountry,
+    getRowCountry,
+    normalizePhoneNumber
+};
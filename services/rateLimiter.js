@@ -0,0 +1,201 @@
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./storage');
+
+// Per-account sending quotas - explicit limits on top of the random human delays so
+// a number never sends more than WhatsApp tolerates. Every campaign message asks
+// check() first and waits for the returned time when a limit is reached.
+//
+//   maxPerHour / maxPerDay  - messages in the last 60 minutes / 24 hours
+//   burstLimit per burstWindowMinutes - short-term cap on messages sent close together
+//   warmupDays / warmupStartPerDay   - a newly linked account starts at warmupStartPerDay
+//                                      and ramps up evenly to maxPerDay over warmupDays
+//
+// Any limit set to null is off. The default client is tracked as "default"; its link
+// date is unknown, so it skips the warm-up.
+
+const SETTINGS_FILE = path.join(DATA_DIR, 'rate-limits.json');
+const SEND_LOG_FILE = path.join(DATA_DIR, 'send-log.json');
+const DEFAULT_ACCOUNT = 'default';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const POLICY_FIELDS = ['maxPerHour', 'maxPerDay', 'burstLimit', 'burstWindowMinutes', 'warmupDays', 'warmupStartPerDay'];
+
+function envLimit(name, fallback) {
+    if (process.env[name] === undefined) {
+        return fallback;
+    }
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+const DEFAULT_POLICY = {
+    maxPerHour: envLimit('RATE_LIMIT_PER_HOUR', 30),
+    maxPerDay: envLimit('RATE_LIMIT_PER_DAY', 200),
+    burstLimit: envLimit('RATE_LIMIT_BURST', 5),
+    burstWindowMinutes: envLimit('RATE_LIMIT_BURST_WINDOW_MINUTES', 10),
+    warmupDays: envLimit('RATE_LIMIT_WARMUP_DAYS', 14),
+    warmupStartPerDay: envLimit('RATE_LIMIT_WARMUP_START', 20)
+};
+
+let settings = null; // { defaults: {...}, accounts: { accountId: {...} } } - overrides only
+let sendLog = null; // account -> [send timestamps in the last 24 hours]
+
+function loadSettings() {
+    if (!settings) {
+        settings = readJson(SETTINGS_FILE, { defaults: {}, accounts: {} });
+    }
+    return settings;
+}
+
+function loadSendLog() {
+    if (!sendLog) {
+        sendLog = readJson(SEND_LOG_FILE, {});
+    }
+    return sendLog;
+}
+
+function toKey(accountId) {
+    return accountId || DEFAULT_ACCOUNT;
+}
+
+function getPolicy(accountId = null) {
+    const stored = loadSettings();
+    return { ...DEFAULT_POLICY, ...stored.defaults, ...(stored.accounts[toKey(accountId)] || {}) };
+}
+
+// Validate policy changes from the API - whole numbers above zero, or null to turn a limit off
+function parsePolicy(changes) {
+    const policy = {};
+    for (const [field, value] of Object.entries(changes || {})) {
+        if (!POLICY_FIELDS.includes(field)) {
+            throw new Error(`Unknown rate limit "${field}" (expected ${POLICY_FIELDS.join(', ')})`);
+        }
+        if (value === null) {
+            policy[field] = null;
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error(`${field} must be a whole number above zero, or null to turn it off`);
+        }
+        policy[field] = number;
+    }
+    return policy;
+}
+
+// Change the defaults (accountId null) or one account's overrides
+function updatePolicy(accountId, changes) {
+    const policy = parsePolicy(changes);
+    const stored = loadSettings();
+    if (accountId) {
+        stored.accounts[toKey(accountId)] = { ...(stored.accounts[toKey(accountId)] || {}), ...policy };
+    } else {
+        stored.defaults = { ...stored.defaults, ...policy };
+    }
+    writeJson(SETTINGS_FILE, stored);
+    return getPolicy(accountId);
+}
+
+// Drop an account's overrides so it follows the defaults again
+function resetPolicy(accountId) {
+    const stored = loadSettings();
+    delete stored.accounts[toKey(accountId)];
+    writeJson(SETTINGS_FILE, stored);
+    return getPolicy(accountId);
+}
+
+// Send times of the last 24 hours (older ones are dropped as they expire)
+function getSends(accountId) {
+    const log = loadSendLog();
+    const key = toKey(accountId);
+    const cutoff = Date.now() - DAY_MS;
+    log[key] = (log[key] || []).filter(timestamp => new Date(timestamp).getTime() > cutoff);
+    return log[key];
+}
+
+function recordSend(accountId) {
+    getSends(accountId).push(new Date());
+    writeJson(SEND_LOG_FILE, sendLog);
+}
+
+// The daily limit for today - lower while a newly linked account warms up
+function getDailyLimit(policy, linkedAt) {
+    if (!policy.maxPerDay || !policy.warmupDays || !policy.warmupStartPerDay || !linkedAt) {
+        return policy.maxPerDay;
+    }
+    const age = Math.floor((Date.now() - new Date(linkedAt).getTime()) / DAY_MS);
+    if (age >= policy.warmupDays) {
+        return policy.maxPerDay;
+    }
+    const limit = Math.round(policy.warmupStartPerDay + (policy.maxPerDay - policy.warmupStartPerDay) * age / policy.warmupDays);
+    return Math.min(limit, policy.maxPerDay);
+}
+
+// How long until the oldest of the last `limit` sends falls out of the window
+function msUntilFree(sends, limit, windowMs) {
+    const oldest = new Date(sends[sends.length - limit]).getTime();
+    return Math.max(1000, oldest + windowMs - Date.now());
+}
+
+// Remaining quota for an account and, when a limit is reached, how long to wait.
+// `linkedAt` is when the account was linked, for the warm-up.
+function check(accountId = null, linkedAt = null) {
+    const policy = getPolicy(accountId);
+    const now = Date.now();
+    const sends = getSends(accountId).map(timestamp => new Date(timestamp).getTime());
+    const dailyLimit = getDailyLimit(policy, linkedAt);
+    const warmingUp = Boolean(policy.maxPerDay && dailyLimit < policy.maxPerDay);
+
+    const windows = [
+        {
+            name: 'burst',
+            limit: policy.burstWindowMinutes ? policy.burstLimit : null,
+            windowMs: (policy.burstWindowMinutes || 0) * 60 * 1000,
+            label: `burst limit of ${policy.burstLimit} per ${policy.burstWindowMinutes} minutes`
+        },
+        { name: 'hour', limit: policy.maxPerHour, windowMs: HOUR_MS, label: `limit of ${policy.maxPerHour} per hour` },
+        { name: 'day', limit: dailyLimit, windowMs: DAY_MS, label: `${warmingUp ? 'warm-up ' : ''}limit of ${dailyLimit} per day` }
+    ];
+
+    const remaining = {};
+    let waitMs = 0;
+    let reason = null;
+    for (const window of windows) {
+        if (!window.limit) {
+            remaining[window.name] = null;
+            continue;
+        }
+        const inWindow = sends.filter(timestamp => timestamp > now - window.windowMs);
+        remaining[window.name] = Math.max(0, window.limit - inWindow.length);
+        if (inWindow.length >= window.limit) {
+            const wait = msUntilFree(inWindow, window.limit, window.windowMs);
+            if (wait > waitMs) {
+                waitMs = wait;
+                reason = `${window.label} reached`;
+            }
+        }
+    }
+
+    return {
+        accountId: toKey(accountId),
+        allowed: waitMs === 0,
+        waitMs: waitMs,
+        reason: reason,
+        remaining: remaining,
+        limits: { ...policy, dailyLimit: dailyLimit },
+        warmingUp: warmingUp,
+        sentLastHour: sends.filter(timestamp => timestamp > now - HOUR_MS).length,
+        sentLastDay: sends.length
+    };
+}
+
+module.exports = {
+    DEFAULT_ACCOUNT,
+    POLICY_FIELDS,
+    getPolicy,
+    updatePolicy,
+    resetPolicy,
+    recordSend,
+    check
+};
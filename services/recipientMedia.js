@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const unzipper = require('unzipper');
+const { DATA_DIR, ensureDir } = require('./storage');
+const attachments = require('./attachments');
+
+// Per-recipient media - a spreadsheet column names the file each recipient gets
+// (a personalized invoice, a ticket), taken from a ZIP uploaded with the campaign or
+// from the media library folder on the server.
+//
+//   | phone        | name | media                 |
+//   | 919835126411 | Asha | invoices/A-1042.pdf   |   <- path inside the ZIP
+//   | 919876543210 | Ravi | A-1043.pdf            |   <- file name, if it is unique in the ZIP
+//
+// Every row is matched before the campaign is created, so a missing file is reported
+// as a validation error instead of failing that recipient's send. Rows with an empty
+// cell just get no personal file.
+
+const MEDIA_LIBRARY_DIR = path.resolve(process.env.MEDIA_LIBRARY_DIR || path.join(DATA_DIR, 'media-library'));
+const MEDIA_COLUMN_NAMES = ['media', 'media_file', 'attachment', 'file', 'filename'];
+const MAX_ARCHIVE_FILES = 5000;
+const MAX_ARCHIVE_BYTES = 1024 * 1024 * 1024; // unpacked size, 1GB
+
+// Same header normalization as the personalization placeholders
+function normalizeColumnName(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// The column holding file names - the requested one, else a well-known header name
+function findMediaColumn(headers, requested = null) {
+    if (requested) {
+        const column = normalizeColumnName(requested);
+        if (!headers.includes(column)) {
+            throw new Error(`Media column "${requested}" is not in the spreadsheet`);
+        }
+        return column;
+    }
+    return MEDIA_COLUMN_NAMES.find(name => headers.includes(name)) || null;
+}
+
+// Paths inside a ZIP are compared case-insensitively with forward slashes
+function toArchiveKey(name) {
+    return String(name).trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '').toLowerCase();
+}
+
+function writeEntry(entry, targetPath) {
+    return new Promise((resolve, reject) => {
+        entry.stream()
+            .on('error', reject)
+            .pipe(fs.createWriteStream(targetPath))
+            .on('error', reject)
+            .on('finish', resolve);
+    });
+}
+
+// Unpack the supported files of a ZIP into `targetDir`. Returns an index of every file
+// in the archive: { byPath: key -> file, byName: file name key -> [files] }
+async function extractArchive(zipPath, targetDir) {
+    const directory = await unzipper.Open.file(zipPath);
+    const entries = directory.files.filter(entry => entry.type === 'File' &&
+        !entry.path.startsWith('__MACOSX/') && !path.posix.basename(entry.path).startsWith('.'));
+
+    if (entries.length > MAX_ARCHIVE_FILES) {
+        throw new Error(`The ZIP holds ${entries.length} files, at most ${MAX_ARCHIVE_FILES} are allowed`);
+    }
+    const unpackedSize = entries.reduce((total, entry) => total + (entry.uncompressedSize || 0), 0);
+    if (unpackedSize > MAX_ARCHIVE_BYTES) {
+        throw new Error(`The ZIP unpacks to ${Math.round(unpackedSize / 1024 / 1024)}MB, at most ${MAX_ARCHIVE_BYTES / 1024 / 1024}MB are allowed`);
+    }
+
+    ensureDir(targetDir);
+    const archive = { byPath: new Map(), byName: new Map() };
+    for (const [index, entry] of entries.entries()) {
+        const filename = path.posix.basename(entry.path.replace(/\\/g, '/'));
+        const file = { archivePath: entry.path, filename: filename, path: null, mimetype: null };
+        if (attachments.isAllowed(filename)) {
+            file.path = path.join(targetDir, `${index + 1}_${filename.replace(/[^a-zA-Z0-9._-]/g, '_')}`);
+            file.mimetype = attachments.getMimeType(filename);
+            await writeEntry(entry, file.path);
+        }
+
+        archive.byPath.set(toArchiveKey(entry.path), file);
+        const nameKey = filename.toLowerCase();
+        archive.byName.set(nameKey, [...(archive.byName.get(nameKey) || []), file]);
+    }
+    return archive;
+}
+
+// Find the file one cell names. Returns { file } or { error }
+function resolveFile(value, archive) {
+    if (archive) {
+        const key = toArchiveKey(value);
+        let file = archive.byPath.get(key);
+        if (!file && !key.includes('/')) {
+            const matches = archive.byName.get(key) || [];
+            if (matches.length > 1) {
+                return { error: `${matches.length} files in the ZIP are called ${value} - use the folder path` };
+            }
+            file = matches[0];
+        }
+        if (file) {
+            return file.path
+                ? { file: { path: file.path, filename: file.filename, mimetype: file.mimetype } }
+                : { error: `${file.filename} is not a supported attachment type` };
+        }
+    }
+
+    // Media library files are named by their path inside the library folder
+    const libraryPath = path.resolve(MEDIA_LIBRARY_DIR, String(value).trim());
+    if (!libraryPath.startsWith(MEDIA_LIBRARY_DIR + path.sep)) {
+        return { error: 'Path points outside the media library' };
+    }
+    if (!fs.existsSync(libraryPath) || !fs.statSync(libraryPath).isFile()) {
+        return { error: archive ? 'Not found in the ZIP or the media library' : 'Not found in the media library' };
+    }
+    const filename = path.basename(libraryPath);
+    if (!attachments.isAllowed(filename)) {
+        return { error: `${filename} is not a supported attachment type` };
+    }
+    return { file: { path: libraryPath, filename: filename, mimetype: attachments.getMimeType(filename) } };
+}
+
+// Match every recipient to its file. `recipientFields` are the spreadsheet rows of
+// `phoneNumbers`; `archivePath` is an uploaded ZIP (optional), unpacked into `extractDir`.
+// Returns { column, media: [file or null per recipient], missing: [{ number, file, error }] }
+async function matchRecipients({ phoneNumbers, recipientFields, column = null, archivePath = null, extractDir = null }) {
+    const headers = recipientFields && recipientFields.length > 0 ? Object.keys(recipientFields[0]) : [];
+    const mediaColumn = findMediaColumn(headers, column);
+    if (!mediaColumn) {
+        if (archivePath) {
+            throw new Error(`A ZIP of media needs a spreadsheet column naming each recipient's file (${MEDIA_COLUMN_NAMES.join(', ')} or mediaColumn)`);
+        }
+        return { column: null, media: null, missing: [] };
+    }
+
+    const archive = archivePath ? await extractArchive(archivePath, extractDir) : null;
+    const media = [];
+    const missing = [];
+    recipientFields.forEach((fields, index) => {
+        const value = fields[mediaColumn];
+        if (!value) {
+            media.push(null);
+            return;
+        }
+        const resolved = resolveFile(value, archive);
+        if (resolved.error) {
+            missing.push({ number: phoneNumbers[index], file: value, error: resolved.error });
+        }
+        media.push(resolved.file || null);
+    });
+    return { column: mediaColumn, media, missing };
+}
+
+module.exports = {
+    MEDIA_LIBRARY_DIR,
+    MEDIA_COLUMN_NAMES,
+    findMediaColumn,
+    matchRecipients
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./storage');
+
+// Campaign reply inbox - messages from campaign recipients, linked to the campaign
+// and recipient that last messaged them, plus the operator's answers, so the
+// conversations can be read and answered from the dashboard.
+
+const REPLIES_FILE = path.join(DATA_DIR, 'replies.json');
+
+let replies = null; // campaignId -> [{ id, number, recipientIndex, direction, body, ... }] oldest first
+const recipientIndex = new Map(); // number@c.us -> { campaignId, index } of the latest campaign message
+
+function load() {
+    if (!replies) {
+        replies = readJson(REPLIES_FILE, {});
+    }
+    return replies;
+}
+
+function flush() {
+    writeJson(REPLIES_FILE, replies);
+}
+
+function trackRecipient(number, campaignId, index) {
+    if (number && campaignId) {
+        recipientIndex.set(number, { campaignId, index });
+    }
+}
+
+// The campaign that last messaged this number, or null if none did
+function lookupRecipient(number) {
+    return recipientIndex.get(number) || null;
+}
+
+// Re-register the recipients of stored campaigns after a restart (oldest first,
+// so the latest campaign wins for numbers messaged more than once)
+function rebuildIndex(records) {
+    const sorted = [...records].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    for (const record of sorted) {
+        (record.recipients || []).forEach((recipient, index) => {
+            if (recipient.status === 'sent') {
+                trackRecipient(recipient.number, record.campaignId, index);
+            }
+        });
+    }
+}
+
+// Store one message of a conversation - `direction` is incoming (from the recipient)
+// or outgoing (an operator's answer). Incoming messages start unread.
+function add(campaignId, { number, recipientIndex: index, direction, body, type = 'chat', hasMedia = false, messageId = null, accountId = null, timestamp = new Date() }) {
+    const all = load();
+    if (!all[campaignId]) {
+        all[campaignId] = [];
+    }
+    const entry = {
+        id: `reply_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        campaignId: campaignId,
+        number: number,
+        recipientIndex: index,
+        direction: direction,
+        body: body || '',
+        type: type,
+        hasMedia: hasMedia,
+        messageId: messageId,
+        accountId: accountId,
+        timestamp: timestamp,
+        read: direction !== 'incoming'
+    };
+    all[campaignId].push(entry);
+    flush();
+    return entry;
+}
+
+function list(campaignId, number = null) {
+    return (load()[campaignId] || []).filter(entry => !number || entry.number === number);
+}
+
+// One row per recipient who replied, most recent conversation first
+function listConversations(campaignId) {
+    const conversations = new Map();
+    for (const entry of list(campaignId)) {
+        const conversation = conversations.get(entry.number) || { number: entry.number, recipientIndex: entry.recipientIndex, messages: 0, unread: 0 };
+        conversation.messages++;
+        if (!entry.read) {
+            conversation.unread++;
+        }
+        conversation.lastMessage = entry.body;
+        conversation.lastDirection = entry.direction;
+        conversation.lastAt = entry.timestamp;
+        conversations.set(entry.number, conversation);
+    }
+    return Array.from(conversations.values()).sort((a, b) => new Date(b.lastAt) - new Date(a.lastAt));
+}
+
+function countUnread(campaignId) {
+    return list(campaignId).filter(entry => !entry.read).length;
+}
+
+// Mark a conversation (or every conversation of the campaign) as read
+function markRead(campaignId, number = null) {
+    let marked = 0;
+    for (const entry of list(campaignId, number)) {
+        if (!entry.read) {
+            entry.read = true;
+            marked++;
+        }
+    }
+    if (marked > 0) {
+        flush();
+    }
+    return marked;
+}
+
+module.exports = {
+    trackRecipient,
+    lookupRecipient,
+    rebuildIndex,
+    add,
+    list,
+    listConversations,
+    countUnread,
+    markRead
+};
@@ -0,0 +1,187 @@
+// Campaign scheduling - future start times and recurring sending windows.
+//
+// A sending window looks like:
+//   { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5, 6], timezone: 'recipient' }
+// days use 0 = Sunday ... 6 = Saturday; an end before the start spans midnight.
+// timezone is an IANA name (e.g. 'Asia/Kolkata') or 'recipient', which derives the
+// zone from the number's country calling code. Countries spanning several zones
+// use their most populous one; unknown codes fall back to DEFAULT_TIMEZONE.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const MAX_WINDOW_SEARCH_MINUTES = 8 * 24 * 60; // a valid window always opens within a week
+
+const CALLING_CODE_TIMEZONES = {
+    '1': 'America/New_York',
+    '7': 'Europe/Moscow',
+    '20': 'Africa/Cairo',
+    '27': 'Africa/Johannesburg',
+    '30': 'Europe/Athens',
+    '31': 'Europe/Amsterdam',
+    '32': 'Europe/Brussels',
+    '33': 'Europe/Paris',
+    '34': 'Europe/Madrid',
+    '39': 'Europe/Rome',
+    '41': 'Europe/Zurich',
+    '44': 'Europe/London',
+    '49': 'Europe/Berlin',
+    '52': 'America/Mexico_City',
+    '55': 'America/Sao_Paulo',
+    '60': 'Asia/Kuala_Lumpur',
+    '61': 'Australia/Sydney',
+    '62': 'Asia/Jakarta',
+    '63': 'Asia/Manila',
+    '65': 'Asia/Singapore',
+    '66': 'Asia/Bangkok',
+    '81': 'Asia/Tokyo',
+    '82': 'Asia/Seoul',
+    '86': 'Asia/Shanghai',
+    '90': 'Europe/Istanbul',
+    '91': 'Asia/Kolkata',
+    '92': 'Asia/Karachi',
+    '94': 'Asia/Colombo',
+    '234': 'Africa/Lagos',
+    '254': 'Africa/Nairobi',
+    '880': 'Asia/Dhaka',
+    '966': 'Asia/Riyadh',
+    '971': 'Asia/Dubai',
+    '974': 'Asia/Qatar',
+    '977': 'Asia/Kathmandu'
+};
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function parseTimeOfDay(value, label) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`${label} must be a time like 09:00`);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function toMinutes(timeOfDay) {
+    const [hours, minutes] = timeOfDay.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Validate a start time from the upload form or the campaigns API
+function parseScheduledAt(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error('Scheduled start must be a valid date/time');
+    }
+    return date;
+}
+
+// Validate a sending window (object or JSON string) and fill in defaults
+function parseSendingWindow(value) {
+    const input = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!input || typeof input !== 'object') {
+        throw new Error('Sending window must be an object');
+    }
+
+    const start = parseTimeOfDay(input.start, 'Window start');
+    const end = parseTimeOfDay(input.end, 'Window end');
+    if (start === end) {
+        throw new Error('Window start and end must differ');
+    }
+
+    const days = input.days === undefined ? ALL_DAYS : Array.from(new Set(input.days.map(Number))).sort();
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new Error('Window days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    const timezone = input.timezone || 'recipient';
+    if (timezone !== 'recipient' && !isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    return { start, end, days, timezone };
+}
+
+// Resolve the timezone a window is evaluated in for one recipient
+function getRecipientTimezone(sendingWindow, phoneNumber) {
+    if (sendingWindow.timezone !== 'recipient') {
+        return sendingWindow.timezone;
+    }
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    for (let length = 3; length >= 1; length--) {
+        const timezone = CALLING_CODE_TIMEZONES[digits.slice(0, length)];
+        if (timezone) {
+            return timezone;
+        }
+    }
+    return DEFAULT_TIMEZONE;
+}
+
+function getLocalTime(date, timezone) {
+    const parts = {};
+    for (const part of getFormatter(timezone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return {
+        day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+function isWithinWindow(sendingWindow, phoneNumber, date = new Date()) {
+    const local = getLocalTime(date, getRecipientTimezone(sendingWindow, phoneNumber));
+    const start = toMinutes(sendingWindow.start);
+    const end = toMinutes(sendingWindow.end);
+
+    if (start < end) {
+        return sendingWindow.days.includes(local.day) && local.minutes >= start && local.minutes < end;
+    }
+    // Overnight window - the early-morning part belongs to the previous day's window
+    if (local.minutes >= start) {
+        return sendingWindow.days.includes(local.day);
+    }
+    return local.minutes < end && sendingWindow.days.includes((local.day + 6) % 7);
+}
+
+// Milliseconds until the window next opens for this recipient (0 when it is open now)
+function msUntilWindowOpens(sendingWindow, phoneNumber, now = new Date()) {
+    if (isWithinWindow(sendingWindow, phoneNumber, now)) {
+        return 0;
+    }
+    const firstMinute = Math.ceil(now.getTime() / 60000) * 60000;
+    for (let minute = 0; minute < MAX_WINDOW_SEARCH_MINUTES; minute++) {
+        const candidate = new Date(firstMinute + minute * 60000);
+        if (isWithinWindow(sendingWindow, phoneNumber, candidate)) {
+            return candidate.getTime() - now.getTime();
+        }
+    }
+    throw new Error('Sending window never opens');
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    parseScheduledAt,
+    parseSendingWindow,
+    getRecipientTimezone,
+    isWithinWindow,
+    msUntilWindowOpens
+};
@@ -0,0 +1,186 @@
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./storage');
+
+// Sender pools - spread one campaign's recipients across several linked accounts
+// with round-robin or weighted distribution and a per-account daily cap.
+// Pool state lives on the campaign state (and is persisted with it); the daily
+// send counters are shared by every campaign and persisted separately.
+
+const DAILY_SENDS_FILE = path.join(DATA_DIR, 'daily-sends.json');
+const UNAVAILABLE_RETRY_MS = 10 * 60 * 1000; // retry a failed account after 10 minutes
+const STRATEGIES = ['round_robin', 'weighted'];
+
+let dailySends = null; // accountId -> { date, count }
+
+function today() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function loadDailySends() {
+    if (!dailySends) {
+        dailySends = readJson(DAILY_SENDS_FILE, {});
+    }
+    return dailySends;
+}
+
+function getSentToday(accountId) {
+    const entry = loadDailySends()[accountId];
+    return entry && entry.date === today() ? entry.count : 0;
+}
+
+// Count a message against the account's daily total
+function recordDailySend(accountId) {
+    const date = today();
+    const entry = loadDailySends()[accountId];
+    dailySends[accountId] = {
+        date: date,
+        count: entry && entry.date === date ? entry.count + 1 : 1
+    };
+    writeJson(DAILY_SENDS_FILE, dailySends);
+}
+
+// Validate a pool definition from the upload form and build the initial pool state
+function createSenderPool(definition, accountExists) {
+    const accountIds = Array.from(new Set(definition.accountIds || []));
+    if (accountIds.length === 0) {
+        throw new Error('Sender pool needs at least one account');
+    }
+
+    const unknown = accountIds.filter(accountId => !accountExists(accountId));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown account(s) in sender pool: ${unknown.join(', ')}`);
+    }
+
+    const strategy = definition.strategy || 'round_robin';
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Sender pool strategy must be one of: ${STRATEGIES.join(', ')}`);
+    }
+
+    const dailyCap = definition.dailyCap ? parseInt(definition.dailyCap, 10) : null;
+    if (dailyCap !== null && (!Number.isInteger(dailyCap) || dailyCap < 1)) {
+        throw new Error('Sender pool daily cap must be a positive number');
+    }
+
+    const weights = {};
+    for (const accountId of accountIds) {
+        const weight = definition.weights ? parseInt(definition.weights[accountId], 10) : 1;
+        weights[accountId] = Number.isInteger(weight) && weight > 0 ? weight : 1;
+    }
+
+    const accountStats = {};
+    for (const accountId of accountIds) {
+        accountStats[accountId] = { sent: 0, failed: 0, unavailableSince: null, lastError: null };
+    }
+
+    return {
+        accountIds,
+        strategy,
+        weights,
+        dailyCap,
+        nextIndex: 0,
+        currentWeights: {},
+        accountStats
+    };
+}
+
+function isCapped(pool, accountId) {
+    return pool.dailyCap !== null && getSentToday(accountId) >= pool.dailyCap;
+}
+
+function isAvailable(pool, accountId) {
+    const stats = pool.accountStats[accountId];
+    if (stats.unavailableSince && Date.now() - new Date(stats.unavailableSince).getTime() < UNAVAILABLE_RETRY_MS) {
+        return false;
+    }
+    return !isCapped(pool, accountId);
+}
+
+// Pick the account for the next recipient, or null when every account is capped or down.
+// `canSend` can rule out more accounts, e.g. ones over their send quota.
+function pickSender(pool, canSend = () => true) {
+    const candidates = pool.accountIds.filter(accountId => isAvailable(pool, accountId) && canSend(accountId));
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    if (pool.strategy === 'weighted') {
+        // Smooth weighted round-robin: spreads heavier accounts evenly instead of in bursts
+        let totalWeight = 0;
+        let best = null;
+        for (const accountId of candidates) {
+            const weight = pool.weights[accountId];
+            pool.currentWeights[accountId] = (pool.currentWeights[accountId] || 0) + weight;
+            totalWeight += weight;
+            if (best === null || pool.currentWeights[accountId] > pool.currentWeights[best]) {
+                best = accountId;
+            }
+        }
+        pool.currentWeights[best] -= totalWeight;
+        return best;
+    }
+
+    // Round-robin over the pool order, skipping accounts that are unavailable
+    for (let offset = 0; offset < pool.accountIds.length; offset++) {
+        const index = (pool.nextIndex + offset) % pool.accountIds.length;
+        const accountId = pool.accountIds[index];
+        if (candidates.includes(accountId)) {
+            pool.nextIndex = (index + 1) % pool.accountIds.length;
+            return accountId;
+        }
+    }
+    return null;
+}
+
+// Take an account out of rotation after a connection failure; its recipients go to the others
+function markUnavailable(pool, accountId, reason) {
+    const stats = pool.accountStats[accountId];
+    if (stats) {
+        stats.unavailableSince = new Date();
+        stats.lastError = reason;
+    }
+}
+
+function recordResult(pool, accountId, status) {
+    const stats = pool.accountStats[accountId];
+    if (!stats) {
+        return;
+    }
+    if (status === 'sent') {
+        stats.sent++;
+        stats.unavailableSince = null;
+        recordDailySend(accountId);
+    } else {
+        stats.failed++;
+    }
+}
+
+// True when every account has hit its daily cap (as opposed to being temporarily down)
+function allCapped(pool) {
+    return pool.accountIds.every(accountId => isCapped(pool, accountId));
+}
+
+function getStats(pool) {
+    return pool.accountIds.map(accountId => ({
+        accountId,
+        sent: pool.accountStats[accountId].sent,
+        failed: pool.accountStats[accountId].failed,
+        sentToday: getSentToday(accountId),
+        dailyCap: pool.dailyCap,
+        weight: pool.weights[accountId],
+        available: isAvailable(pool, accountId),
+        lastError: pool.accountStats[accountId].lastError
+    }));
+}
+
+module.exports = {
+    STRATEGIES,
+    createSenderPool,
+    pickSender,
+    markUnavailable,
+    recordResult,
+    recordDailySend,
+    getSentToday,
+    allCapped,
+    getStats
+};
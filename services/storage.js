@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shared helpers for the JSON files kept under the data directory
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function ensureDir(dirPath = DATA_DIR) {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+    }
+}
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${filePath}, using defaults:`, error.message);
+        return fallback;
+    }
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated file
+function writeJson(filePath, data, options = {}) {
+    ensureDir(path.dirname(filePath));
+    const tempFile = filePath + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), options);
+    fs.renameSync(tempFile, filePath);
+}
+
+module.exports = {
+    DATA_DIR,
+    ensureDir,
+    readJson,
+    writeJson
+};
@@ -0,0 +1,136 @@
+const path = require('path');
+const xlsx = require('xlsx');
+const { DATA_DIR, readJson, writeJson } = require('./storage');
+const { FORMATS } = require('./campaignReport');
+
+// Global suppression list - numbers that must never be messaged again, whichever
+// campaign they turn up in. Every campaign is filtered against it before sending.
+//
+// Reasons: opt_out (replied STOP), do_not_contact (marked by hand), blocklist (imported)
+
+const SUPPRESSION_FILE = path.join(DATA_DIR, 'suppression.json');
+const REASONS = ['opt_out', 'do_not_contact', 'blocklist'];
+
+let entries = null; // number (digits only) -> { number, reason, note, source, addedAt }
+
+function load() {
+    if (!entries) {
+        entries = readJson(SUPPRESSION_FILE, {});
+    }
+    return entries;
+}
+
+function flush() {
+    writeJson(SUPPRESSION_FILE, entries);
+}
+
+// Entries are keyed by digits so 919876543210@c.us and +91 98765 43210 match
+function toKey(number) {
+    return String(number || '').replace('@c.us', '').replace(/\D/g, '');
+}
+
+function parseReason(value, fallback = 'do_not_contact') {
+    const reason = value ? String(value).trim().toLowerCase() : fallback;
+    if (!REASONS.includes(reason)) {
+        throw new Error(`Reason must be one of: ${REASONS.join(', ')}`);
+    }
+    return reason;
+}
+
+function setEntry(number, { reason, note = null, source = 'manual' }) {
+    const key = toKey(number);
+    const existing = load()[key];
+    entries[key] = {
+        number: key,
+        reason: reason,
+        note: note || null,
+        source: source,
+        addedAt: existing ? existing.addedAt : new Date()
+    };
+    return entries[key];
+}
+
+// Suppress one number (updating the reason if it is already listed)
+function add(number, options = {}) {
+    const entry = setEntry(number, { ...options, reason: parseReason(options.reason) });
+    flush();
+    return entry;
+}
+
+// Suppress many numbers in one write - `items` are { number, reason, note }. Numbers
+// already listed keep their entry, so an import never overwrites an opt-out.
+function addMany(items, { reason = 'blocklist', source = 'import' } = {}) {
+    // Check every reason first so a bad row does not leave the list half imported
+    const reasons = items.map(item => parseReason(item.reason, reason));
+    let added = 0;
+    let alreadyListed = 0;
+    items.forEach((item, index) => {
+        if (has(item.number)) {
+            alreadyListed++;
+            return;
+        }
+        setEntry(item.number, { reason: reasons[index], note: item.note, source: source });
+        added++;
+    });
+    flush();
+    return { added, alreadyListed };
+}
+
+function remove(number) {
+    const key = toKey(number);
+    if (!load()[key]) {
+        return false;
+    }
+    delete entries[key];
+    flush();
+    return true;
+}
+
+function get(number) {
+    return load()[toKey(number)] || null;
+}
+
+function has(number) {
+    return Boolean(get(number));
+}
+
+function list() {
+    return Object.values(load()).sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+}
+
+// Render the whole list as a file buffer (xlsx or csv) that can be imported again
+function renderExport(format = 'xlsx') {
+    const output = FORMATS[format];
+    if (!output) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const rows = list().map(entry => ({
+        phone: entry.number,
+        reason: entry.reason,
+        note: entry.note || '',
+        source: entry.source,
+        added_at: new Date(entry.addedAt).toISOString()
+    }));
+    const workbook = xlsx.utils.book_new();
+    const worksheet = rows.length > 0 ? xlsx.utils.json_to_sheet(rows) : xlsx.utils.aoa_to_sheet([['phone', 'reason', 'note', 'source', 'added_at']]);
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Suppression');
+
+    return {
+        buffer: xlsx.write(workbook, { type: 'buffer', bookType: output.bookType }),
+        contentType: output.contentType,
+        filename: `suppression_list.${format}`
+    };
+}
+
+module.exports = {
+    REASONS,
+    parseReason,
+    add,
+    addMany,
+    remove,
+    get,
+    has,
+    list,
+    renderExport
+};
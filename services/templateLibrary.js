@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, ensureDir, readJson, writeJson } = require('./storage');
+const personalization = require('./personalization');
+
+// Message template library - reusable campaign messages with their variables, default
+// attachments and tags. Every change saves a new version; older versions stay readable
+// and can be restored, and campaigns record the version they were created from.
+//
+// A template's variables are the {{placeholders}} in its body (required unless they
+// have a fallback) plus any extra columns declared with it, e.g. a media column.
+
+const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
+const TEMPLATE_MEDIA_DIR = path.join(DATA_DIR, 'template-media');
+const MAX_NAME_LENGTH = 100;
+const MAX_BODY_LENGTH = 4096;
+
+let templates = null; // id -> { id, createdAt, versions: [{ version, name, body, declaredVariables, tags, defaultMedia, createdAt }] }
+
+function load() {
+    if (!templates) {
+        templates = readJson(TEMPLATES_FILE, {});
+    }
+    return templates;
+}
+
+function flush() {
+    writeJson(TEMPLATES_FILE, templates);
+}
+
+// Lists arrive as JSON arrays or comma-separated text (multipart forms)
+function parseList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    let items = value;
+    if (typeof value === 'string') {
+        items = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    }
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+        throw new Error('Expected a list of names');
+    }
+    return items;
+}
+
+function getVariables(body, declaredVariables) {
+    const variables = personalization.listPlaceholders(body);
+    for (const name of declaredVariables) {
+        if (!variables.some(variable => variable.name === name)) {
+            variables.push({ name, required: true });
+        }
+    }
+    return variables;
+}
+
+// The shape returned by the API - one version of a template
+function toTemplate(record, entry) {
+    const latest = record.versions[record.versions.length - 1];
+    return {
+        id: record.id,
+        name: entry.name,
+        body: entry.body,
+        variables: getVariables(entry.body, entry.declaredVariables),
+        tags: entry.tags,
+        defaultMedia: entry.defaultMedia.map(media => ({ filename: media.filename, mimetype: media.mimetype, caption: media.caption })),
+        version: entry.version,
+        latestVersion: latest.version,
+        createdAt: record.createdAt,
+        updatedAt: latest.createdAt
+    };
+}
+
+// Validate the fields of a new version on top of the current one (`current` is null for a new template)
+function buildVersion(id, current, changes) {
+    const entry = {
+        version: current ? current.version + 1 : 1,
+        name: current ? current.name : '',
+        body: current ? current.body : '',
+        declaredVariables: current ? current.declaredVariables : [],
+        tags: current ? current.tags : [],
+        defaultMedia: current ? current.defaultMedia : [],
+        createdAt: new Date()
+    };
+
+    if (changes.name !== undefined) {
+        entry.name = String(changes.name).trim();
+    }
+    if (!entry.name || entry.name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Template name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+    const taken = Object.values(load()).some(record => record.id !== id &&
+        record.versions[record.versions.length - 1].name.toLowerCase() === entry.name.toLowerCase());
+    if (taken) {
+        throw new Error(`A template called "${entry.name}" already exists`);
+    }
+
+    if (changes.body !== undefined) {
+        entry.body = String(changes.body).trim();
+    }
+    if (!entry.body || entry.body.length > MAX_BODY_LENGTH) {
+        throw new Error(`Template body is required (at most ${MAX_BODY_LENGTH} characters)`);
+    }
+
+    if (changes.variables !== undefined) {
+        entry.declaredVariables = [...new Set(parseList(changes.variables).map(personalization.normalizeFieldName).filter(Boolean))];
+    }
+    if (changes.tags !== undefined) {
+        entry.tags = [...new Set(parseList(changes.tags).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+    return entry;
+}
+
+// Copy uploaded default attachments ({ path, filename, mimetype, caption }) next to the template
+function storeMedia(id, version, media) {
+    const targetDir = path.join(TEMPLATE_MEDIA_DIR, id);
+    ensureDir(targetDir);
+    return media.map((file, index) => {
+        const safeName = path.basename(file.filename).replace(/[^a-zA-Z0-9._-]/g, '_');
+        const targetPath = path.join(targetDir, `v${version}_${index + 1}_${safeName}`);
+        fs.copyFileSync(file.path, targetPath);
+        return { path: targetPath, filename: file.filename, mimetype: file.mimetype, caption: file.caption || null };
+    });
+}
+
+function list({ tag = null, search = null } = {}) {
+    const query = search ? search.trim().toLowerCase() : null;
+    return Object.values(load())
+        .map(record => toTemplate(record, record.versions[record.versions.length - 1]))
+        .filter(template => !tag || template.tags.includes(tag.trim().toLowerCase()))
+        .filter(template => !query || template.name.toLowerCase().includes(query) || template.body.toLowerCase().includes(query))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The stored latest version, or the given one
+function getEntry(id, version = null) {
+    const record = load()[id];
+    if (!record) {
+        return null;
+    }
+    return version
+        ? record.versions.find(candidate => candidate.version === Number(version)) || null
+        : record.versions[record.versions.length - 1];
+}
+
+// The latest version, or the given one; null when either does not exist
+function get(id, version = null) {
+    const entry = getEntry(id, version);
+    return entry ? toTemplate(load()[id], entry) : null;
+}
+
+// Default attachments of a template version with their stored paths, for sending
+function getDefaultMedia(id, version = null) {
+    const entry = getEntry(id, version);
+    return entry ? entry.defaultMedia.filter(media => fs.existsSync(media.path)) : [];
+}
+
+function listVersions(id) {
+    const record = load()[id];
+    return record ? record.versions.map(entry => toTemplate(record, entry)).reverse() : null;
+}
+
+// `media` are uploaded default attachments
+function create(fields, media = []) {
+    const id = `template_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const entry = buildVersion(id, null, fields);
+    entry.defaultMedia = storeMedia(id, entry.version, media);
+
+    const record = { id: id, createdAt: entry.createdAt, versions: [entry] };
+    load()[id] = record;
+    flush();
+    return toTemplate(record, entry);
+}
+
+// Save a new version - fields left out keep their value. `media` replaces the default
+// attachments when given; `changes.removeMedia` drops them.
+function update(id, changes, media = null) {
+    const record = load()[id];
+    if (!record) {
+        return null;
+    }
+    const current = record.versions[record.versions.length - 1];
+    const entry = buildVersion(id, current, changes);
+    if (media && media.length > 0) {
+        entry.defaultMedia = storeMedia(id, entry.version, media);
+    } else if (changes.removeMedia === true || changes.removeMedia === 'true') {
+        entry.defaultMedia = [];
+    }
+
+    record.versions.push(entry);
+    flush();
+    return toTemplate(record, entry);
+}
+
+// Make an older version the latest again (saved as a new version)
+function restore(id, version) {
+    const record = load()[id];
+    const previous = record && record.versions.find(entry => entry.version === Number(version));
+    if (!previous) {
+        return null;
+    }
+    const entry = {
+        ...buildVersion(id, previous, {}),
+        version: record.versions[record.versions.length - 1].version + 1
+    };
+
+    record.versions.push(entry);
+    flush();
+    return toTemplate(record, entry);
+}
+
+function remove(id) {
+    if (!load()[id]) {
+        return false;
+    }
+    delete templates[id];
+    fs.rmSync(path.join(TEMPLATE_MEDIA_DIR, id), { recursive: true, force: true });
+    flush();
+    return true;
+}
+
+// Required variables of a template version that the recipient list has no column for.
+// `message` is the text actually sent, which may have been edited after picking the template.
+function findMissingVariables(id, version, message, headers) {
+    const entry = getEntry(id, version);
+    return getVariables(message || entry.body, entry.declaredVariables)
+        .filter(variable => variable.required && !headers.includes(variable.name))
+        .map(variable => variable.name);
+}
+
+module.exports = {
+    TEMPLATE_MEDIA_DIR,
+    list,
+    get,
+    getDefaultMedia,
+    listVersions,
+    create,
+    update,
+    restore,
+    remove,
+    findMissingVariables
+};
@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./storage');
+
+// Outgoing webhooks - campaign, message, reply and account events POSTed as JSON to
+// URLs configured from the API, so other systems (e.g. a CRM) can react to them.
+// Failed deliveries are retried with exponential backoff; once the attempts run out
+// they go to the dead-letter log, from where they can be sent again by hand.
+//
+// Every request carries X-Webhook-Signature: sha256=<hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<raw body>"> keyed with the webhook's secret. A retry sends
+// the same body and X-Webhook-Delivery id, with a new timestamp and signature.
+
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const RETRIES_FILE = path.join(DATA_DIR, 'webhook-retries.json');
+const DEAD_LETTERS_FILE = path.join(DATA_DIR, 'webhook-dead-letters.json');
+const EVENTS = [
+    'campaign_started',
+    'campaign_completed',
+    'campaign_failed',
+    'message_sent',
+    'message_failed',
+    'message_ack',
+    'reply_received',
+    'account_disconnected'
+];
+const ALL_EVENTS = '*';
+const TEST_EVENT = 'webhook_test';
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6);
+const RETRY_BASE_MS = Math.max(1000, parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000);
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const MAX_DEAD_LETTERS = 1000;
+const MAX_ERROR_LENGTH = 500;
+
+let webhooks = null; // id -> { id, url, events, secret, description, enabled, createdAt, updatedAt }
+let retries = null; // deliveryId -> delivery waiting for its next attempt
+let deadLetters = null; // deliveries that ran out of attempts, oldest first
+const retryTimers = new Map(); // deliveryId -> timeout
+
+function load() {
+    if (!webhooks) {
+        webhooks = readJson(WEBHOOKS_FILE, {});
+    }
+    return webhooks;
+}
+
+function flush() {
+    // The file holds the signing secrets
+    writeJson(WEBHOOKS_FILE, webhooks, { mode: 0o600 });
+}
+
+function loadRetries() {
+    if (!retries) {
+        retries = readJson(RETRIES_FILE, {});
+    }
+    return retries;
+}
+
+function flushRetries() {
+    writeJson(RETRIES_FILE, retries);
+}
+
+function loadDeadLetters() {
+    if (!deadLetters) {
+        deadLetters = readJson(DEAD_LETTERS_FILE, []);
+    }
+    return deadLetters;
+}
+
+function flushDeadLetters() {
+    writeJson(DEAD_LETTERS_FILE, deadLetters);
+}
+
+function generateId(prefix) {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function parseUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value || '').trim());
+    } catch (error) {
+        throw new Error('A valid webhook URL is required');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('Webhook URL must start with http:// or https://');
+    }
+    return url.href;
+}
+
+// Events arrive as a JSON array or comma-separated text; none (or "*") means every event
+function parseEvents(value) {
+    let events = value;
+    if (typeof value === 'string') {
+        events = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    }
+    events = (events || []).map(event => String(event).trim()).filter(Boolean);
+    if (events.length === 0 || events.includes(ALL_EVENTS)) {
+        return [ALL_EVENTS];
+    }
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown webhook event(s): ${unknown.join(', ')}. Expected: ${EVENTS.join(', ')}`);
+    }
+    return [...new Set(events)];
+}
+
+function parseSecret(value) {
+    const secret = String(value).trim();
+    if (secret.length < 16) {
+        throw new Error('Webhook secret must be at least 16 characters');
+    }
+    return secret;
+}
+
+// The shape returned by the API - the secret is only shown when it is created or changed
+function toWebhook(record, { includeSecret = false } = {}) {
+    const webhook = {
+        id: record.id,
+        url: record.url,
+        events: record.events,
+        description: record.description,
+        enabled: record.enabled,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        pendingRetries: Object.values(loadRetries()).filter(delivery => delivery.webhookId === record.id).length,
+        deadLetters: loadDeadLetters().filter(delivery => delivery.webhookId === record.id).length
+    };
+    if (includeSecret) {
+        webhook.secret = record.secret;
+    }
+    return webhook;
+}
+
+function list() {
+    return Object.values(load()).map(record => toWebhook(record));
+}
+
+function get(id) {
+    const record = load()[id];
+    return record ? toWebhook(record) : null;
+}
+
+// `secret` is generated when none is given
+function create({ url, events, secret, description, enabled }) {
+    const now = new Date();
+    const record = {
+        id: generateId('webhook'),
+        url: parseUrl(url),
+        events: parseEvents(events),
+        secret: secret ? parseSecret(secret) : crypto.randomBytes(32).toString('hex'),
+        description: description ? String(description).trim() : '',
+        enabled: enabled === undefined ? true : enabled === true || enabled === 'true',
+        createdAt: now,
+        updatedAt: now
+    };
+    load()[record.id] = record;
+    flush();
+    return toWebhook(record, { includeSecret: true });
+}
+
+// Fields left out keep their value; `rotateSecret: true` generates a new secret
+function update(id, changes) {
+    const record = load()[id];
+    if (!record) {
+        return null;
+    }
+    const updated = { ...record };
+    if (changes.url !== undefined) {
+        updated.url = parseUrl(changes.url);
+    }
+    if (changes.events !== undefined) {
+        updated.events = parseEvents(changes.events);
+    }
+    if (changes.description !== undefined) {
+        updated.description = String(changes.description || '').trim();
+    }
+    if (changes.enabled !== undefined) {
+        updated.enabled = changes.enabled === true || changes.enabled === 'true';
+    }
+    const secretChanged = Boolean(changes.secret || changes.rotateSecret);
+    if (changes.secret) {
+        updated.secret = parseSecret(changes.secret);
+    } else if (changes.rotateSecret) {
+        updated.secret = crypto.randomBytes(32).toString('hex');
+    }
+    updated.updatedAt = new Date();
+    webhooks[id] = updated;
+    flush();
+    return toWebhook(updated, { includeSecret: secretChanged });
+}
+
+// Deleting a webhook drops its pending retries; its dead letters stay for reference
+function remove(id) {
+    if (!load()[id]) {
+        return false;
+    }
+    delete webhooks[id];
+    flush();
+    for (const delivery of Object.values(loadRetries())) {
+        if (delivery.webhookId === id) {
+            cancelRetry(delivery.id);
+        }
+    }
+    flushRetries();
+    return true;
+}
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Doubles with every failed attempt (30s, 1m, 2m, ...) up to an hour, with some jitter
+// so deliveries that failed together do not all retry at once
+function getRetryDelay(attempts) {
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// One POST to the webhook's URL. Resolves with the outcome, never rejects.
+async function post(record, delivery) {
+    const body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        createdAt: delivery.createdAt,
+        data: delivery.data
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    try {
+        const response = await fetch(record.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'whatsapp-bulk-sender-webhooks',
+                'X-Webhook-Id': record.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(record.secret, timestamp, body)
+            },
+            body: body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        // Only the status matters; drain the body so the connection is released
+        await response.arrayBuffer().catch(() => {});
+        const ok = response.status >= 200 && response.status < 300;
+        return {
+            ok: ok,
+            status: response.status,
+            error: ok ? null : `Receiver responded with status ${response.status}`,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        const message = error.name === 'TimeoutError'
+            ? `No response within ${TIMEOUT_MS}ms`
+            : (error.cause && error.cause.message) || error.message;
+        return { ok: false, status: null, error: message.slice(0, MAX_ERROR_LENGTH), durationMs: Date.now() - startedAt };
+    }
+}
+
+function scheduleRetry(delivery) {
+    clearTimeout(retryTimers.get(delivery.id));
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    retryTimers.set(delivery.id, setTimeout(() => {
+        retryTimers.delete(delivery.id);
+        attempt(delivery).catch(error => console.error(`❌ Webhook delivery ${delivery.id} failed:`, error.message));
+    }, delay));
+}
+
+function cancelRetry(deliveryId) {
+    clearTimeout(retryTimers.get(deliveryId));
+    retryTimers.delete(deliveryId);
+    delete loadRetries()[deliveryId];
+}
+
+function addDeadLetter(delivery, record) {
+    const all = loadDeadLetters();
+    all.push({ ...delivery, url: record ? record.url : null, failedAt: new Date() });
+    if (all.length > MAX_DEAD_LETTERS) {
+        all.splice(0, all.length - MAX_DEAD_LETTERS);
+    }
+    flushDeadLetters();
+}
+
+// Send a delivery, then either forget it, schedule the next attempt or dead-letter it
+async function attempt(delivery) {
+    const record = load()[delivery.webhookId];
+    if (!record) {
+        cancelRetry(delivery.id);
+        flushRetries();
+        return;
+    }
+
+    const result = await post(record, delivery);
+    delivery.attempts++;
+    delivery.lastStatus = result.status;
+    delivery.lastError = result.error;
+    delivery.lastAttemptAt = new Date();
+
+    const wasRetry = Boolean(loadRetries()[delivery.id]);
+    if (result.ok) {
+        if (wasRetry) {
+            cancelRetry(delivery.id);
+            flushRetries();
+        }
+        return;
+    }
+
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+        console.error(`❌ Webhook ${record.id} gave up on ${delivery.event} delivery ${delivery.id} after ${delivery.attempts} attempt(s): ${result.error}`);
+        cancelRetry(delivery.id);
+        flushRetries();
+        addDeadLetter(delivery, record);
+        return;
+    }
+
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+    console.log(`🔁 Webhook ${record.id} ${delivery.event} delivery failed (${result.error}), retrying at ${delivery.nextAttemptAt.toISOString()}`);
+    loadRetries()[delivery.id] = delivery;
+    flushRetries();
+    scheduleRetry(delivery);
+}
+
+function createDelivery(webhookId, event, data) {
+    return {
+        id: generateId('delivery'),
+        webhookId: webhookId,
+        event: event,
+        data: data,
+        createdAt: new Date(),
+        attempts: 0,
+        lastStatus: null,
+        lastError: null,
+        lastAttemptAt: null,
+        nextAttemptAt: null
+    };
+}
+
+// Deliver an event to every enabled webhook subscribed to it, in the background
+function emit(event, data) {
+    if (!EVENTS.includes(event)) {
+        throw new Error(`Unknown webhook event: ${event}`);
+    }
+    for (const record of Object.values(load())) {
+        if (!record.enabled || !(record.events.includes(ALL_EVENTS) || record.events.includes(event))) {
+            continue;
+        }
+        const delivery = createDelivery(record.id, event, data);
+        attempt(delivery).catch(error => console.error(`❌ Webhook delivery ${delivery.id} failed:`, error.message));
+    }
+}
+
+// Send a webhook_test event once, without retries, and report how the receiver answered
+async function test(id) {
+    const record = load()[id];
+    if (!record) {
+        return null;
+    }
+    const delivery = createDelivery(record.id, TEST_EVENT, {
+        message: 'Test event from the WhatsApp bulk sender',
+        webhookId: record.id
+    });
+    const result = await post(record, delivery);
+    return { deliveryId: delivery.id, ...result };
+}
+
+// Newest first; `webhookId` filters to one webhook
+function listDeadLetters({ webhookId = null } = {}) {
+    return loadDeadLetters()
+        .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+        .reverse();
+}
+
+// Take a delivery off the dead-letter log and send it again with a fresh set of attempts.
+// Resolves with the delivery, or null if it is not in the log.
+async function retryDeadLetter(deliveryId) {
+    const all = loadDeadLetters();
+    const index = all.findIndex(delivery => delivery.id === deliveryId);
+    if (index === -1) {
+        return null;
+    }
+    if (!load()[all[index].webhookId]) {
+        throw new Error('The webhook of this delivery was deleted');
+    }
+    const [deadLetter] = all.splice(index, 1);
+    flushDeadLetters();
+
+    const delivery = { ...deadLetter };
+    delete delivery.url;
+    delete delivery.failedAt;
+
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = null;
+    await attempt(delivery);
+    return delivery;
+}
+
+function removeDeadLetter(deliveryId) {
+    const all = loadDeadLetters();
+    const index = all.findIndex(delivery => delivery.id === deliveryId);
+    if (index === -1) {
+        return false;
+    }
+    all.splice(index, 1);
+    flushDeadLetters();
+    return true;
+}
+
+// Pick up the retries that were waiting when the server stopped
+function init() {
+    load();
+    loadDeadLetters();
+    const pending = Object.values(loadRetries());
+    for (const delivery of pending) {
+        scheduleRetry(delivery);
+    }
+    if (pending.length > 0) {
+        console.log(`🔁 Resuming ${pending.length} webhook retr${pending.length === 1 ? 'y' : 'ies'}`);
+    }
+}
+
+module.exports = {
+    EVENTS,
+    init,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    sign,
+    emit,
+    test,
+    listDeadLetters,
+    retryDeadLetter,
+    removeDeadLetter
+};
@@ -29,6 +29,7 @@ const {exposeFunctionIfAbsent} = require('./util/Puppeteer');
  * @param {number} options.authTimeoutMs - Timeout for authentication selector in puppeteer
  * @param {object} options.puppeteer - Puppeteer launch options. View docs here: https://github.com/puppeteer/puppeteer/
  * @param {number} options.qrMaxRetries - How many times should the qrcode be refreshed before giving up
+ * @param {number} options.loadingTimeoutMs - How long a saved session may stay on the loading screen without progress before it counts as an auth failure and the client starts again, rolled back if the auth strategy has a snapshot. 0 (default) waits forever
  * @param {string} options.restartOnAuthFail  - @deprecated This option should be set directly on the LegacySessionAuth.
  * @param {object} options.session - @deprecated Only here for backwards-compatibility. You should move to using LocalAuth, or set the authStrategy to LegacySessionAuth explicitly. 
  * @param {number} options.takeoverOnConflict - If another whatsapp web session is detected (another browser), take over the session in the current browser
@@ -136,6 +137,10 @@ class Client extends EventEmitter {
                  */
                 this.emit(Events.AUTHENTICATION_FAILURE, failureEventPayload);
                 await this.destroy();
+                if (await this.authStrategy.rollbackSession()) {
+                    // try again, with the last known-good session if the strategy restored one
+                    return this.initialize();
+                }
                 if (restart) {
                     // session restore failed so try again but without session to force new authentication
                     return this.initialize();
@@ -188,6 +193,8 @@ class Client extends EventEmitter {
                     window.AuthStore.Conn.on('change:ref', (_, ref) => { window.onQRChangedEvent(getQR(ref)); }); // future QR changes
                 });
             }
+        } else {
+            this.resetLoadingWatchdog();
         }
 
         await exposeFunctionIfAbsent(this.pupPage, 'onAuthAppStateChangedEvent', async (state) => {
@@ -244,17 +251,20 @@ class Client extends EventEmitter {
 
                 await this.attachEventListeners();
             }
+            clearTimeout(this.loadingWatchdog);
             /**
                  * Emitted when the client has initialized and is ready to receive messages.
                  * @event Client#ready
                  */
             this.emit(Events.READY);
             this.authStrategy.afterAuthReady();
+            this.authStrategy.snapshotSession();
         });
         let lastPercent = null;
         await exposeFunctionIfAbsent(this.pupPage, 'onOfflineProgressUpdateEvent', async (percent) => {
             if (lastPercent !== percent) {
                 lastPercent = percent;
+                this.resetLoadingWatchdog();
                 this.emit(Events.LOADING_SCREEN, percent, 'WhatsApp'); // Message is hardcoded as "WhatsApp" for now
             }
         });
@@ -274,6 +284,29 @@ class Client extends EventEmitter {
         });
     }
 
+    /**
+     * Restarts the timer that catches a saved session stuck on the loading screen
+     * Private function
+     */
+    resetLoadingWatchdog() {
+        clearTimeout(this.loadingWatchdog);
+        if (!this.options.loadingTimeoutMs) return;
+
+        this.loadingWatchdog = setTimeout(async () => {
+            this.emit(Events.AUTHENTICATION_FAILURE, 'Stuck on the loading screen');
+            try {
+                await this.destroy();
+                // try again, with the last known-good session if the strategy restored one. Without
+                // one the same session is tried again, and WhatsApp asks for a QR code if it was lost
+                await this.authStrategy.rollbackSession();
+                await this.initialize();
+            } catch (err) {
+                // nobody awaits this timer, so the failed restart is reported instead of thrown
+                this.emit(Events.AUTHENTICATION_FAILURE, `Could not restart after the loading screen got stuck: ${err.message}`);
+            }
+        }, this.options.loadingTimeoutMs);
+    }
+
     /**
      * Sets up events and requirements, kicks off authentication request
      */
@@ -813,6 +846,7 @@ class Client extends EventEmitter {
      * Closes the client
      */
     async destroy() {
+        clearTimeout(this.loadingWatchdog);
         await this.pupBrowser.close();
         await this.authStrategy.destroy();
     }
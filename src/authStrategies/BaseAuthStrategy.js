@@ -19,6 +19,18 @@ class BaseAuthStrategy {
     }
     async getAuthEventPayload() {}
     async afterAuthReady() {}
+    /**
+     * Called once the client is ready, to keep a known-good copy of the session
+     */
+    async snapshotSession() {}
+    /**
+     * Called with the browser closed after a saved session failed to load (auth_failure or stuck on the loading screen).
+     * Puts the last known-good snapshot in place of the session, or keeps the session for another try
+     * @returns {Promise<boolean>} Whether the client should start again
+     */
+    async rollbackSession() {
+        return false;
+    }
     async disconnect() {}
     async destroy() {}
     async logout() {}
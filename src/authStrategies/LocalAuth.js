@@ -1,8 +1,18 @@
 'use strict';
 
+/* Require Optional Dependencies (only needed for encryption and snapshots) */
+try {
+    var unzipper = require('unzipper');
+    var archiver = require('archiver');
+} catch {
+    unzipper = undefined;
+    archiver = undefined;
+}
+
 const path = require('path');
 const fs = require('fs');
 const BaseAuthStrategy = require('./BaseAuthStrategy');
+const SessionEncryption = require('./SessionEncryption');
 
 /**
  * Local directory-based authentication
@@ -10,9 +20,15 @@ const BaseAuthStrategy = require('./BaseAuthStrategy');
  * @param {string} options.clientId - Client id to distinguish instances if you are using multiple, otherwise keep null if you are using only one instance
  * @param {string} options.dataPath - Change the default path for saving session files, default is: "./.wwebjs_auth/" 
  * @param {number} options.rmMaxRetries - Sets the maximum number of retries for removing the session directory
+ * @param {SessionEncryption} options.encryption - Keeps the session encrypted at rest: it is unpacked when the client starts and sealed into "<session dir>.enc" again on destroy
+ * @param {number} options.maxSnapshots - How many known-good copies of the session to keep in "<session dir>-snapshots". When a saved session fails to load, the newest untried snapshot is restored before a new QR code is requested. Default is 0 (off)
+ * @param {number} options.snapshotRetentionMs - Snapshots older than this are deleted, default is 7 days
+ * @param {number} options.snapshotDelayMs - How long the client must stay ready before the session is snapshotted, default is 60000 (1 minute)
+ * @param {number} options.rollbackAfterFailures - How many times in a row a session may fail to load before the next older snapshot replaces it. The earlier failures restart the client with the same session, so a network hiccup does not discard it. Default is 2
 */
 class LocalAuth extends BaseAuthStrategy {
-    constructor({ clientId, dataPath, rmMaxRetries }={}) {
+    constructor({ clientId, dataPath, rmMaxRetries, encryption, maxSnapshots, snapshotRetentionMs, snapshotDelayMs, rollbackAfterFailures }={}) {
+        if ((encryption || maxSnapshots) && (!unzipper || !archiver)) throw new Error('Optional Dependencies [unzipper, archiver] are required to encrypt or snapshot LocalAuth sessions. Make sure to run npm install correctly and remove the --no-optional flag');
         super();
 
         const idRegex = /^[-_\w]+$/i;
@@ -23,6 +39,13 @@ class LocalAuth extends BaseAuthStrategy {
         this.dataPath = path.resolve(dataPath || './.wwebjs_auth/');
         this.clientId = clientId;
         this.rmMaxRetries = rmMaxRetries ?? 4;
+        this.encryption = encryption;
+        this.maxSnapshots = maxSnapshots ?? 0;
+        this.snapshotRetentionMs = snapshotRetentionMs ?? 7 * 24 * 60 * 60 * 1000;
+        this.snapshotDelayMs = snapshotDelayMs ?? 60000;
+        this.rollbackAfterFailures = rollbackAfterFailures ?? 2;
+        this.triedSnapshots = new Set();
+        this.failedLoads = 0;
     }
 
     async beforeBrowserInitialized() {
@@ -34,6 +57,9 @@ class LocalAuth extends BaseAuthStrategy {
             throw new Error('LocalAuth is not compatible with a user-supplied userDataDir.');
         }
 
+        this.sealedPath = `${dirPath}.enc`;
+        this.snapshotDir = `${dirPath}-snapshots`;
+        if (this.encryption) await this.unsealSession(dirPath);
         fs.mkdirSync(dirPath, { recursive: true });
         
         this.client.options.puppeteer = {
@@ -51,6 +77,166 @@ class LocalAuth extends BaseAuthStrategy {
                     throw new Error(e);
                 });
         }
+        if (this.sealedPath) {
+            await fs.promises.rm(this.sealedPath, { force: true });
+        }
+        if (this.snapshotDir) {
+            /* Snapshots of a logged out session can not be restored */
+            await fs.promises.rm(this.snapshotDir, { recursive: true, force: true, maxRetries: this.rmMaxRetries });
+        }
+    }
+
+    async destroy() {
+        clearTimeout(this.snapshotTimer);
+        if (this.encryption && this.userDataDir) await this.sealSession();
+    }
+
+    async onAuthenticationNeeded() {
+        /* WhatsApp asks for a QR code although the session was linked: report a failure so the client rolls back */
+        if (await this.getNextSnapshot()) {
+            return {
+                failed: true,
+                restart: true,
+                failureEventPayload: 'The saved session could not be restored'
+            };
+        }
+        return super.onAuthenticationNeeded();
+    }
+
+    async snapshotSession() {
+        if (!this.maxSnapshots) return;
+
+        this.triedSnapshots.clear();
+        this.failedLoads = 0;
+        clearTimeout(this.snapshotTimer);
+        this.snapshotTimer = setTimeout(() => {
+            this.writeSnapshot().catch(err => {
+                console.warn(`Could not snapshot the LocalAuth session, a failed load will roll back to an older snapshot or ask for a QR code: ${err.message}`);
+            });
+        }, this.snapshotDelayMs);
+    }
+
+    async rollbackSession() {
+        const snapshot = await this.getNextSnapshot();
+        if (!snapshot) return false;
+
+        /* Retry the session as it is until it has failed rollbackAfterFailures times in a row */
+        this.failedLoads++;
+        if (this.failedLoads < this.rollbackAfterFailures) return true;
+
+        this.failedLoads = 0;
+        this.triedSnapshots.add(snapshot);
+        await fs.promises.rm(this.userDataDir, { recursive: true, force: true, maxRetries: this.rmMaxRetries });
+        await fs.promises.rm(this.sealedPath, { force: true });
+        await this.extractArchive(path.join(this.snapshotDir, snapshot), this.userDataDir);
+        return true;
+    }
+
+    /**
+     * Snapshot file names (creation time in ms) from newest to oldest
+     */
+    async listSnapshots() {
+        const files = await fs.promises.readdir(this.snapshotDir).catch(() => []);
+        return files
+            .filter(file => /^\d+\.zip$/.test(file))
+            .sort((a, b) => parseInt(b) - parseInt(a));
+    }
+
+    async getNextSnapshot() {
+        if (!this.maxSnapshots || !this.snapshotDir) return null;
+        const snapshots = await this.listSnapshots();
+        return snapshots.find(snapshot => !this.triedSnapshots.has(snapshot)) || null;
+    }
+
+    /**
+     * Archive the running session (encrypted when encryption is set) and drop snapshots past the count or retention limit
+     */
+    async writeSnapshot() {
+        const snapshotPath = path.join(this.snapshotDir, `${Date.now()}.zip`);
+        const tempDir = `${snapshotPath}_temp`;
+        await fs.promises.mkdir(this.snapshotDir, { recursive: true });
+        try {
+            /* Copy first, the browser keeps writing to the profile. Caches are not needed to restore a session */
+            await fs.promises.cp(this.userDataDir, tempDir, {
+                recursive: true,
+                filter: source => !['Cache', 'Code Cache', 'GPUCache', 'CacheStorage'].includes(path.basename(source))
+            });
+            await this.compressDirectory(tempDir, snapshotPath);
+            if (this.encryption) await this.encryption.encryptFile(snapshotPath);
+        } catch (err) {
+            await fs.promises.rm(snapshotPath, { force: true });
+            throw err;
+        } finally {
+            await fs.promises.rm(tempDir, { recursive: true, force: true, maxRetries: this.rmMaxRetries });
+        }
+
+        const snapshots = await this.listSnapshots();
+        for (const [index, snapshot] of snapshots.entries()) {
+            if (index >= this.maxSnapshots || Date.now() - parseInt(snapshot) > this.snapshotRetentionMs) {
+                await fs.promises.rm(path.join(this.snapshotDir, snapshot), { force: true });
+            }
+        }
+    }
+
+    /**
+     * Unpack the encrypted session into the session directory.
+     * A directory left behind by a crash is newer than the sealed copy, so it is used as is and sealed on the next destroy.
+     */
+    async unsealSession(dirPath) {
+        if (fs.existsSync(dirPath) || !fs.existsSync(this.sealedPath)) return;
+        await this.extractArchive(this.sealedPath, dirPath);
+    }
+
+    /**
+     * Encrypt the session directory into the sealed file and remove the plain copy. The browser must be closed.
+     */
+    async sealSession() {
+        if (!fs.existsSync(this.userDataDir)) return;
+
+        const compressedPath = `${this.userDataDir}.zip`;
+        try {
+            await this.compressDirectory(this.userDataDir, compressedPath);
+            await this.encryption.encryptFile(compressedPath, this.sealedPath);
+        } finally {
+            await fs.promises.rm(compressedPath, { force: true });
+        }
+        await fs.promises.rm(this.userDataDir, { recursive: true, force: true, maxRetries: this.rmMaxRetries });
+    }
+
+    async compressDirectory(dirPath, compressedPath) {
+        await new Promise((resolve, reject) => {
+            const archive = archiver('zip');
+            const stream = fs.createWriteStream(compressedPath);
+            archive
+                .directory(dirPath, false)
+                .on('error', err => reject(err))
+                .pipe(stream);
+
+            stream.on('close', () => resolve());
+            archive.finalize();
+        });
+    }
+
+    /**
+     * Unpack an archive written by compressDirectory, decrypting it first when needed
+     */
+    async extractArchive(compressedPath, dirPath) {
+        let archivePath = compressedPath;
+        if (await SessionEncryption.isEncrypted(compressedPath)) {
+            if (!this.encryption) throw new Error(`${compressedPath} is encrypted. Pass the encryption option to LocalAuth to restore it.`);
+            archivePath = `${compressedPath}.decrypted`;
+            await this.encryption.decryptFile(compressedPath, archivePath);
+        }
+        try {
+            await new Promise((resolve, reject) => {
+                fs.createReadStream(archivePath)
+                    .pipe(unzipper.Extract({ path: dirPath }))
+                    .on('error', err => reject(err))
+                    .on('close', () => resolve());
+            });
+        } finally {
+            if (archivePath !== compressedPath) await fs.promises.rm(archivePath, { force: true });
+        }
     }
 
 }
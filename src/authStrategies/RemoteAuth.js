@@ -14,6 +14,7 @@ try {
 const path = require('path');
 const { Events } = require('./../util/Constants');
 const BaseAuthStrategy = require('./BaseAuthStrategy');
+const SessionEncryption = require('./SessionEncryption');
 
 /**
  * Remote-based authentication
@@ -23,9 +24,10 @@ const BaseAuthStrategy = require('./BaseAuthStrategy');
  * @param {string} options.dataPath - Change the default path for saving session files, default is: "./.wwebjs_auth/" 
  * @param {number} options.backupSyncIntervalMs - Sets the time interval for periodic session backups. Accepts values starting from 60000ms {1 minute}
  * @param {number} options.rmMaxRetries - Sets the maximum number of retries for removing the session directory
+ * @param {SessionEncryption} options.encryption - Encrypts the session archive before it is handed to the store. Unencrypted archives saved earlier are still restored
  */
 class RemoteAuth extends BaseAuthStrategy {
-    constructor({ clientId, dataPath, store, backupSyncIntervalMs, rmMaxRetries } = {}) {
+    constructor({ clientId, dataPath, store, backupSyncIntervalMs, rmMaxRetries, encryption } = {}) {
         if (!fs && !unzipper && !archiver) throw new Error('Optional Dependencies [fs-extra, unzipper, archiver] are required to use RemoteAuth. Make sure to run npm install correctly and remove the --no-optional flag');
         super();
 
@@ -45,6 +47,7 @@ class RemoteAuth extends BaseAuthStrategy {
         this.tempDir = `${this.dataPath}/wwebjs_temp_session_${this.clientId}`;
         this.requiredDirs = ['Default', 'IndexedDB', 'Local Storage']; /* => Required Files & Dirs in WWebJS to restore session */
         this.rmMaxRetries = rmMaxRetries ?? 4;
+        this.encryption = encryption;
     }
 
     async beforeBrowserInitialized() {
@@ -106,6 +109,7 @@ class RemoteAuth extends BaseAuthStrategy {
         const pathExists = await this.isValidPath(this.userDataDir);
         if (pathExists) {
             await this.compressSession();
+            if (this.encryption) await this.encryption.encryptFile(`${this.sessionName}.zip`);
             await this.store.save({session: this.sessionName});
             await fs.promises.unlink(`${this.sessionName}.zip`);
             await fs.promises.rm(`${this.tempDir}`, {
@@ -130,6 +134,13 @@ class RemoteAuth extends BaseAuthStrategy {
         }
         if (sessionExists) {
             await this.store.extract({session: this.sessionName, path: compressedSessionPath});
+            if (await SessionEncryption.isEncrypted(compressedSessionPath)) {
+                if (!this.encryption) {
+                    await fs.promises.unlink(compressedSessionPath);
+                    throw new Error('The remote session is encrypted. Pass the encryption option to RemoteAuth to restore it.');
+                }
+                await this.encryption.decryptFile(compressedSessionPath);
+            }
             await this.unCompressSession(compressedSessionPath);
         } else {
             fs.mkdirSync(this.userDataDir, { recursive: true });
@@ -0,0 +1,191 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/* File layout: MAGIC | version | key id (8) | IV (12) | ciphertext | auth tag (16). The header is authenticated too. */
+const MAGIC = Buffer.from('WWEBJSENC');
+const FORMAT_VERSION = 1;
+const KEY_ID_LENGTH = 8;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 1 + KEY_ID_LENGTH + IV_LENGTH;
+
+/**
+ * AES-256-GCM encryption for session files, used by LocalAuth and RemoteAuth through their `encryption` option.
+ * Files are always encrypted with the current key; previous keys can still decrypt, so rotating a key means
+ * putting the new one first and keeping the old one in `previousKeys` until every session was saved again.
+ * Keys are 32 bytes, written as hex or base64.
+ * @param {object} options - options
+ * @param {string|Buffer} options.key - Current key, default is the WWEBJS_SESSION_KEY environment variable
+ * @param {Array<string|Buffer>} options.previousKeys - Older keys, only used to decrypt. Default is the comma-separated WWEBJS_SESSION_PREVIOUS_KEYS environment variable
+ * @param {string} options.keyFile - File with one key per line, current key first. Replaces key and previousKeys. Default is the WWEBJS_SESSION_KEY_FILE environment variable
+ */
+class SessionEncryption {
+    constructor({ key, previousKeys, keyFile } = {}) {
+        keyFile = keyFile || process.env.WWEBJS_SESSION_KEY_FILE;
+        if (keyFile) {
+            const lines = fs.readFileSync(keyFile, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'));
+            [key, ...previousKeys] = lines;
+        } else {
+            key = key || process.env.WWEBJS_SESSION_KEY;
+            previousKeys = previousKeys || (process.env.WWEBJS_SESSION_PREVIOUS_KEYS || '').split(',').filter(Boolean);
+        }
+        if (!key) throw new Error('A session encryption key is required. Set WWEBJS_SESSION_KEY or pass key or keyFile.');
+
+        this.currentKey = SessionEncryption.parseKey(key);
+        this.keys = new Map();
+        for (const entry of [this.currentKey, ...previousKeys.map(previous => SessionEncryption.parseKey(previous))]) {
+            if (!this.keys.has(entry.id.toString('hex'))) this.keys.set(entry.id.toString('hex'), entry);
+        }
+    }
+
+    /**
+     * @returns {{ id: Buffer, key: Buffer }}
+     */
+    static parseKey(value) {
+        let key = value;
+        if (!Buffer.isBuffer(value)) {
+            const text = String(value).trim();
+            key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+        }
+        if (key.length !== 32) throw new Error('Invalid session encryption key. Expected 32 bytes written as hex or base64.');
+
+        /* The key id tells which key a file was encrypted with, without revealing the key */
+        const id = crypto.createHash('sha256').update(key).digest().subarray(0, KEY_ID_LENGTH);
+        return { id, key };
+    }
+
+    /**
+     * A new random key, as hex
+     * @returns {string}
+     */
+    static generateKey() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Whether a file was written by SessionEncryption
+     * @param {string} filePath
+     * @returns {Promise<boolean>}
+     */
+    static async isEncrypted(filePath) {
+        const file = await fs.promises.open(filePath, 'r');
+        try {
+            const { bytesRead, buffer } = await file.read(Buffer.alloc(MAGIC.length), 0, MAGIC.length, 0);
+            return bytesRead === MAGIC.length && buffer.equals(MAGIC);
+        } finally {
+            await file.close();
+        }
+    }
+
+    /**
+     * Encrypt a file with the current key
+     * @param {string} source
+     * @param {string} target - Defaults to replacing the source
+     */
+    async encryptFile(source, target = source) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const header = Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION]), this.currentKey.id, iv]);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.currentKey.key, iv);
+        cipher.setAAD(header);
+
+        await this.writeAtomically(target, fs.createReadStream(source), cipher, async function* (ciphertext) {
+            yield header;
+            for await (const chunk of ciphertext) yield chunk;
+            yield cipher.getAuthTag();
+        });
+    }
+
+    /**
+     * Decrypt a file with whichever configured key it was encrypted with
+     * @param {string} source
+     * @param {string} target - Defaults to replacing the source
+     */
+    async decryptFile(source, target = source) {
+        const { size } = await fs.promises.stat(source);
+        if (size < HEADER_LENGTH + TAG_LENGTH || !(await SessionEncryption.isEncrypted(source))) {
+            throw new Error(`${source} is not an encrypted session file.`);
+        }
+
+        const file = await fs.promises.open(source, 'r');
+        const header = Buffer.alloc(HEADER_LENGTH);
+        const tag = Buffer.alloc(TAG_LENGTH);
+        try {
+            await file.read(header, 0, HEADER_LENGTH, 0);
+            await file.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+        } finally {
+            await file.close();
+        }
+
+        const version = header[MAGIC.length];
+        if (version !== FORMAT_VERSION) throw new Error(`Unsupported session encryption format version ${version}.`);
+        const keyId = header.subarray(MAGIC.length + 1, MAGIC.length + 1 + KEY_ID_LENGTH);
+        const entry = this.keys.get(keyId.toString('hex'));
+        if (!entry) throw new Error('The session was encrypted with a key that is not configured.');
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, header.subarray(HEADER_LENGTH - IV_LENGTH));
+        decipher.setAAD(header);
+        decipher.setAuthTag(tag);
+
+        const ciphertextLength = size - HEADER_LENGTH - TAG_LENGTH;
+        const ciphertext = ciphertextLength > 0
+            ? fs.createReadStream(source, { start: HEADER_LENGTH, end: HEADER_LENGTH + ciphertextLength - 1 })
+            : Readable.from([]);
+        try {
+            await this.writeAtomically(target, ciphertext, decipher);
+        } catch (err) {
+            if (err.message.includes('authenticate')) {
+                throw new Error('The session file failed authentication. It was corrupted or tampered with.');
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Whether a file is encrypted with a previous key
+     * @param {string} filePath
+     * @returns {Promise<boolean>}
+     */
+    async needsRotation(filePath) {
+        if (!(await SessionEncryption.isEncrypted(filePath))) return false;
+        const file = await fs.promises.open(filePath, 'r');
+        try {
+            const { buffer } = await file.read(Buffer.alloc(KEY_ID_LENGTH), 0, KEY_ID_LENGTH, MAGIC.length + 1);
+            return !buffer.equals(this.currentKey.id);
+        } finally {
+            await file.close();
+        }
+    }
+
+    /**
+     * Re-encrypt a file with the current key if it was encrypted with a previous one
+     * @param {string} filePath
+     * @returns {Promise<boolean>} Whether the file was re-encrypted
+     */
+    async rotateFile(filePath) {
+        if (!(await this.needsRotation(filePath))) return false;
+        await this.decryptFile(filePath);
+        await this.encryptFile(filePath);
+        return true;
+    }
+
+    /* Write through a temporary file, so a failure never leaves a half-written target */
+    async writeAtomically(target, ...streams) {
+        const tempPath = `${target}.${process.pid}.tmp`;
+        try {
+            await pipeline(...streams, fs.createWriteStream(tempPath));
+            await fs.promises.rename(tempPath, target);
+        } catch (err) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw err;
+        }
+    }
+}
+
+module.exports = SessionEncryption;
@@ -0,0 +1,53 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * RemoteAuth store that keeps session archives in a directory, e.g. a mounted volume or network share
+ * @param {object} options - options
+ * @param {string} options.path - Directory to keep the session archives in, created when missing
+ */
+class FileSystemStore {
+    constructor({ path: dirPath } = {}) {
+        if (!dirPath) throw new Error('A directory path is required for FileSystemStore.');
+        this.dirPath = path.resolve(dirPath);
+    }
+
+    sessionPath(session) {
+        if (!/^[-_\w]+$/i.test(session)) {
+            throw new Error('Invalid session name. Only alphanumeric characters, underscores and hyphens are allowed.');
+        }
+        return path.join(this.dirPath, `${session}.zip`);
+    }
+
+    async sessionExists({ session }) {
+        const sessionPath = this.sessionPath(session);
+        try {
+            await fs.promises.access(sessionPath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async save({ session }) {
+        const target = this.sessionPath(session);
+        const tempPath = `${target}.${process.pid}.tmp`;
+        await fs.promises.mkdir(this.dirPath, { recursive: true });
+
+        /* Copy next to the target first, so a failed copy never replaces the last good session */
+        await fs.promises.copyFile(`${session}.zip`, tempPath);
+        await fs.promises.rename(tempPath, target);
+    }
+
+    async extract({ session, path }) {
+        await fs.promises.copyFile(this.sessionPath(session), path);
+    }
+
+    async delete({ session }) {
+        await fs.promises.rm(this.sessionPath(session), { force: true });
+    }
+}
+
+module.exports = FileSystemStore;
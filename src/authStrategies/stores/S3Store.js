@@ -0,0 +1,176 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * RemoteAuth store for Amazon S3 and S3-compatible object storage (MinIO, Cloudflare R2, Backblaze B2...).
+ * Requests are signed with AWS Signature Version 4, no SDK needed.
+ * @param {object} options - options
+ * @param {string} options.bucket - Bucket to keep the session archives in
+ * @param {string} options.accessKeyId - Access key
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {string} options.sessionToken - Session token, for temporary credentials
+ * @param {string} options.region - Bucket region, default is: "us-east-1"
+ * @param {string} options.endpoint - Endpoint of an S3-compatible service, e.g. "http://localhost:9000". Defaults to Amazon S3 in the given region
+ * @param {boolean} options.forcePathStyle - Address the bucket in the path instead of the host name. Defaults to true when an endpoint is given
+ * @param {string} options.prefix - Key prefix for the session archives, e.g. "sessions/"
+ */
+class S3Store {
+    constructor({ bucket, accessKeyId, secretAccessKey, sessionToken, region, endpoint, forcePathStyle, prefix } = {}) {
+        if (!bucket) throw new Error('A bucket is required for S3Store.');
+        if (!accessKeyId || !secretAccessKey) throw new Error('accessKeyId and secretAccessKey are required for S3Store.');
+
+        this.bucket = bucket;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.sessionToken = sessionToken;
+        this.region = region || 'us-east-1';
+        this.endpoint = new URL(endpoint || `https://s3.${this.region}.amazonaws.com`);
+        this.forcePathStyle = forcePathStyle ?? Boolean(endpoint);
+        this.prefix = prefix || '';
+    }
+
+    async sessionExists({ session }) {
+        const response = await this.request('HEAD', session);
+        if (response.statusCode === 404) {
+            response.resume();
+            return false;
+        }
+        await this.assertOk(response);
+        response.resume();
+        return true;
+    }
+
+    async save({ session }) {
+        const filePath = `${session}.zip`;
+        const { size } = await fs.promises.stat(filePath);
+        const payloadHash = await this.hashFile(filePath);
+        const response = await this.request('PUT', session, {
+            payloadHash,
+            headers: { 'content-length': String(size), 'content-type': 'application/zip' },
+            body: fs.createReadStream(filePath)
+        });
+        await this.assertOk(response);
+        response.resume();
+    }
+
+    async extract({ session, path }) {
+        const response = await this.request('GET', session);
+        await this.assertOk(response);
+        await new Promise((resolve, reject) => {
+            response
+                .on('error', err => reject(err))
+                .pipe(fs.createWriteStream(path))
+                .on('error', err => reject(err))
+                .on('finish', () => resolve());
+        });
+    }
+
+    async delete({ session }) {
+        const response = await this.request('DELETE', session);
+        if (response.statusCode !== 404) await this.assertOk(response);
+        response.resume();
+    }
+
+    objectUrl(session) {
+        const key = `${this.prefix}${session}.zip`.split('/').map(segment => encodeRfc3986(segment)).join('/');
+        const url = new URL(this.endpoint.href);
+        const basePath = url.pathname.replace(/\/$/, '');
+        if (this.forcePathStyle) {
+            url.pathname = `${basePath}/${encodeRfc3986(this.bucket)}/${key}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `${basePath}/${key}`;
+        }
+        return url;
+    }
+
+    request(method, session, { payloadHash = EMPTY_PAYLOAD_HASH, headers = {}, body = null } = {}) {
+        const url = this.objectUrl(session);
+        const signedHeaders = this.sign(method, url, { ...headers, host: url.host }, payloadHash, new Date());
+        const transport = url.protocol === 'http:' ? http : https;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, { method, headers: signedHeaders }, resolve);
+            req.on('error', err => reject(err));
+            if (body) {
+                body.on('error', err => req.destroy(err));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    /**
+     * Add the AWS Signature Version 4 headers to a request
+     * @returns {object} All request headers, including x-amz-date and authorization
+     */
+    sign(method, url, headers, payloadHash, date) {
+        const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+        const allHeaders = { ...headers, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+        if (this.sessionToken) allHeaders['x-amz-security-token'] = this.sessionToken;
+
+        const names = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+        const values = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+        const canonicalQuery = [...url.searchParams.entries()]
+            .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+            .sort()
+            .join('&');
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            canonicalQuery,
+            names.map(name => `${name}:${values[name]}\n`).join(''),
+            names.join(';'),
+            payloadHash
+        ].join('\n');
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        let signingKey = `AWS4${this.secretAccessKey}`;
+        for (const part of [amzDate.slice(0, 8), this.region, 's3', 'aws4_request']) {
+            signingKey = crypto.createHmac('sha256', signingKey).update(part).digest();
+        }
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return {
+            ...values,
+            authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+        };
+    }
+
+    async hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        return hash.digest('hex');
+    }
+
+    async assertOk(response) {
+        if (response.statusCode >= 200 && response.statusCode < 300) return;
+
+        let details = '';
+        for await (const chunk of response) details += chunk;
+        const code = details.match(/<Code>([^<]+)<\/Code>/);
+        throw new Error(`S3 request failed with status ${response.statusCode}${code ? ` (${code[1]})` : ''}`);
+    }
+}
+
+/* encodeURIComponent leaves !'()* alone, SigV4 expects them encoded */
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+module.exports = S3Store;
@@ -0,0 +1,89 @@
+'use strict';
+
+const fs = require('fs');
+
+/* Differences between the supported databases; queries are written with $1-style parameters */
+const DIALECTS = {
+    postgres: {
+        blobType: 'BYTEA',
+        async query(client, sql, params) {
+            const result = await client.query(sql, params);
+            return result.rows;
+        }
+    },
+    sqlite: {
+        blobType: 'BLOB',
+        async query(client, sql, params) {
+            const statement = client.prepare(sql.replace(/\$\d+/g, '?'));
+            if (statement.reader) return statement.all(...params);
+            statement.run(...params);
+            return [];
+        }
+    }
+};
+
+/**
+ * RemoteAuth store that keeps session archives as blobs in a SQL table, created on first use
+ * @param {object} options - options
+ * @param {object} options.client - A connected database client: a `pg` Pool or Client, or a `better-sqlite3` Database
+ * @param {string} options.dialect - "postgres" or "sqlite"
+ * @param {string} options.table - Table to keep the sessions in, default is: "wwebjs_sessions"
+ */
+class SqlStore {
+    constructor({ client, dialect, table } = {}) {
+        if (!client) throw new Error('A database client is required for SqlStore.');
+        if (!DIALECTS[dialect]) {
+            throw new Error(`Invalid dialect. Expected one of: ${Object.keys(DIALECTS).join(', ')}.`);
+        }
+        const tableName = table || 'wwebjs_sessions';
+        if (!/^[a-z_][a-z0-9_]*$/i.test(tableName)) {
+            throw new Error('Invalid table name. Only letters, digits and underscores are allowed.');
+        }
+
+        this.client = client;
+        this.dialect = DIALECTS[dialect];
+        this.table = tableName;
+        this.tableReady = null;
+    }
+
+    async sessionExists({ session }) {
+        const rows = await this.query(`SELECT 1 AS found FROM ${this.table} WHERE session = $1`, [session]);
+        return rows.length > 0;
+    }
+
+    async save({ session }) {
+        const data = await fs.promises.readFile(`${session}.zip`);
+        await this.query(
+            `INSERT INTO ${this.table} (session, data, updated_at) VALUES ($1, $2, $3)
+            ON CONFLICT (session) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+            [session, data, new Date().toISOString()]
+        );
+    }
+
+    async extract({ session, path }) {
+        const rows = await this.query(`SELECT data FROM ${this.table} WHERE session = $1`, [session]);
+        if (rows.length === 0) throw new Error(`Session ${session} was not found in ${this.table}.`);
+        await fs.promises.writeFile(path, rows[0].data);
+    }
+
+    async delete({ session }) {
+        await this.query(`DELETE FROM ${this.table} WHERE session = $1`, [session]);
+    }
+
+    async query(sql, params) {
+        if (!this.tableReady) {
+            this.tableReady = this.dialect.query(this.client, `CREATE TABLE IF NOT EXISTS ${this.table} (
+                session TEXT PRIMARY KEY,
+                data ${this.dialect.blobType} NOT NULL,
+                updated_at TEXT NOT NULL
+            )`, []).catch(err => {
+                this.tableReady = null;
+                throw err;
+            });
+        }
+        await this.tableReady;
+        return this.dialect.query(this.client, sql, params);
+    }
+}
+
+module.exports = SqlStore;
@@ -12,6 +12,7 @@ exports.DefaultOptions = {
         type: 'local',
     },
     authTimeoutMs: 0,
+    loadingTimeoutMs: 0,
     qrMaxRetries: 0,
     takeoverOnConflict: false,
     takeoverTimeoutMs: 0,
@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LocalAuth = require('../../src/authStrategies/LocalAuth');
+const SessionEncryption = require('../../src/authStrategies/SessionEncryption');
+
+describe('LocalAuth session snapshots', function () {
+    let dataPath;
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function createAuth(options = {}) {
+        const auth = new LocalAuth({ clientId: 'snapshots', dataPath, maxSnapshots: 2, snapshotDelayMs: 10, ...options });
+        auth.setup({ options: { puppeteer: {} } });
+        await auth.beforeBrowserInitialized();
+        await fs.promises.mkdir(path.join(auth.userDataDir, 'Default'), { recursive: true });
+        return auth;
+    }
+
+    async function writeSession(auth, content) {
+        await fs.promises.writeFile(path.join(auth.userDataDir, 'Default', 'state'), content);
+    }
+
+    async function readSession(auth) {
+        return fs.promises.readFile(path.join(auth.userDataDir, 'Default', 'state'), 'utf8');
+    }
+
+    /* The client calls snapshotSession once it is ready */
+    async function takeSnapshot(auth, content) {
+        await writeSession(auth, content);
+        await auth.snapshotSession();
+        await sleep(200);
+    }
+
+    beforeEach(async function () {
+        dataPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wwebjs-snapshots-'));
+    });
+
+    afterEach(async function () {
+        await fs.promises.rm(dataPath, { recursive: true, force: true });
+    });
+
+    it('asks for a QR code as usual while there are no snapshots', async function () {
+        const auth = await createAuth();
+        expect((await auth.onAuthenticationNeeded()).failed).to.equal(false);
+        expect(await auth.rollbackSession()).to.equal(false);
+    });
+
+    it('keeps only the configured number of snapshots', async function () {
+        const auth = await createAuth();
+        await takeSnapshot(auth, 'first');
+        await takeSnapshot(auth, 'second');
+        await takeSnapshot(auth, 'third');
+
+        expect(await auth.listSnapshots()).to.have.lengthOf(2);
+    });
+
+    it('drops snapshots past the retention time', async function () {
+        const auth = await createAuth({ snapshotRetentionMs: 100 });
+        await takeSnapshot(auth, 'first');
+        await sleep(200);
+        await takeSnapshot(auth, 'second');
+
+        expect(await auth.listSnapshots()).to.have.lengthOf(1);
+    });
+
+    it('rolls back to older snapshots one failure at a time, then asks for a QR code', async function () {
+        const auth = await createAuth({ rollbackAfterFailures: 1 });
+        await takeSnapshot(auth, 'older');
+        await takeSnapshot(auth, 'newer');
+        await writeSession(auth, 'corrupted');
+
+        expect((await auth.onAuthenticationNeeded()).failed).to.equal(true);
+        expect(await auth.rollbackSession()).to.equal(true);
+        expect(await readSession(auth)).to.equal('newer');
+
+        expect(await auth.rollbackSession()).to.equal(true);
+        expect(await readSession(auth)).to.equal('older');
+
+        expect((await auth.onAuthenticationNeeded()).failed).to.equal(false);
+        expect(await auth.rollbackSession()).to.equal(false);
+    });
+
+    it('retries the session before rolling back by default', async function () {
+        const auth = await createAuth();
+        await takeSnapshot(auth, 'known-good');
+        await writeSession(auth, 'unlucky');
+
+        expect(await auth.rollbackSession()).to.equal(true);
+        expect(await readSession(auth)).to.equal('unlucky');
+
+        expect(await auth.rollbackSession()).to.equal(true);
+        expect(await readSession(auth)).to.equal('known-good');
+    });
+
+    it('starts counting failures again once the client is ready', async function () {
+        const auth = await createAuth();
+        await takeSnapshot(auth, 'known-good');
+        await auth.rollbackSession();
+        await takeSnapshot(auth, 'loaded after a retry');
+
+        expect(await auth.rollbackSession()).to.equal(true);
+        expect(await readSession(auth)).to.equal('loaded after a retry');
+    });
+
+    it('encrypts snapshots when encryption is set', async function () {
+        const encryption = new SessionEncryption({ key: SessionEncryption.generateKey() });
+        const auth = await createAuth({ encryption, rollbackAfterFailures: 1 });
+        await takeSnapshot(auth, 'secret');
+
+        const [snapshot] = await auth.listSnapshots();
+        expect(await SessionEncryption.isEncrypted(path.join(auth.snapshotDir, snapshot))).to.equal(true);
+
+        await auth.destroy();
+        expect(await auth.rollbackSession()).to.equal(true);
+        expect(await readSession(auth)).to.equal('secret');
+    });
+
+    it('deletes the snapshots on logout', async function () {
+        const auth = await createAuth();
+        await takeSnapshot(auth, 'linked');
+        await auth.logout();
+
+        expect(await auth.listSnapshots()).to.have.lengthOf(0);
+    });
+});
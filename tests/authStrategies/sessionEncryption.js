@@ -0,0 +1,94 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SessionEncryption = require('../../src/authStrategies/SessionEncryption');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+describe('SessionEncryption', function () {
+    let workDir;
+    let filePath;
+    let content;
+    let oldKey;
+    let newKey;
+
+    before(function () {
+        content = crypto.randomBytes(128 * 1024);
+        oldKey = SessionEncryption.generateKey();
+        newKey = SessionEncryption.generateKey();
+    });
+
+    beforeEach(async function () {
+        workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wwebjs-encryption-'));
+        filePath = path.join(workDir, 'session.zip');
+        await fs.promises.writeFile(filePath, content);
+    });
+
+    afterEach(async function () {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    });
+
+    it('encrypts and decrypts a file in place', async function () {
+        const encryption = new SessionEncryption({ key: oldKey });
+        await encryption.encryptFile(filePath);
+        expect(await SessionEncryption.isEncrypted(filePath)).to.equal(true);
+        expect((await fs.promises.readFile(filePath)).includes(content.subarray(0, 64))).to.equal(false);
+
+        await encryption.decryptFile(filePath);
+        expect((await fs.promises.readFile(filePath)).equals(content)).to.equal(true);
+    });
+
+    it('accepts keys written as base64', async function () {
+        const encryption = new SessionEncryption({ key: Buffer.from(oldKey, 'hex').toString('base64') });
+        await encryption.encryptFile(filePath);
+        await new SessionEncryption({ key: oldKey }).decryptFile(filePath);
+        expect((await fs.promises.readFile(filePath)).equals(content)).to.equal(true);
+    });
+
+    it('rejects keys that are not 32 bytes', function () {
+        expect(() => new SessionEncryption({ key: 'too-short' })).to.throw('Invalid session encryption key');
+    });
+
+    it('refuses files encrypted with an unknown key', async function () {
+        await new SessionEncryption({ key: oldKey }).encryptFile(filePath);
+        await expect(new SessionEncryption({ key: newKey }).decryptFile(filePath)).to.be.rejectedWith(Error);
+    });
+
+    it('detects a tampered file', async function () {
+        const encryption = new SessionEncryption({ key: oldKey });
+        await encryption.encryptFile(filePath);
+        const encrypted = await fs.promises.readFile(filePath);
+        encrypted[encrypted.length - 100] ^= 1;
+        await fs.promises.writeFile(filePath, encrypted);
+
+        await expect(encryption.decryptFile(filePath, path.join(workDir, 'out.zip'))).to.be.rejectedWith('failed authentication');
+        expect(fs.existsSync(path.join(workDir, 'out.zip'))).to.equal(false);
+    });
+
+    it('rotates files to the current key', async function () {
+        await new SessionEncryption({ key: oldKey }).encryptFile(filePath);
+        const rotated = new SessionEncryption({ key: newKey, previousKeys: [oldKey] });
+        expect(await rotated.needsRotation(filePath)).to.equal(true);
+
+        expect(await rotated.rotateFile(filePath)).to.equal(true);
+        expect(await rotated.needsRotation(filePath)).to.equal(false);
+        await new SessionEncryption({ key: newKey }).decryptFile(filePath);
+        expect((await fs.promises.readFile(filePath)).equals(content)).to.equal(true);
+    });
+
+    it('reads the current and previous keys from a key file', async function () {
+        const keyFile = path.join(workDir, 'keys');
+        await fs.promises.writeFile(keyFile, `# newest first\n${newKey}\n${oldKey}\n`);
+        await new SessionEncryption({ key: oldKey }).encryptFile(filePath);
+
+        const encryption = new SessionEncryption({ keyFile });
+        expect(await encryption.needsRotation(filePath)).to.equal(true);
+        await encryption.decryptFile(filePath);
+        expect((await fs.promises.readFile(filePath)).equals(content)).to.equal(true);
+    });
+});
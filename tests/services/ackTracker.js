@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const { MessageAck } = require('../../index');
+
+const ackTracker = require('../../services/ackTracker');
+
+describe('ackTracker', function () {
+    // Apply acks in the order they arrive, the way the server updates a recipient
+    function applyAcks(recipient, acks) {
+        for (const ack of acks) {
+            Object.assign(recipient, ackTracker.getAckChanges(recipient, ack) || {});
+        }
+        return recipient;
+    }
+
+    describe('getAckChanges', function () {
+        it('moves a recipient up through server, delivered and read', function () {
+            const recipient = applyAcks({ status: 'sent' }, [MessageAck.ACK_SERVER, MessageAck.ACK_DEVICE, MessageAck.ACK_READ]);
+
+            expect(recipient).to.include({ ack: 'read', ackLevel: MessageAck.ACK_READ });
+            expect(recipient.ackTimes).to.have.all.keys('server', 'delivered', 'read');
+        });
+
+        it('ignores acks that arrive late or out of order', function () {
+            const recipient = applyAcks({ status: 'sent' }, [MessageAck.ACK_READ]);
+
+            expect(ackTracker.getAckChanges(recipient, MessageAck.ACK_DEVICE)).to.equal(null);
+            expect(ackTracker.getAckChanges(recipient, MessageAck.ACK_READ)).to.equal(null);
+            expect(ackTracker.getAckChanges(recipient, 42)).to.equal(null);
+        });
+
+        it('records an error for a message the server never accepted', function () {
+            const recipient = applyAcks({ status: 'sent' }, [MessageAck.ACK_PENDING, MessageAck.ACK_ERROR]);
+
+            expect(recipient).to.include({ ack: 'error', ackLevel: MessageAck.ACK_ERROR });
+        });
+
+        it('keeps a read recipient read when an error follows', function () {
+            const recipient = applyAcks({ status: 'sent' }, [MessageAck.ACK_READ]);
+
+            expect(ackTracker.getAckChanges(recipient, MessageAck.ACK_ERROR)).to.equal(null);
+            expect(ackTracker.getFunnel([recipient])).to.deep.equal({ sent: 1, delivered: 1, read: 1, ackErrors: 0 });
+        });
+    });
+
+    describe('getFunnel', function () {
+        it('counts sent, delivered, read and failed recipients', function () {
+            const recipients = [
+                applyAcks({ status: 'sent' }, [MessageAck.ACK_SERVER]),
+                applyAcks({ status: 'sent' }, [MessageAck.ACK_DEVICE]),
+                applyAcks({ status: 'sent' }, [MessageAck.ACK_PLAYED]),
+                applyAcks({ status: 'sent' }, [MessageAck.ACK_ERROR]),
+                { status: 'failed' }
+            ];
+
+            expect(ackTracker.getFunnel(recipients)).to.deep.equal({ sent: 4, delivered: 2, read: 1, ackErrors: 1 });
+        });
+    });
+
+    describe('lookup', function () {
+        it('finds the recipient of a stored campaign message after a restart', function () {
+            ackTracker.rebuildIndex([{ campaignId: 'campaign_1', recipients: [{}, { messageId: 'true_919876543210@c.us_ABC' }] }]);
+
+            expect(ackTracker.lookup('true_919876543210@c.us_ABC')).to.deep.equal({ campaignId: 'campaign_1', index: 1 });
+            expect(ackTracker.lookup('true_919876543210@c.us_XYZ')).to.equal(null);
+        });
+    });
+});
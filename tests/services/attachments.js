@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+
+const attachments = require('../../services/attachments');
+
+const image = { mimetype: 'image/jpeg', filename: 'offer.jpg' };
+const audio = { mimetype: 'audio/ogg; codecs=opus', filename: 'note.opus' };
+const pdf = { mimetype: 'application/pdf', filename: 'menu.pdf' };
+
+describe('attachments', function () {
+    describe('planMessages', function () {
+        it('sends the message alone when there are no attachments', function () {
+            expect(attachments.planMessages('Hello Asha', [])).to.deep.equal([{ text: 'Hello Asha' }]);
+        });
+
+        it('makes the message the caption of the first attachment', function () {
+            const plan = attachments.planMessages('Hello Asha', [
+                { media: image, caption: null },
+                { media: pdf, caption: 'Our menu' }
+            ]);
+
+            expect(plan).to.deep.equal([
+                { media: image, caption: 'Hello Asha' },
+                { media: pdf, caption: 'Our menu' }
+            ]);
+        });
+
+        it('sends the message first when the first attachment has its own caption', function () {
+            const plan = attachments.planMessages('Hello Asha', [{ media: image, caption: 'This week only' }]);
+
+            expect(plan).to.deep.equal([
+                { text: 'Hello Asha' },
+                { media: image, caption: 'This week only' }
+            ]);
+        });
+
+        it('sends captions of audio as text before it, unless audio goes as a document', function () {
+            const attachmentList = [{ media: audio, caption: null }, { media: audio, caption: 'Second note' }];
+
+            expect(attachments.planMessages('Hello Asha', attachmentList)).to.deep.equal([
+                { text: 'Hello Asha' },
+                { media: audio, caption: null },
+                { text: 'Second note' },
+                { media: audio, caption: null }
+            ]);
+            expect(attachments.planMessages('Hello Asha', attachmentList, { sendMediaAsDocument: true })).to.deep.equal([
+                { media: audio, caption: 'Hello Asha' },
+                { media: audio, caption: 'Second note' }
+            ]);
+        });
+
+        it('leaves out an empty message when there are attachments', function () {
+            expect(attachments.planMessages('  ', [{ media: pdf, caption: null }])).to.deep.equal([{ media: pdf, caption: null }]);
+        });
+    });
+
+    describe('parseCaptions', function () {
+        it('matches captions to attachments by position', function () {
+            expect(attachments.parseCaptions('["First", "", " "]', 4)).to.deep.equal(['First', null, null, null]);
+            expect(attachments.parseCaptions(undefined, 2)).to.deep.equal([null, null]);
+        });
+
+        it('rejects more captions than attachments and captions that are not text', function () {
+            expect(() => attachments.parseCaptions('["a", "b"]', 1)).to.throw('Got 2 captions for 1 attachment(s)');
+            expect(() => attachments.parseCaptions('[1]', 1)).to.throw('Captions must be a list of texts, one per attachment');
+        });
+    });
+
+    describe('isAllowed', function () {
+        it('accepts the listed file types only', function () {
+            expect(attachments.isAllowed('Menu.PDF')).to.equal(true);
+            expect(attachments.isAllowed('setup.exe')).to.equal(false);
+            expect(attachments.getMimeType('setup.exe')).to.equal('application/octet-stream');
+        });
+    });
+});
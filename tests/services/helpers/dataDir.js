@@ -0,0 +1,11 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services keep their JSON files under DATA_DIR, which is read once when the first of
+// them is required. Specs require this before any service so they share one temporary directory.
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-sender-services-'));
+process.env.DATA_DIR = DATA_DIR;
+process.on('exit', () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+module.exports = { DATA_DIR };
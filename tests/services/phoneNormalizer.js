@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+
+const { normalizePhoneNumber, resolveCountry, getRowCountry } = require('../../services/phoneNormalizer');
+
+describe('phoneNormalizer', function () {
+    describe('normalizePhoneNumber', function () {
+        it('keeps international numbers written with + or 00', function () {
+            expect(normalizePhoneNumber('+44 7911 123456').number).to.equal('447911123456');
+            expect(normalizePhoneNumber('0044 7911 123456').number).to.equal('447911123456');
+            expect(normalizePhoneNumber('+1 (415) 555-2671', { country: 'IN' })).to.include({ number: '14155552671', country: 'US', e164: '+14155552671' });
+        });
+
+        it('drops the trunk prefix repeated after the calling code', function () {
+            expect(normalizePhoneNumber('+44 (0)20 7946 0958').number).to.equal('442079460958');
+        });
+
+        it('adds the calling code of the given country to national numbers', function () {
+            expect(normalizePhoneNumber('9876543210', { country: 'IN' }).number).to.equal('919876543210');
+            expect(normalizePhoneNumber('07911 123456', { country: 'GB' }).number).to.equal('447911123456');
+            expect(normalizePhoneNumber('050 123 4567', { country: 'AE' }).number).to.equal('971501234567');
+        });
+
+        it('accepts the country as an ISO code or a calling code', function () {
+            expect(normalizePhoneNumber('07911123456', { country: 'gb' }).number).to.equal('447911123456');
+            expect(normalizePhoneNumber('07911123456', { country: '+44' }).number).to.equal('447911123456');
+        });
+
+        it('does not add the calling code twice', function () {
+            expect(normalizePhoneNumber('919876543210', { country: 'IN' }).number).to.equal('919876543210');
+        });
+
+        it('recognizes numbers of other countries written without the + sign', function () {
+            expect(normalizePhoneNumber('447911123456', { country: 'IN' })).to.include({ number: '447911123456', country: 'GB' });
+        });
+
+        it('trusts the length of international numbers with an unlisted calling code', function () {
+            expect(normalizePhoneNumber('+358 40 1234567')).to.include({ number: '358401234567', country: null });
+        });
+
+        it('rejects numbers with the wrong length for their country', function () {
+            const result = normalizePhoneNumber('98765', { country: 'IN' });
+            expect(result.number).to.equal(null);
+            expect(result.error).to.equal('IN numbers have 10 digits without the leading 0, got 5');
+
+            expect(normalizePhoneNumber('+44 79 11').error).to.match(/^International numbers have 8-15 digits/);
+            expect(normalizePhoneNumber('+44 7911 1234567').error).to.equal('GB numbers have 9-10 digits after +44, got 11');
+        });
+
+        it('rejects empty input, letters and unknown countries', function () {
+            expect(normalizePhoneNumber('  ').error).to.equal('Phone number is empty');
+            expect(normalizePhoneNumber(null).error).to.equal('Phone number is empty');
+            expect(normalizePhoneNumber('98765abc10').error).to.match(/contains characters that are not part of a phone number/);
+            expect(normalizePhoneNumber('9876543210', { country: 'XX' }).error).to.equal('Unknown country "XX"');
+        });
+    });
+
+    describe('resolveCountry', function () {
+        it('resolves ISO codes and calling codes', function () {
+            expect(resolveCountry('gb')).to.equal('GB');
+            expect(resolveCountry('91')).to.equal('IN');
+            expect(resolveCountry('0044')).to.equal('GB');
+            expect(resolveCountry('+1')).to.equal('US');
+        });
+
+        it('returns null for anything else', function () {
+            expect(resolveCountry('')).to.equal(null);
+            expect(resolveCountry('Narnia')).to.equal(null);
+            expect(resolveCountry('999')).to.equal(null);
+        });
+    });
+
+    describe('getRowCountry', function () {
+        it('reads the first country column a row has', function () {
+            expect(getRowCountry({ name: 'Asha', country_code: '44' })).to.equal('44');
+            expect(getRowCountry({ name: 'Asha' })).to.equal(null);
+            expect(getRowCountry(null)).to.equal(null);
+        });
+    });
+});
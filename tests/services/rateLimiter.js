@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+
+require('./helpers/dataDir');
+const rateLimiter = require('../../services/rateLimiter');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const realNow = Date.now;
+const NO_LIMITS = { maxPerHour: null, maxPerDay: null, burstLimit: null, burstWindowMinutes: null, warmupDays: null, warmupStartPerDay: null };
+
+describe('rateLimiter', function () {
+    // Sends are logged at the real time; moving the clock forward lets them age
+    function advanceClock(ms) {
+        const start = realNow();
+        Date.now = () => start + ms;
+    }
+
+    afterEach(function () {
+        Date.now = realNow;
+    });
+
+    it('holds a burst until the oldest send leaves the burst window', function () {
+        rateLimiter.updatePolicy('burst', { ...NO_LIMITS, burstLimit: 3, burstWindowMinutes: 10 });
+        for (let i = 0; i < 3; i++) {
+            expect(rateLimiter.check('burst').allowed).to.equal(true);
+            rateLimiter.recordSend('burst');
+        }
+
+        const quota = rateLimiter.check('burst');
+        expect(quota).to.include({ allowed: false, reason: 'burst limit of 3 per 10 minutes reached' });
+        expect(quota.remaining.burst).to.equal(0);
+        expect(quota.waitMs).to.be.within(10 * MINUTE_MS - 1000, 10 * MINUTE_MS);
+
+        advanceClock(10 * MINUTE_MS + 1000);
+        expect(rateLimiter.check('burst')).to.include({ allowed: true, waitMs: 0 });
+    });
+
+    it('reports the longest wait when several limits are reached', function () {
+        rateLimiter.updatePolicy('hourly', { ...NO_LIMITS, maxPerHour: 2, burstLimit: 2, burstWindowMinutes: 5 });
+        rateLimiter.recordSend('hourly');
+        rateLimiter.recordSend('hourly');
+
+        const quota = rateLimiter.check('hourly');
+        expect(quota.reason).to.equal('limit of 2 per hour reached');
+        expect(quota.waitMs).to.be.above(55 * MINUTE_MS);
+
+        advanceClock(30 * MINUTE_MS);
+        expect(rateLimiter.check('hourly')).to.include({ allowed: false, reason: 'limit of 2 per hour reached' });
+
+        advanceClock(61 * MINUTE_MS);
+        const later = rateLimiter.check('hourly');
+        expect(later.allowed).to.equal(true);
+        expect(later.sentLastHour).to.equal(0);
+        expect(later.sentLastDay).to.equal(2);
+    });
+
+    it('treats limits set to null as off', function () {
+        rateLimiter.updatePolicy('unlimited', NO_LIMITS);
+        for (let i = 0; i < 5; i++) {
+            rateLimiter.recordSend('unlimited');
+        }
+
+        const quota = rateLimiter.check('unlimited');
+        expect(quota.allowed).to.equal(true);
+        expect(quota.remaining).to.deep.equal({ burst: null, hour: null, day: null });
+    });
+
+    it('ramps the daily limit up evenly while a new account warms up', function () {
+        rateLimiter.updatePolicy('warmup', { ...NO_LIMITS, maxPerDay: 120, warmupDays: 10, warmupStartPerDay: 20 });
+        const linkedDaysAgo = days => new Date(realNow() - days * DAY_MS - MINUTE_MS);
+
+        expect(rateLimiter.check('warmup', linkedDaysAgo(0)).limits.dailyLimit).to.equal(20);
+        const halfway = rateLimiter.check('warmup', linkedDaysAgo(5));
+        expect(halfway.warmingUp).to.equal(true);
+        expect(halfway.limits.dailyLimit).to.equal(70);
+
+        const warmedUp = rateLimiter.check('warmup', linkedDaysAgo(10));
+        expect(warmedUp.warmingUp).to.equal(false);
+        expect(warmedUp.limits.dailyLimit).to.equal(120);
+        expect(rateLimiter.check('warmup').limits.dailyLimit).to.equal(120);
+    });
+
+    it('lets account overrides win over the defaults until they are reset', function () {
+        rateLimiter.updatePolicy(null, { maxPerHour: 40 });
+        expect(rateLimiter.updatePolicy('override', { maxPerHour: 10 }).maxPerHour).to.equal(10);
+        expect(rateLimiter.getPolicy('other').maxPerHour).to.equal(40);
+        expect(rateLimiter.resetPolicy('override').maxPerHour).to.equal(40);
+    });
+
+    it('rejects unknown limits and values that are not whole numbers above zero', function () {
+        expect(() => rateLimiter.updatePolicy('invalid', { maxPerWeek: 10 })).to.throw(/^Unknown rate limit "maxPerWeek"/);
+        expect(() => rateLimiter.updatePolicy('invalid', { maxPerHour: 0 })).to.throw('maxPerHour must be a whole number above zero, or null to turn it off');
+        expect(() => rateLimiter.updatePolicy('invalid', { burstLimit: 2.5 })).to.throw(/^burstLimit must be a whole number/);
+    });
+});
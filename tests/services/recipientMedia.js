@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+require('./helpers/dataDir');
+const recipientMedia = require('../../services/recipientMedia');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+describe('recipientMedia', function () {
+    before(function () {
+        fs.mkdirSync(path.join(recipientMedia.MEDIA_LIBRARY_DIR, 'invoices'), { recursive: true });
+        fs.writeFileSync(path.join(recipientMedia.MEDIA_LIBRARY_DIR, 'invoices', 'A-1042.pdf'), 'invoice');
+        fs.writeFileSync(path.join(recipientMedia.MEDIA_LIBRARY_DIR, 'setup.exe'), 'binary');
+    });
+
+    describe('findMediaColumn', function () {
+        it('uses the requested column or a well-known header', function () {
+            expect(recipientMedia.findMediaColumn(['phone', 'ticket_file'], 'Ticket File')).to.equal('ticket_file');
+            expect(recipientMedia.findMediaColumn(['phone', 'attachment'])).to.equal('attachment');
+            expect(recipientMedia.findMediaColumn(['phone', 'name'])).to.equal(null);
+        });
+
+        it('rejects a requested column the spreadsheet does not have', function () {
+            expect(() => recipientMedia.findMediaColumn(['phone'], 'invoice')).to.throw('Media column "invoice" is not in the spreadsheet');
+        });
+    });
+
+    describe('matchRecipients', function () {
+        it('matches each row to its media library file', async function () {
+            const result = await recipientMedia.matchRecipients({
+                phoneNumbers: ['919835126411', '919876543210'],
+                recipientFields: [{ phone: '919835126411', media: 'invoices/A-1042.pdf' }, { phone: '919876543210', media: '' }]
+            });
+
+            expect(result.column).to.equal('media');
+            expect(result.missing).to.deep.equal([]);
+            expect(result.media[0]).to.deep.equal({
+                path: path.join(recipientMedia.MEDIA_LIBRARY_DIR, 'invoices', 'A-1042.pdf'),
+                filename: 'A-1042.pdf',
+                mimetype: 'application/pdf'
+            });
+            expect(result.media[1]).to.equal(null);
+        });
+
+        it('reports missing, unsupported and out-of-library files per recipient', async function () {
+            const result = await recipientMedia.matchRecipients({
+                phoneNumbers: ['1', '2', '3'],
+                recipientFields: [{ media: 'invoices/A-9999.pdf' }, { media: 'setup.exe' }, { media: '../suppression.json' }]
+            });
+
+            expect(result.media).to.deep.equal([null, null, null]);
+            expect(result.missing).to.deep.equal([
+                { number: '1', file: 'invoices/A-9999.pdf', error: 'Not found in the media library' },
+                { number: '2', file: 'setup.exe', error: 'setup.exe is not a supported attachment type' },
+                { number: '3', file: '../suppression.json', error: 'Path points outside the media library' }
+            ]);
+        });
+
+        it('skips campaigns without a media column, unless a ZIP was uploaded', async function () {
+            const recipients = { phoneNumbers: ['1'], recipientFields: [{ phone: '1', name: 'Asha' }] };
+
+            expect(await recipientMedia.matchRecipients(recipients)).to.deep.equal({ column: null, media: null, missing: [] });
+            await expect(recipientMedia.matchRecipients({ ...recipients, archivePath: 'media.zip' })).to.be.rejectedWith(/^A ZIP of media needs a spreadsheet column/);
+        });
+    });
+});
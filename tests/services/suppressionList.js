@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const xlsx = require('xlsx');
+
+require('./helpers/dataDir');
+const suppressionList = require('../../services/suppressionList');
+
+describe('suppressionList', function () {
+    beforeEach(function () {
+        for (const entry of suppressionList.list()) {
+            suppressionList.remove(entry.number);
+        }
+    });
+
+    it('matches a number however it is written', function () {
+        suppressionList.add('+91 98765 43210', { reason: 'opt_out' });
+
+        expect(suppressionList.has('919876543210@c.us')).to.equal(true);
+        expect(suppressionList.has('91-9876-543210')).to.equal(true);
+        expect(suppressionList.has('919876543211')).to.equal(false);
+        expect(suppressionList.get('919876543210')).to.include({ number: '919876543210', reason: 'opt_out', source: 'manual' });
+    });
+
+    it('defaults to do_not_contact and rejects unknown reasons', function () {
+        expect(suppressionList.add('447911123456').reason).to.equal('do_not_contact');
+        expect(() => suppressionList.add('447911123457', { reason: 'spam' })).to.throw('Reason must be one of: opt_out, do_not_contact, blocklist');
+        expect(suppressionList.has('447911123457')).to.equal(false);
+    });
+
+    it('keeps existing entries when importing, so an opt-out is never overwritten', function () {
+        suppressionList.add('919876543210', { reason: 'opt_out' });
+        const result = suppressionList.addMany([
+            { number: '919876543210' },
+            { number: '447911123456', note: 'From the CRM' }
+        ]);
+
+        expect(result).to.deep.equal({ added: 1, alreadyListed: 1 });
+        expect(suppressionList.get('919876543210').reason).to.equal('opt_out');
+        expect(suppressionList.get('447911123456')).to.include({ reason: 'blocklist', note: 'From the CRM', source: 'import' });
+    });
+
+    it('imports nothing when a row has an unknown reason', function () {
+        expect(() => suppressionList.addMany([
+            { number: '919876543210' },
+            { number: '447911123456', reason: 'spam' }
+        ])).to.throw();
+        expect(suppressionList.list()).to.have.lengthOf(0);
+    });
+
+    it('takes numbers off the list', function () {
+        suppressionList.add('919876543210');
+
+        expect(suppressionList.remove('+91 98765 43210')).to.equal(true);
+        expect(suppressionList.remove('919876543210')).to.equal(false);
+        expect(suppressionList.has('919876543210')).to.equal(false);
+    });
+
+    it('exports a sheet that can be imported again', function () {
+        suppressionList.add('919876543210', { reason: 'opt_out', note: 'Replied STOP' });
+        const exported = suppressionList.renderExport('csv');
+        const workbook = xlsx.read(exported.buffer, { type: 'buffer' });
+        const rows = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+
+        expect(exported.filename).to.equal('suppression_list.csv');
+        expect(rows).to.have.lengthOf(1);
+        expect(rows[0]).to.include({ phone: 919876543210, reason: 'opt_out', note: 'Replied STOP' });
+    });
+});
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const http = require('http');
+const { expect } = require('chai');
+
+require('./helpers/dataDir');
+// Read when the module loads: two attempts, the retry about a second after the first
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_BASE_MS = '1000';
+const webhooks = require('../../services/webhooks');
+
+const SECRET = 'receiver-shared-secret';
+
+describe('webhooks', function () {
+    let server;
+    let url;
+    let requests; // { headers, body } in the order they arrived
+    let statuses; // what the receiver answers next, 200 once they run out
+    let webhook;
+
+    function waitFor(condition) {
+        return new Promise(resolve => {
+            const check = () => (condition() ? resolve() : setTimeout(check, 20));
+            check();
+        });
+    }
+
+    let consoleLog;
+    let consoleError;
+
+    before(async function () {
+        // The service logs every retry and dead letter
+        consoleLog = console.log;
+        consoleError = console.error;
+        console.log = () => {};
+        console.error = () => {};
+
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body });
+                res.writeHead(statuses.shift() || 200);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hooks/whatsapp`;
+    });
+
+    after(async function () {
+        console.log = consoleLog;
+        console.error = consoleError;
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(function () {
+        requests = [];
+        statuses = [];
+        webhook = webhooks.create({ url, events: 'campaign_started,message_sent', secret: SECRET });
+    });
+
+    afterEach(function () {
+        webhooks.remove(webhook.id);
+    });
+
+    it('signs the timestamp and raw body with the webhook secret', async function () {
+        webhooks.emit('campaign_started', { campaignId: 'campaign_1' });
+        await waitFor(() => requests.length === 1);
+
+        const [{ headers, body }] = requests;
+        const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        expect(headers['x-webhook-signature']).to.equal(`sha256=${expected}`);
+        expect(headers).to.include({ 'content-type': 'application/json', 'x-webhook-id': webhook.id, 'x-webhook-event': 'campaign_started' });
+        expect(JSON.parse(body)).to.include({ id: headers['x-webhook-delivery'], event: 'campaign_started' });
+        expect(JSON.parse(body).data).to.deep.equal({ campaignId: 'campaign_1' });
+    });
+
+    it('only sends the events a webhook subscribed to', async function () {
+        webhooks.emit('reply_received', { number: '919876543210' });
+        webhooks.emit('message_sent', { number: '919876543210' });
+        await waitFor(() => requests.length === 1);
+
+        expect(requests[0].headers['x-webhook-event']).to.equal('message_sent');
+    });
+
+    it('retries a failed delivery with the same delivery id and body', async function () {
+        this.timeout(5000);
+        statuses = [500];
+        webhooks.emit('message_sent', { number: '919876543210' });
+        await waitFor(() => requests.length === 2);
+        await waitFor(() => webhooks.get(webhook.id).pendingRetries === 0);
+
+        expect(requests[1].headers['x-webhook-delivery']).to.equal(requests[0].headers['x-webhook-delivery']);
+        expect(requests[1].body).to.equal(requests[0].body);
+        expect(webhooks.listDeadLetters({ webhookId: webhook.id })).to.have.lengthOf(0);
+    });
+
+    it('dead-letters a delivery once its attempts run out, and sends it again on request', async function () {
+        this.timeout(5000);
+        statuses = [500, 503];
+        webhooks.emit('message_sent', { number: '919876543210' });
+        await waitFor(() => webhooks.listDeadLetters({ webhookId: webhook.id }).length === 1);
+
+        const [deadLetter] = webhooks.listDeadLetters({ webhookId: webhook.id });
+        expect(requests).to.have.lengthOf(2);
+        expect(deadLetter).to.include({ id: requests[0].headers['x-webhook-delivery'], attempts: 2, lastStatus: 503, url: url });
+        expect(webhooks.get(webhook.id)).to.include({ pendingRetries: 0, deadLetters: 1 });
+
+        const delivery = await webhooks.retryDeadLetter(deadLetter.id);
+        expect(delivery).to.include({ id: deadLetter.id, attempts: 1, lastStatus: 200 });
+        expect(delivery).to.not.have.any.keys('url', 'failedAt');
+        expect(requests).to.have.lengthOf(3);
+        expect(requests[2].headers['x-webhook-delivery']).to.equal(deadLetter.id);
+        expect(webhooks.listDeadLetters({ webhookId: webhook.id })).to.have.lengthOf(0);
+    });
+
+    it('drops the pending retries of a deleted webhook', async function () {
+        this.timeout(5000);
+        statuses = [500];
+        webhooks.emit('message_sent', { number: '919876543210' });
+        await waitFor(() => webhooks.get(webhook.id).pendingRetries === 1);
+        webhooks.remove(webhook.id);
+        await new Promise(resolve => setTimeout(resolve, 1500));
+
+        expect(requests).to.have.lengthOf(1);
+        expect(webhooks.listDeadLetters({ webhookId: webhook.id })).to.have.lengthOf(0);
+    });
+});